@@ -1,82 +1,136 @@
-import React, { useState, useMemo, useEffect, useCallback } from 'react';
-import { Plus, Trash2, Edit, Star, Search, X, ChevronDown, ChevronUp, BookOpen, CheckCircle, Target, User, Lightbulb, Loader2, KeyRound, Link as LinkIcon } from 'lucide-react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
+import { Plus, Trash2, Edit, Search, X, BookOpen, CheckCircle, Target, User, Lightbulb, Loader2, KeyRound, Upload, Download, Copy, AlertTriangle, LogOut, Users, RotateCcw, ClipboardList, Table, Columns, LayoutDashboard, ListChecks, Network, Workflow, FolderPlus, DatabaseZap, UserX, ServerOff } from 'lucide-react';
+import { signInWithEmailAndPassword, signOut, onAuthStateChanged } from 'firebase/auth';
 import { 
-    getFirestore, 
     collection, 
     onSnapshot, 
-    addDoc, 
-    updateDoc, 
-    deleteDoc, 
     doc,
+    setDoc,
+    getDoc,
+    updateDoc,
     query,
+    writeBatch,
+    arrayUnion,
+    serverTimestamp,
+    getDocFromServer,
+    getCountFromServer,
+    deleteField,
     setLogLevel
 } from 'firebase/firestore';
+import { auth, db, storage, isFirebaseConfigured } from './firebase';
+import { ImportModal, ExportModal } from './CitationModals';
+import DuplicatesModal from './DuplicatesModal';
+import HistoryPanel from './HistoryPanel';
+import MembersModal from './MembersModal';
+import TrashModal from './TrashModal';
+import EntryDrawer from './EntryDrawer';
+import ReviewTemplateModal from './ReviewTemplateModal';
+import RatingStars from './RatingStars';
+import BoardView from './BoardView';
+import DashboardView from './DashboardView';
+import ScreeningView from './ScreeningView';
+import LiteratureTable from './LiteratureTable';
+import GraphView from './GraphView';
+import WorkflowModal from './WorkflowModal';
+import FilterBar from './FilterBar';
+import SavedViews from './SavedViews';
+import ConflictModal from './ConflictModal';
+import ProjectModal from './ProjectModal';
+import CopyEntryModal from './CopyEntryModal';
+import AuthorsField from './AuthorsField';
+import RelationsField from './RelationsField';
+import IdentifierLookup from './IdentifierLookup';
+import { SyncIndicator, SyncErrorToast } from './SyncStatus';
+import { findDuplicates, findDuplicatePairs } from './duplicates';
+import { stampCreate, stampUpdate, stampDelete, stampRestore, diffEntries, addHistory, stampProjectHistory } from './audit';
+import { ROLES, roleOf, isOwner, canEdit, canDelete, canManageMembers, canSetStatus } from './permissions';
+import { DEFAULT_TEMPLATE, missingRequiredFields } from './reviewTemplate';
+import { relevanceFromRatings, mergedRatings } from './ratings';
+import { DEFAULT_WORKFLOW, statusNames, statusRequiresReview, toWorkflowDoc } from './workflow';
+import { parseQuery, hasFreeText, matchesQuery, scoreEntry, matchesFilters, DEFAULT_SORT, viewToParams, viewFromParams } from './search';
+import { syncState, nextRevision, editedFields, conflictingFields, isRejectedEdit } from './sync';
+import { toAuthorList, cleanAuthorList, legacyAuthorConversions } from './authors';
+import { compareEntries, preferencesRef, toTablePrefs, DEFAULT_TABLE_PREFS } from './tableColumns';
+import { mergedRelations, redirectedRelations } from './relations';
+import { SCREENING_STAGES, DECISIONS, DEFAULT_SCREENING_SETTINGS, canRecordDecision, toScreeningSettings } from './screening';
+import { deletePdfFile, canChangePdf } from './attachments';
+import { projectRefOf, projectsQuery, projectUser, isLabOwner, createProject, entryForProject, migrateLegacyData } from './projects';
 
-// ===================================================================================
-// === CONFIGURATION =================================================================
-// ===================================================================================
-// These variables are now read securely from your Netlify Environment Variables.
-// Go to your Netlify Site -> Site settings -> Build & deploy -> Environment
-// ===================================================================================
-
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID
-};
+// The last project opened on this device, used when the URL does not name one.
+const LAST_PROJECT_KEY = 'literature-manager:last-project';
 
-const SHARED_PASSWORD = import.meta.env.VITE_SHARED_PASSWORD;
+// Firestore rejects batches with more than 500 writes; each entry also writes a history record.
+const BATCH_LIMIT = 250;
 
-// ===================================================================================
+// Trashed entries are purged automatically after this many days.
+const TRASH_RETENTION_DAYS = Number(import.meta.env.VITE_TRASH_RETENTION_DAYS) || 30;
+const UNDO_TIMEOUT_MS = 8000;
 
-// --- Helper Components ---
+// Show the app (from the local cache, possibly empty) if the server has not answered by then.
+const CONNECT_TIMEOUT_MS = 10000;
 
-const RatingStars = ({ rating, onRatingChange, readOnly = false }) => {
-  const [hoverRating, setHoverRating] = useState(0);
-  const totalStars = 3;
+const SEARCH_HELP = [
+  'Words and "quoted phrases" search titles, authors, topics, notes and PDF highlights, best matches first.',
+  'Limit a term to one field with author:, title:, topic:, journal:, method:, notes:, highlights:, status: or pic:.',
+  'Compare numbers with year:>=2020, year:2015..2020 or rating:3.',
+  'Put - in front of a term to exclude it, e.g. -reading.',
+].join('\n');
 
-  return (
-    <div className="flex items-center">
-      {[...Array(totalStars)].map((_, index) => {
-        const starValue = index + 1;
-        return (
-          <Star
-            key={starValue}
-            className={`w-5 h-5 cursor-pointer transition-colors ${
-              (hoverRating || rating) >= starValue ? 'text-yellow-400 fill-current' : 'text-gray-300'
-            }`}
-            onClick={() => !readOnly && onRatingChange(starValue)}
-            onMouseEnter={() => !readOnly && setHoverRating(starValue)}
-            onMouseLeave={() => !readOnly && setHoverRating(0)}
-          />
-        );
-      })}
-    </div>
-  );
-};
+// --- Helper Components ---
+
+const UndoToast = ({ message, onUndo, onDismiss }) => (
+  <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-gray-900 text-white text-sm px-5 py-3 rounded-xl shadow-2xl">
+    <span>{message}</span>
+    <button onClick={onUndo} className="inline-flex items-center gap-1 font-semibold text-blue-300 hover:text-blue-200"><RotateCcw className="w-4 h-4" /> Undo</button>
+    <button onClick={onDismiss} className="text-gray-400 hover:text-gray-200"><X className="w-4 h-4" /></button>
+  </div>
+);
 
 // --- Main Application ---
 
-const App = () => {
-  // --- Firebase and Auth State ---
-  const [db, setDb] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
+const App = ({ currentUser, profile, project, projects, onSwitchProject, onCreateProject, initialEntryId }) => {
+  const projectRef = useMemo(() => projectRefOf(db, project.id), [project.id]);
+
+  // --- Firebase State ---
   const [isLoading, setIsLoading] = useState(true);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [snapshotMeta, setSnapshotMeta] = useState({ fromCache: true, hasPendingWrites: false });
+  const [syncError, setSyncError] = useState('');
+  const [conflict, setConflict] = useState(null);
 
   // --- App State ---
   const [literature, setLiterature] = useState([]);
+  const [trash, setTrash] = useState([]);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingEntry, setEditingEntry] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortConfig, setSortConfig] = useState({ key: 'relevance', direction: 'descending' });
-  const [statusFilter, setStatusFilter] = useState('All');
+  // The search, filters, sort order and layout start from the URL, so shared links open the same view.
+  const [initialView] = useState(() => viewFromParams(new URLSearchParams(window.location.search)));
+  const [searchTerm, setSearchTerm] = useState(initialView.query);
+  const [sortConfig, setSortConfig] = useState(initialView.sortConfig);
+  const [filters, setFilters] = useState(initialView.filters);
   const [welcomeMessage, setWelcomeMessage] = useState('');
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [exportSelection, setExportSelection] = useState([]);
+  const [isDuplicatesOpen, setIsDuplicatesOpen] = useState(false);
+  const [historyEntry, setHistoryEntry] = useState(null);
+  const [isMembersOpen, setIsMembersOpen] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [undoDelete, setUndoDelete] = useState(null);
+  const [detailEntryId, setDetailEntryId] = useState(initialEntryId);
+  const [reviewTemplate, setReviewTemplate] = useState(DEFAULT_TEMPLATE);
+  const [isTemplateOpen, setIsTemplateOpen] = useState(false);
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+  const [isWorkflowOpen, setIsWorkflowOpen] = useState(false);
+  const [screeningSettings, setScreeningSettings] = useState(DEFAULT_SCREENING_SETTINGS);
+  const [layout, setLayout] = useState(initialView.layout);
+  const [tablePrefs, setTablePrefs] = useState(DEFAULT_TABLE_PREFS);
+  const [members, setMembers] = useState([]);
+  const [projectModal, setProjectModal] = useState(null);
+  const [copyEntry, setCopyEntry] = useState(null);
+  const [legacyCount, setLegacyCount] = useState(0);
+  const [isMigrating, setIsMigrating] = useState(false);
 
   const encouragingMessages = [
     "Welcome Back, Champ!", "Read something interesting lately?", "Don't forget to grab your lunch!",
@@ -84,96 +138,469 @@ const App = () => {
     "New day, new knowledge. What will we find?", "Keep up the great work, the project is looking good!"
   ];
 
-  // --- Firebase Initialization and Auth Effect ---
   useEffect(() => {
-    if (!firebaseConfig.apiKey) {
-        console.error("Firebase config is not set. Check your Netlify environment variables.");
-        setIsLoading(false);
-        return;
-    }
-    const app = initializeApp(firebaseConfig);
-    const auth = getAuth(app);
-    const firestoreDb = getFirestore(app);
-    setDb(firestoreDb);
-    onAuthStateChanged(auth, async (user) => {
-        if (user) {
-            setIsAuthReady(true);
-        } else {
-            try { await signInAnonymously(auth); } catch (error) { console.error(error); }
-        }
-    });
     setWelcomeMessage(encouragingMessages[Math.floor(Math.random() * encouragingMessages.length)]);
   }, []);
 
   // --- Firestore Data Fetching Effect ---
   useEffect(() => {
-    if (db && isAuthReady) {
-      const literatureCollection = collection(db, 'literature');
+    if (db) {
+      const literatureCollection = collection(projectRef, 'literature');
       const q = query(literatureCollection);
-      const unsubscribe = onSnapshot(q, (querySnapshot) => {
-        const literatureData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        setLiterature(literatureData);
+      const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (querySnapshot) => {
+        const literatureData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+        setLiterature(literatureData.filter(item => !item.deletedAt));
+        setTrash(literatureData.filter(item => item.deletedAt));
+        setSnapshotMeta({ fromCache: querySnapshot.metadata.fromCache, hasPendingWrites: querySnapshot.metadata.hasPendingWrites });
         setIsLoading(false);
       }, (error) => {
         console.error("Error fetching data: ", error);
         setIsLoading(false);
       });
-      return () => unsubscribe();
+      const timer = setTimeout(() => setIsLoading(false), CONNECT_TIMEOUT_MS);
+      return () => { clearTimeout(timer); unsubscribe(); };
     }
-  }, [db, isAuthReady]);
+  }, []);
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => { window.removeEventListener('online', goOnline); window.removeEventListener('offline', goOffline); };
+  }, []);
+  useEffect(() => {
+    if (!db) return;
+    const unsubscribe = onSnapshot(doc(projectRef, 'settings', 'reviewTemplate'), (templateDoc) => {
+      setReviewTemplate(templateDoc.exists() ? templateDoc.data() : DEFAULT_TEMPLATE);
+    }, (error) => console.error("Error fetching review template: ", error));
+    return () => unsubscribe();
+  }, []);
+  useEffect(() => {
+    if (!db) return;
+    const unsubscribe = onSnapshot(doc(projectRef, 'settings', 'workflow'), (workflowDoc) => {
+      setWorkflow(workflowDoc.exists() ? { statuses: workflowDoc.data().statuses } : DEFAULT_WORKFLOW);
+    }, (error) => console.error("Error fetching workflow: ", error));
+    return () => unsubscribe();
+  }, []);
+  useEffect(() => {
+    if (!db) return;
+    const unsubscribe = onSnapshot(doc(projectRef, 'settings', 'screening'), (settingsDoc) => {
+      setScreeningSettings(toScreeningSettings(settingsDoc.data()));
+    }, (error) => console.error("Error fetching screening settings: ", error));
+    return () => unsubscribe();
+  }, []);
+  useEffect(() => {
+    if (!db) return;
+    const unsubscribe = onSnapshot(preferencesRef(db, currentUser.uid), (preferencesDoc) => {
+      setTablePrefs(toTablePrefs(preferencesDoc.data()?.table));
+    }, (error) => console.error("Error fetching preferences: ", error));
+    return () => unsubscribe();
+  }, [currentUser.uid]);
+  useEffect(() => {
+    if (!db) return;
+    const unsubscribe = onSnapshot(collection(db, 'members'), (querySnapshot) => {
+      setMembers(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => console.error("Error fetching members: ", error));
+    return () => unsubscribe();
+  }, []);
+  // Entries stored before projects existed are offered to the lab owner for moving into a project.
+  useEffect(() => {
+    if (!db || !isLabOwner(profile)) return;
+    getCountFromServer(collection(db, 'literature'))
+      .then(snapshot => setLegacyCount(snapshot.data().count))
+      .catch(error => console.error("Error counting legacy entries: ", error));
+  }, []);
+
 
+  const statusOptions = useMemo(() => statusNames(workflow), [workflow]);
+  // Anyone in the project can be person in charge; names already used as PIC, e.g. from
+  // before PICs were picked from the team, stay available.
+  const picOptions = useMemo(() => [...new Set([
+    ...members.filter(member => project.memberIds?.includes(member.id)).map(member => member.name),
+    ...[...literature, ...trash].map(item => item.pic).filter(Boolean),
+  ])].sort((a, b) => a.localeCompare(b)), [members, project.memberIds, literature, trash]);
+  // Projects this user may add entries to, besides the current one.
+  const copyTargets = useMemo(() => projects.filter(p => p.id !== project.id && canEdit(projectUser(p, profile))), [projects, project.id, profile]);
 
   // --- Data Filtering and Sorting ---
   const filteredAndSortedLiterature = useMemo(() => {
-    let sortedLiterature = [...literature];
-    if (statusFilter !== 'All') sortedLiterature = sortedLiterature.filter(item => item.status === statusFilter);
-    if (searchTerm) {
-      sortedLiterature = sortedLiterature.filter(item =>
-        Object.values(item).some(val => String(val).toLowerCase().includes(searchTerm.toLowerCase()))
-      );
-    }
-    if (sortConfig.key !== null) {
-      sortedLiterature.sort((a, b) => {
-        if (a[sortConfig.key] < b[sortConfig.key]) return sortConfig.direction === 'ascending' ? -1 : 1;
-        if (a[sortConfig.key] > b[sortConfig.key]) return sortConfig.direction === 'ascending' ? 1 : -1;
-        return 0;
-      });
+    const terms = parseQuery(searchTerm);
+    let sortedLiterature = literature.filter(item => matchesFilters(item, filters) && matchesQuery(item, terms));
+    if (sortConfig.key === 'match') {
+      const scores = new Map(sortedLiterature.map(item => [item.id, scoreEntry(item, terms)]));
+      sortedLiterature.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    } else if (sortConfig.key !== null) {
+      sortedLiterature.sort(compareEntries(sortConfig, workflow));
     }
     return sortedLiterature;
-  }, [literature, searchTerm, sortConfig, statusFilter]);
+  }, [literature, searchTerm, sortConfig, filters, workflow]);
+
+  const viewParams = viewToParams({ query: searchTerm, filters, sortConfig, layout }).toString();
+  useEffect(() => {
+    const params = new URLSearchParams({ project: project.id });
+    new URLSearchParams(viewParams).forEach((value, key) => params.append(key, value));
+    if (detailEntryId) params.set('entry', detailEntryId);
+    window.history.replaceState(null, '', `?${params}`);
+  }, [viewParams, project.id, detailEntryId]);
+
+  const authorConversions = useMemo(() => legacyAuthorConversions([...literature, ...trash]), [literature, trash]);
+  const detailEntry = literature.find(item => item.id === detailEntryId);
+  // An entry moved to the Trash meanwhile still gets its conflict resolved.
+  const conflictEntry = conflict && (literature.find(item => item.id === conflict.base.id) ?? trash.find(item => item.id === conflict.base.id));
+  const duplicatePairs = useMemo(() => findDuplicatePairs(literature), [literature]);
   
   // --- UI Handlers ---
+  // Free-text searches are ranked by best match until a column header is clicked.
+  const handleSearchChange = (value) => {
+    const wasFreeText = hasFreeText(parseQuery(searchTerm));
+    const isFreeText = hasFreeText(parseQuery(value));
+    setSearchTerm(value);
+    if (isFreeText && !wasFreeText) setSortConfig({ key: 'match', direction: 'descending' });
+    if (!isFreeText && sortConfig.key === 'match') setSortConfig(DEFAULT_SORT);
+  };
+  const applyView = (params) => {
+    const view = viewFromParams(new URLSearchParams(params));
+    setSearchTerm(view.query);
+    setFilters(view.filters);
+    setSortConfig(view.sortConfig);
+    setLayout(view.layout);
+  };
   const handleSort = (key) => {
     setSortConfig(current => ({ key, direction: current.key === key && current.direction === 'ascending' ? 'descending' : 'ascending' }));
   };
-  const getSortIcon = (key) => {
-    if (sortConfig.key !== key) return <ChevronDown className="w-4 h-4 text-gray-400 opacity-50" />;
-    return sortConfig.direction === 'ascending' ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />;
-  }
+  // Moving into a status that requires a review needs every required template field filled in.
+  const isStatusAllowed = useCallback((entry, newStatus) => canSetStatus(currentUser, entry.status, newStatus, workflow)
+    && (newStatus === entry.status || !statusRequiresReview(workflow, newStatus) || missingRequiredFields(entry, reviewTemplate).length === 0),
+  [currentUser, reviewTemplate, workflow]);
   const openModal = (entry = null) => { setEditingEntry(entry); setIsModalOpen(true); };
   const closeModal = () => { setEditingEntry(null); setIsModalOpen(false); };
   const openDeleteConfirm = (id) => setShowDeleteConfirm(id);
   const closeDeleteConfirm = () => setShowDeleteConfirm(null);
 
   // --- Firestore CRUD Operations ---
-  const handleSave = useCallback(async (entryData) => {
+  // Each write goes through a batch so the change and its history record land together.
+  // Ratings and the comment counter have their own write paths, so a stale form never overwrites them.
+  // Writes are not awaited: offline they only settle once the connection returns (see sync.js).
+  const queueWrite = useCallback((write, action, edit = null) => {
+    write.catch(async (error) => {
+      console.error(`Error ${action}: `, error);
+      if (edit && isRejectedEdit(error)) {
+        try {
+          const latest = await getDocFromServer(doc(projectRef, 'literature', edit.base.id));
+          if ((latest.data()?.revision ?? 0) >= edit.revision) { setConflict(edit); return; }
+        } catch (fetchError) { console.error("Error fetching latest version: ", fetchError); }
+      }
+      setSyncError(`Error ${action}: ${error.message}`);
+    });
+  }, []);
+  const writeEntry = useCallback((original, entryData) => {
+    const batch = writeBatch(db);
+    if (original) {
+      const { ratings, relevance, commentCount, ...changes } = entryData;
+      const mine = editedFields(original, changes);
+      if (Object.keys(mine).length === 0) return;
+      // Someone else changed the same fields since this edit started: ask before overwriting.
+      const latest = literature.find(item => item.id === original.id) ?? trash.find(item => item.id === original.id) ?? original;
+      if (conflictingFields(original, mine, latest).length > 0) {
+        setConflict({ base: original, mine, revision: nextRevision(original) });
+        return;
+      }
+      const revision = nextRevision(latest);
+      batch.update(doc(projectRef, 'literature', original.id), stampUpdate({ ...mine, revision }, currentUser));
+      addHistory(batch, projectRef, original.id, currentUser, 'update', diffEntries(latest, mine));
+      queueWrite(batch.commit(), 'saving document', { base: original, mine, revision });
+    } else {
+      const entryRef = doc(collection(projectRef, 'literature'));
+      const ratings = entryData.relevance ? { [currentUser.uid]: { value: entryData.relevance, name: currentUser.name } } : {};
+      batch.set(entryRef, stampCreate({ ...entryData, ratings }, currentUser));
+      addHistory(batch, projectRef, entryRef.id, currentUser, 'create');
+      queueWrite(batch.commit(), 'saving document');
+    }
+  }, [literature, trash, currentUser, queueWrite]);
+  const handleSave = useCallback((entryData) => {
     if (!db) return;
-    try {
-      if (editingEntry) { await updateDoc(doc(db, 'literature', editingEntry.id), entryData); } 
-      else { await addDoc(collection(db, 'literature'), entryData); }
-      closeModal();
-    } catch (error) { console.error("Error saving document: ", error); }
-  }, [db, editingEntry]);
-  const handleDelete = useCallback(async (id) => {
-    if (!db || !id) return;
-    try { await deleteDoc(doc(db, 'literature', id)); closeDeleteConfirm(); } 
-    catch(error) { console.error("Error deleting document: ", error); closeDeleteConfirm(); }
-  }, [db]);
-  const handleStatusChange = useCallback(async (id, newStatus) => {
+    writeEntry(editingEntry, entryData);
+    closeModal();
+  }, [editingEntry, writeEntry]);
+  const handleResolveConflict = useCallback((resolved) => {
+    setConflict(null);
+    if (!conflictEntry || Object.keys(resolved).length === 0) return;
+    writeEntry(conflictEntry, { ...conflictEntry, ...resolved });
+  }, [conflictEntry, writeEntry]);
+  // Deleting moves the entry to the Trash; only purging removes the document.
+  const handleDelete = useCallback((ids) => {
+    if (!db || ids.length === 0 || !canDelete(currentUser)) return;
+    for (let start = 0; start < ids.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      ids.slice(start, start + BATCH_LIMIT).forEach(id => {
+        batch.update(doc(projectRef, 'literature', id), stampDelete(currentUser));
+        addHistory(batch, projectRef, id, currentUser, 'delete');
+      });
+      queueWrite(batch.commit(), 'deleting documents');
+    }
+    const title = literature.find(item => item.id === ids[0])?.title ?? 'Entry';
+    setUndoDelete({ ids, message: ids.length === 1 ? `"${title}" moved to Trash.` : `${ids.length} entries moved to Trash.` });
+  }, [literature, currentUser, queueWrite]);
+  const handleRestore = useCallback((ids) => {
+    if (!db || ids.length === 0 || !canDelete(currentUser)) return;
+    for (let start = 0; start < ids.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      ids.slice(start, start + BATCH_LIMIT).forEach(id => {
+        batch.update(doc(projectRef, 'literature', id), stampRestore(currentUser));
+        addHistory(batch, projectRef, id, currentUser, 'restore');
+      });
+      queueWrite(batch.commit(), 'restoring documents');
+    }
+    setUndoDelete(current => (current?.ids.some(id => ids.includes(id)) ? null : current));
+  }, [currentUser, queueWrite]);
+  // Attached PDFs are deleted from Storage once their entries are gone.
+  const purgeEntries = useCallback((ids) => {
+    if (!db || !canDelete(currentUser)) return;
+    for (let start = 0; start < ids.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      const purged = ids.slice(start, start + BATCH_LIMIT).map(id => trash.find(item => item.id === id) ?? { id });
+      purged.forEach(entry => {
+        batch.delete(doc(projectRef, 'literature', entry.id));
+        addHistory(batch, projectRef, entry.id, currentUser, 'purge', {}, entry.title ?? '');
+      });
+      const pdfPaths = purged.filter(entry => entry.pdf).map(entry => entry.pdf.path);
+      queueWrite(batch.commit().then(() => Promise.all(pdfPaths.map(path => deletePdfFile(storage, path)))), 'purging documents');
+    }
+  }, [trash, currentUser, queueWrite]);
+  const handlePurge = (ids) => {
+    purgeEntries(ids);
+    closeDeleteConfirm();
+  };
+  // Bulk status and PIC changes. Callers pass only entries the change is allowed for.
+  const handleBulkUpdate = useCallback((entries, changes) => {
+    if (!db || !canEdit(currentUser)) return;
+    const action = 'status' in changes ? 'status' : 'update';
+    for (let start = 0; start < entries.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      entries.slice(start, start + BATCH_LIMIT).forEach(entry => {
+        batch.update(doc(projectRef, 'literature', entry.id), stampUpdate({ ...changes, revision: nextRevision(entry) }, currentUser));
+        addHistory(batch, projectRef, entry.id, currentUser, action, diffEntries(entry, changes), `Changed ${entries.length} entries at once`);
+      });
+      queueWrite(batch.commit(), 'updating documents');
+    }
+  }, [currentUser, queueWrite]);
+  // Inline table edits take the same path as the form, including the conflict check.
+  const handleEditCell = useCallback((entry, key, value) => {
+    if (!db || !canEdit(currentUser)) return;
+    writeEntry(entry, { ...entry, [key]: value });
+  }, [currentUser, writeEntry]);
+  const handleSaveTablePrefs = useCallback((prefs) => {
+    if (!db) return;
+    setTablePrefs(prefs);
+    queueWrite(setDoc(preferencesRef(db, currentUser.uid), { table: prefs }, { merge: true }), 'saving table settings');
+  }, [currentUser, queueWrite]);
+  const handleStatusChange = useCallback((id, newStatus) => {
+    const previous = literature.find(item => item.id === id);
+    if (!db || !previous || !isStatusAllowed(previous, newStatus)) return;
+    const revision = nextRevision(previous);
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ status: newStatus, revision }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'status', diffEntries(previous, { status: newStatus }));
+    queueWrite(batch.commit(), 'updating status', { base: previous, mine: { status: newStatus }, revision });
+  }, [literature, isStatusAllowed, currentUser, queueWrite]);
+  const handleRate = useCallback((id, value) => {
+    const entry = literature.find(item => item.id === id);
+    if (!db || !entry || !canEdit(currentUser)) return;
+    const rating = { value, name: currentUser.name };
+    const relevance = relevanceFromRatings({ ...entry.ratings, [currentUser.uid]: rating });
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ [`ratings.${currentUser.uid}`]: { ...rating, at: serverTimestamp() }, relevance }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'rate', diffEntries({ relevance: entry.relevance }, { relevance }), `Rated ${value} of 3`);
+    queueWrite(batch.commit(), 'saving rating');
+  }, [literature, currentUser, queueWrite]);
+  // Imported entries start in the workflow's first status, like new ones.
+  const handleImport = useCallback((entries) => {
     if (!db) return;
-    try { await updateDoc(doc(db, 'literature', id), { status: newStatus }); } 
-    catch(error) { console.error("Error updating status: ", error); }
-  }, [db]);
+    const literatureCollection = collection(projectRef, 'literature');
+    for (let start = 0; start < entries.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      entries.slice(start, start + BATCH_LIMIT).forEach(entry => {
+        const entryRef = doc(literatureCollection);
+        batch.set(entryRef, stampCreate({ ...entry, status: statusOptions[0] }, currentUser));
+        addHistory(batch, projectRef, entryRef.id, currentUser, 'import');
+      });
+      queueWrite(batch.commit(), 'importing documents');
+    }
+    setIsImportOpen(false);
+  }, [currentUser, statusOptions, queueWrite]);
+  const handleSaveTemplate = useCallback((template) => {
+    if (!db || !isOwner(currentUser)) return;
+    queueWrite(setDoc(doc(projectRef, 'settings', 'reviewTemplate'), template), 'saving review template');
+  }, [currentUser, queueWrite]);
+  const handleSaveWorkflow = useCallback((newWorkflow) => {
+    if (!db || !isOwner(currentUser)) return;
+    queueWrite(setDoc(doc(projectRef, 'settings', 'workflow'), toWorkflowDoc(newWorkflow)), 'saving workflow');
+  }, [currentUser, queueWrite]);
+  const handleSaveScreeningSettings = useCallback((settings) => {
+    if (!db || !isOwner(currentUser)) return;
+    queueWrite(setDoc(doc(projectRef, 'settings', 'screening'), settings), 'saving exclusion reasons');
+  }, [currentUser, queueWrite]);
+  // Screening decisions are stored per reviewer, like ratings. The history note leaves the
+  // decision out so the second reviewer cannot see it there before deciding.
+  const handleScreeningDecision = useCallback((id, stageId, { decision, reason, note }) => {
+    const entry = literature.find(item => item.id === id);
+    if (!db || !entry || !canEdit(currentUser) || !canRecordDecision(entry, stageId, currentUser.uid)) return;
+    const { field, label } = SCREENING_STAGES[stageId];
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ [`${field}.${currentUser.uid}`]: { decision, reason, note, name: currentUser.name, at: serverTimestamp() } }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'screen', {}, label);
+    queueWrite(batch.commit(), 'saving screening decision');
+  }, [literature, currentUser, queueWrite]);
+  const handleResolveScreening = useCallback((id, stageId, { decision, reason, note }) => {
+    if (!db || !isOwner(currentUser)) return;
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ [`screeningResolutions.${stageId}`]: { decision, reason, note, by: currentUser.uid, byName: currentUser.name, at: serverTimestamp() } }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'resolve', {}, `${SCREENING_STAGES[stageId].label}: ${DECISIONS[decision].label}${reason ? ` (${reason})` : ''}`);
+    queueWrite(batch.commit(), 'resolving screening conflict');
+  }, [currentUser, queueWrite]);
+  const handleMerge = useCallback((keepId, mergedData, removeId) => {
+    if (!db || !canDelete(currentUser)) return;
+    const kept = literature.find(item => item.id === keepId);
+    const removed = literature.find(item => item.id === removeId);
+    const batch = writeBatch(db);
+    // Links to and from the removed entry move to the kept one.
+    const hasLinks = (removed?.relations ?? []).length > 0 || (kept?.relations ?? []).some(({ entryId }) => entryId === removeId);
+    const merged = { ...mergedData, ...(hasLinks && { relations: mergedRelations(kept, removed) }), ...mergedRatings(kept, removed) };
+    batch.update(doc(projectRef, 'literature', keepId), stampUpdate({ ...merged, revision: nextRevision(kept) }, currentUser));
+    addHistory(batch, projectRef, keepId, currentUser, 'merge', diffEntries(kept, merged), `Merged with "${removed?.title}"`);
+    batch.update(doc(projectRef, 'literature', removeId), stampDelete(currentUser));
+    addHistory(batch, projectRef, removeId, currentUser, 'delete', {}, `Merged into "${kept?.title}"`);
+    redirectedRelations(literature, removeId, keepId).filter(({ entry }) => entry.id !== keepId).forEach(({ entry, relations }) => {
+      batch.update(doc(projectRef, 'literature', entry.id), stampUpdate({ relations, revision: nextRevision(entry) }, currentUser));
+      addHistory(batch, projectRef, entry.id, currentUser, 'update', diffEntries(entry, { relations }), `Link moved to "${kept?.title}" after a merge`);
+    });
+    queueWrite(batch.commit(), 'merging documents');
+  }, [literature, currentUser, queueWrite]);
+  const handleDismissDuplicate = useCallback((idA, idB) => {
+    if (!db) return;
+    const titleOf = (id) => literature.find(item => item.id === id)?.title;
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', idA), stampUpdate({ notDuplicateOf: arrayUnion(idB) }, currentUser));
+    addHistory(batch, projectRef, idA, currentUser, 'update', {}, `Marked as not a duplicate of "${titleOf(idB)}"`);
+    batch.update(doc(projectRef, 'literature', idB), stampUpdate({ notDuplicateOf: arrayUnion(idA) }, currentUser));
+    addHistory(batch, projectRef, idB, currentUser, 'update', {}, `Marked as not a duplicate of "${titleOf(idA)}"`);
+    queueWrite(batch.commit(), 'dismissing duplicate');
+  }, [literature, currentUser, queueWrite]);
+
+  // The PDF itself is uploaded by the drawer; this records it on the entry.
+  // Highlights belong to one version of the file, so replacing it clears them.
+  const handleAttachPdf = useCallback((id, file) => {
+    const entry = literature.find(item => item.id === id);
+    if (!db || !entry || !canEdit(currentUser) || !canChangePdf(entry, currentUser, isOwner(currentUser))) return;
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ pdf: { ...file, uploadedBy: currentUser.uid, uploadedByName: currentUser.name, uploadedAt: serverTimestamp() }, annotations: deleteField() }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'attach', {}, file.name);
+    queueWrite(batch.commit(), 'attaching PDF');
+  }, [literature, currentUser, queueWrite]);
+  const handleRemovePdf = useCallback((id) => {
+    const entry = literature.find(item => item.id === id);
+    if (!db || !entry?.pdf || !canEdit(currentUser) || !canChangePdf(entry, currentUser, isOwner(currentUser))) return;
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ pdf: deleteField(), annotations: deleteField() }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'detach', {}, entry.pdf.name);
+    queueWrite(batch.commit(), 'removing PDF');
+  }, [literature, currentUser, queueWrite]);
+  // Each annotation is its own field (annotations.<id>), so concurrent highlights never overwrite each other.
+  const handleSaveAnnotation = useCallback((id, { id: annotationId, page, rects, text, note }) => {
+    const existing = literature.find(item => item.id === id)?.annotations?.[annotationId];
+    if (!db || !canEdit(currentUser) || (existing && existing.by !== currentUser.uid)) return;
+    const isNew = !existing;
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ [`annotations.${annotationId}`]: { page, rects, text, note, by: currentUser.uid, byName: currentUser.name, at: serverTimestamp() } }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'annotate', {}, `${isNew ? 'Highlighted' : 'Edited a note'} on page ${page}: "${text}"`);
+    queueWrite(batch.commit(), 'saving highlight');
+  }, [literature, currentUser, queueWrite]);
+  const handleDeleteAnnotation = useCallback((id, annotationId) => {
+    const annotation = literature.find(item => item.id === id)?.annotations?.[annotationId];
+    if (!db || !annotation || !canEdit(currentUser) || (annotation.by !== currentUser.uid && !isOwner(currentUser))) return;
+    const batch = writeBatch(db);
+    batch.update(doc(projectRef, 'literature', id), stampUpdate({ [`annotations.${annotationId}`]: deleteField() }, currentUser));
+    addHistory(batch, projectRef, id, currentUser, 'annotate', {}, `Deleted a highlight on page ${annotation?.page}: "${annotation?.text}"`);
+    queueWrite(batch.commit(), 'deleting highlight');
+  }, [literature, currentUser, queueWrite]);
+  // Entries from before authors were structured keep their text until converted here
+  // (or until they are next edited, which saves the list the form shows).
+  const handleConvertAuthors = useCallback(() => {
+    if (!db || !isOwner(currentUser)) return;
+    for (let start = 0; start < authorConversions.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      authorConversions.slice(start, start + BATCH_LIMIT).forEach(({ entry, authors }) => {
+        batch.update(doc(projectRef, 'literature', entry.id), stampUpdate({ authors, revision: nextRevision(entry) }, currentUser));
+        addHistory(batch, projectRef, entry.id, currentUser, 'update', diffEntries(entry, { authors }), 'Converted authors to a list');
+      });
+      queueWrite(batch.commit(), 'converting authors');
+    }
+  }, [authorConversions, currentUser, queueWrite]);
+  const handleSaveProject = useCallback((data) => {
+    if (!db || !isOwner(currentUser)) return;
+    queueWrite(updateDoc(projectRef, stampUpdate(data, currentUser)), 'saving project');
+  }, [currentUser, queueWrite]);
+  const handleCreateProject = useCallback((data) => {
+    if (!db || !isLabOwner(profile)) return;
+    onCreateProject(data);
+  }, [profile, onCreateProject]);
+  // A copy is independent; a link also records where each side lives, so either can open the other.
+  const handleCopyToProject = useCallback(async (entry, target, mode) => {
+    if (!db || (mode === 'link' && !canEdit(currentUser))) return;
+    const targetRef = projectRefOf(db, target.id);
+    let firstStatus = statusNames(DEFAULT_WORKFLOW)[0];
+    try {
+      const workflowDoc = await getDoc(doc(targetRef, 'settings', 'workflow'));
+      if (workflowDoc.exists()) firstStatus = statusNames(workflowDoc.data())[0] ?? firstStatus;
+    } catch (error) { console.error("Error fetching workflow: ", error); }
+    const copyRef = doc(collection(targetRef, 'literature'));
+    const source = { projectId: project.id, projectTitle: project.title, entryId: entry.id };
+    const batch = writeBatch(db);
+    batch.set(copyRef, stampCreate({ ...entryForProject(entry, mode), status: firstStatus, ratings: {}, relevance: 0, ...(mode === 'link' && { linkedFrom: source }) }, currentUser));
+    addHistory(batch, targetRef, copyRef.id, currentUser, mode, {}, `${mode === 'link' ? 'Linked' : 'Copied'} from "${project.title}"`);
+    if (mode === 'link') {
+      batch.update(doc(projectRef, 'literature', entry.id), stampUpdate({ linkedTo: arrayUnion({ projectId: target.id, projectTitle: target.title, entryId: copyRef.id }) }, currentUser));
+      addHistory(batch, projectRef, entry.id, currentUser, 'link', {}, `Linked to "${target.title}"`);
+    }
+    queueWrite(batch.commit(), 'adding entry to project');
+  }, [project, currentUser, queueWrite]);
+  const handleMigrate = useCallback(async () => {
+    setIsMigrating(true);
+    try {
+      await migrateLegacyData(db, projectRef);
+      setLegacyCount(0);
+    } catch (error) {
+      console.error("Error moving legacy entries: ", error);
+      setSyncError(`Error moving legacy entries: ${error.message}`);
+    }
+    setIsMigrating(false);
+  }, []);
+  // History written before records carried the project's id is left out of the dashboard until this adds it.
+  const handleStampHistory = useCallback(async () => {
+    if (!db || !isOwner(currentUser)) return;
+    try {
+      await stampProjectHistory(db, projectRef);
+    } catch (error) {
+      console.error("Error adding project ids to history: ", error);
+      setSyncError(`Error adding project ids to history: ${error.message}`);
+    }
+  }, [currentUser]);
+
+  // --- Trash Retention Effects ---
+  useEffect(() => {
+    if (!undoDelete) return;
+    const timer = setTimeout(() => setUndoDelete(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [undoDelete]);
+  // Expired entries are purged once per load, as soon as the server has confirmed the Trash.
+  const hasPurgedExpired = useRef(false);
+  useEffect(() => {
+    if (hasPurgedExpired.current || snapshotMeta.fromCache || !canDelete(currentUser)) return;
+    hasPurgedExpired.current = true;
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const expiredIds = trash.filter(item => item.deletedAt.toMillis() < cutoff).map(item => item.id);
+    if (expiredIds.length > 0) purgeEntries(expiredIds);
+  }, [trash, snapshotMeta, currentUser, purgeEntries]);
 
   // --- Render ---
   if (isLoading) {
@@ -190,110 +617,165 @@ const App = () => {
       <div className="container mx-auto p-4 sm:p-6 lg:p-8">
         <div className="mb-8 text-center">
             <h1 className="text-4xl font-bold text-gray-900">Literature Review Manager</h1>
-            <p className="mt-2 text-lg text-gray-600">Kajima Project 2025-2027</p>
+            <div className="mt-2 flex items-center justify-center gap-3 text-lg text-gray-600">
+                {projects.length > 1 ? (
+                    <select value={project.id} onChange={(e) => onSwitchProject(e.target.value)} aria-label="Project" className="bg-transparent border-none rounded-lg py-0 text-lg text-gray-600 focus:ring-2 focus:ring-blue-500">
+                        {projects.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+                    </select>
+                ) : <span>{project.title}</span>}
+                {isOwner(currentUser) && <button onClick={() => setProjectModal('edit')} title="Edit project" className="text-blue-600 hover:text-blue-800"><Edit className="w-4 h-4" /></button>}
+                {isLabOwner(profile) && <button onClick={() => setProjectModal('new')} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"><FolderPlus className="w-4 h-4" /> New project</button>}
+            </div>
+            {project.description && <p className="mt-1 text-sm text-gray-500">{project.description}</p>}
             <p className="mt-3 text-md text-blue-600 font-semibold">{welcomeMessage}</p>
+            <p className="mt-2 text-sm text-gray-500 flex items-center justify-center gap-2">
+                <User className="w-4 h-4" /> Signed in as <span className="font-semibold text-gray-700">{currentUser.name}</span> ({ROLES[roleOf(currentUser)].label})
+                {canManageMembers(currentUser) && <button onClick={() => setIsMembersOpen(true)} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"><Users className="w-4 h-4" /> Team</button>}
+                {isOwner(currentUser) && <button onClick={() => setIsTemplateOpen(true)} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"><ClipboardList className="w-4 h-4" /> Template</button>}
+                {isOwner(currentUser) && <button onClick={() => setIsWorkflowOpen(true)} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"><Workflow className="w-4 h-4" /> Workflow</button>}
+                <SyncIndicator state={syncState({ isOnline, ...snapshotMeta })} />
+                <button onClick={() => signOut(auth)} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"><LogOut className="w-4 h-4" /> Sign out</button>
+            </p>
         </div>
+        {legacyCount > 0 && (
+            <div className="mb-6 p-4 rounded-xl border border-amber-300 bg-amber-50 text-sm text-amber-800 flex items-center gap-4">
+                <DatabaseZap className="w-5 h-5 flex-shrink-0" />
+                <span className="flex-grow">{legacyCount} {legacyCount === 1 ? 'entry was' : 'entries were'} added before projects existed. Move them, with their history, comments, template, workflow and saved views, into "{project.title}"?</span>
+                <button onClick={handleMigrate} disabled={isMigrating} className="inline-flex items-center gap-2 bg-amber-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-amber-700 disabled:opacity-50">{isMigrating && <Loader2 className="w-4 h-4 animate-spin" />} Move here</button>
+            </div>
+        )}
+        {isOwner(currentUser) && authorConversions.length > 0 && (
+            <div className="mb-6 p-4 rounded-xl border border-blue-200 bg-blue-50 text-sm text-blue-800 flex items-center gap-4">
+                <Users className="w-5 h-5 flex-shrink-0" />
+                <span className="flex-grow">{authorConversions.length} {authorConversions.length === 1 ? 'entry stores its' : 'entries store their'} authors as free text. Convert them to author lists so they sort and export reliably. Names are split at ";" or "and", and read as "Family, Given" or "Given Family".</span>
+                <button onClick={handleConvertAuthors} className="flex-shrink-0 bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700">Convert</button>
+            </div>
+        )}
         <div className="mb-6 p-4 bg-white rounded-xl shadow-sm border border-gray-200">
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
                 <div className="relative md:col-span-1">
                     <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                    <input type="text" placeholder="Search literature..." className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} />
-                     {searchTerm && <X className="absolute right-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400 cursor-pointer" onClick={() => setSearchTerm('')} />}
+                    <input type="text" placeholder='Search, e.g. author:okada year:>=2020 "land use" -reading' title={SEARCH_HELP} className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" value={searchTerm} onChange={(e) => handleSearchChange(e.target.value)} />
+                     {searchTerm && <X className="absolute right-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400 cursor-pointer" onClick={() => handleSearchChange('')} />}
                 </div>
-                 <div className="md:col-span-1 flex items-center justify-center space-x-2">
-                    <label htmlFor="status-filter" className="text-sm font-medium text-gray-700">Filter:</label>
-                    <select id="status-filter" className="border border-gray-300 rounded-lg py-2 px-3 focus:ring-2 focus:ring-blue-500" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
-                        <option>All</option><option>To Read</option><option>Reading</option><option>Completed</option><option>Suggested for Benchmark</option><option>Benchmark</option>
-                    </select>
+                 <div className="md:col-span-1 flex items-center justify-center">
+                    <SavedViews projectRef={projectRef} currentUser={currentUser} currentParams={viewParams} canModerate={isOwner(currentUser)} onApply={applyView} />
                 </div>
-                <div className="md:col-span-1 flex justify-end">
-                    <button onClick={() => openModal()} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-all transform hover:scale-105">
-                        <Plus className="w-5 h-5" /> Add Literature
+                <div className="md:col-span-1 flex justify-end space-x-2">
+                    <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+                        <button onClick={() => setLayout('table')} title="Table view" className={`py-2 px-3 ${layout === 'table' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-100'}`}><Table className="w-5 h-5" /></button>
+                        <button onClick={() => setLayout('board')} title="Board view" className={`py-2 px-3 border-l border-gray-300 ${layout === 'board' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-100'}`}><Columns className="w-5 h-5" /></button>
+                        <button onClick={() => setLayout('dashboard')} title="Dashboard" className={`py-2 px-3 border-l border-gray-300 ${layout === 'dashboard' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-100'}`}><LayoutDashboard className="w-5 h-5" /></button>
+                        <button onClick={() => setLayout('screening')} title="Screening" className={`py-2 px-3 border-l border-gray-300 ${layout === 'screening' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-100'}`}><ListChecks className="w-5 h-5" /></button>
+                        <button onClick={() => setLayout('graph')} title="Related papers graph" className={`py-2 px-3 border-l border-gray-300 ${layout === 'graph' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-100'}`}><Network className="w-5 h-5" /></button>
+                    </div>
+                    {canEdit(currentUser) && duplicatePairs.length > 0 && (
+                        <button onClick={() => setIsDuplicatesOpen(true)} title="Review possible duplicates" className="inline-flex items-center gap-2 bg-amber-50 text-amber-700 font-semibold py-2 px-3 rounded-lg border border-amber-300 hover:bg-amber-100">
+                            <Copy className="w-5 h-5" /> {duplicatePairs.length}
+                        </button>
+                    )}
+                    {canEdit(currentUser) && (
+                        <button onClick={() => setIsImportOpen(true)} title="Import BibTeX / RIS / CSL-JSON" className="inline-flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-3 rounded-lg border border-gray-300 hover:bg-gray-100">
+                            <Upload className="w-5 h-5" /> Import
+                        </button>
+                    )}
+                    <button onClick={() => setIsTrashOpen(true)} title="Trash" className="inline-flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-3 rounded-lg border border-gray-300 hover:bg-gray-100">
+                        <Trash2 className="w-5 h-5" /> {trash.length > 0 && trash.length}
                     </button>
+                    <button onClick={() => setIsExportOpen(true)} title="Export BibTeX / RIS / CSL-JSON" className="inline-flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-3 rounded-lg border border-gray-300 hover:bg-gray-100">
+                        <Download className="w-5 h-5" /> Export
+                    </button>
+                    {canEdit(currentUser) && (
+                        <button onClick={() => openModal()} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-all transform hover:scale-105">
+                            <Plus className="w-5 h-5" /> Add Literature
+                        </button>
+                    )}
                 </div>
             </div>
+            <div className="mt-4 pt-4 border-t border-gray-100">
+                <FilterBar filters={filters} statusOptions={statusOptions} picOptions={picOptions} onChange={setFilters} />
+            </div>
         </div>
-        <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-x-auto">
-          <table className="w-full text-sm text-left text-gray-500">
-            <thead className="text-xs text-gray-700 uppercase bg-gray-100">
-              <tr>
-                <th scope="col" className="px-4 py-3 w-1/5 cursor-pointer" onClick={() => handleSort('title')}><div className="flex items-center">Title {getSortIcon('title')}</div></th>
-                <th scope="col" className="px-4 py-3 w-1/6 cursor-pointer" onClick={() => handleSort('authors')}><div className="flex items-center">Authors {getSortIcon('authors')}</div></th>
-                <th scope="col" className="px-4 py-3 cursor-pointer" onClick={() => handleSort('year')}><div className="flex items-center">Year {getSortIcon('year')}</div></th>
-                <th scope="col" className="px-4 py-3 w-1/5">Summary</th>
-                <th scope="col" className="px-4 py-3 cursor-pointer" onClick={() => handleSort('relevance')}><div className="flex items-center">Relevance {getSortIcon('relevance')}</div></th>
-                <th scope="col" className="px-4 py-3 cursor-pointer" onClick={() => handleSort('status')}><div className="flex items-center">Status {getSortIcon('status')}</div></th>
-                <th scope="col" className="px-4 py-3 cursor-pointer" onClick={() => handleSort('pic')}><div className="flex items-center">PIC {getSortIcon('pic')}</div></th>
-                <th scope="col" className="px-4 py-3 text-center">Link</th>
-                <th scope="col" className="px-4 py-3 text-center">Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredAndSortedLiterature.map((item) => (
-                <tr key={item.id} className="bg-white border-b hover:bg-gray-50 transition-colors">
-                  <td className="px-4 py-4 font-bold text-gray-900">{item.title}</td>
-                  <td className="px-4 py-4 text-gray-600">{item.authors}</td>
-                  <td className="px-4 py-4">{item.year}</td>
-                  <td className="px-4 py-4 text-xs">{item.summary}</td>
-                  <td className="px-4 py-4"><RatingStars rating={item.relevance} readOnly={true} /></td>
-                  <td className="px-4 py-4">
-                     <select value={item.status} onChange={(e) => handleStatusChange(item.id, e.target.value)} className="border-none bg-transparent rounded-lg p-1 focus:ring-1 focus:ring-blue-500">
-                        <option>To Read</option><option>Reading</option><option>Completed</option><option>Suggested for Benchmark</option><option>Benchmark</option>
-                    </select>
-                  </td>
-                  <td className="px-4 py-4">{item.pic}</td>
-                  <td className="px-4 py-4 text-center">
-                    {item.link && (
-                      <a href={item.link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 transition-colors inline-block">
-                        <LinkIcon className="w-5 h-5" />
-                      </a>
-                    )}
-                  </td>
-                  <td className="px-4 py-4">
-                    <div className="flex items-center justify-center space-x-3">
-                        <button onClick={() => openModal(item)} className="text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /></button>
-                        <button onClick={() => openDeleteConfirm(item.id)} className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-           {filteredAndSortedLiterature.length === 0 && !isLoading && (
-              <div className="text-center py-16">
-                  <h3 className="text-xl font-semibold text-gray-700">No Literature Found</h3>
-                  <p className="text-gray-500 mt-2">Start by adding your first research paper!</p>
-              </div>
-          )}
-        </div>
+        {layout === 'graph' ? (
+          <GraphView entries={filteredAndSortedLiterature} workflow={workflow} onOpen={setDetailEntryId} />
+        ) : layout === 'screening' ? (
+          <ScreeningView db={db} project={project} entries={filteredAndSortedLiterature} allEntries={literature} currentUser={currentUser} settings={screeningSettings} canScreen={canEdit(currentUser)} canResolve={isOwner(currentUser)} onDecide={handleScreeningDecision} onResolve={handleResolveScreening} onSaveSettings={handleSaveScreeningSettings} onOpen={setDetailEntryId} />
+        ) : layout === 'dashboard' ? (
+          <DashboardView db={db} project={project} entries={filteredAndSortedLiterature} workflow={workflow} picOptions={picOptions} onStampHistory={isOwner(currentUser) ? handleStampHistory : null} />
+        ) : layout === 'board' ? (
+          <BoardView entries={filteredAndSortedLiterature} workflow={workflow} picOptions={picOptions} canEdit={canEdit(currentUser)} isStatusAllowed={isStatusAllowed} onStatusChange={handleStatusChange} onOpen={setDetailEntryId} />
+        ) : (
+          <LiteratureTable entries={filteredAndSortedLiterature} workflow={workflow} statusOptions={statusOptions} picOptions={picOptions} sortConfig={sortConfig} prefs={tablePrefs} isLoading={isLoading}
+            canEdit={canEdit(currentUser)} canDelete={canDelete(currentUser)} isStatusAllowed={isStatusAllowed}
+            onSort={handleSort} onChangePrefs={handleSaveTablePrefs} onStatusChange={handleStatusChange} onEditCell={handleEditCell}
+            onBulkUpdate={handleBulkUpdate} onBulkDelete={(entries) => handleDelete(entries.map(entry => entry.id))} onBulkExport={(entries) => { setExportSelection(entries); setIsExportOpen(true); }}
+            onOpen={setDetailEntryId} onEdit={openModal} onHistory={setHistoryEntry} onDelete={(id) => handleDelete([id])} />
+        )}
       </div>
-      {isModalOpen && <LiteratureModal entry={editingEntry} onSave={handleSave} onClose={closeModal} />}
-      {showDeleteConfirm && <DeleteConfirmModal onConfirm={() => handleDelete(showDeleteConfirm)} onCancel={closeDeleteConfirm}/>}
+      {isModalOpen && <LiteratureModal entry={editingEntry} literature={literature} currentUser={currentUser} statusOptions={statusOptions} picOptions={picOptions} isStatusAllowed={isStatusAllowed} onRate={handleRate} onSave={handleSave} onClose={closeModal} />}
+      {detailEntry && <EntryDrawer key={detailEntry.id} projectRef={projectRef} entry={detailEntry} entries={literature} template={reviewTemplate} statusOptions={statusOptions} picOptions={picOptions} currentUser={currentUser} isStatusAllowed={isStatusAllowed} canEdit={canEdit(currentUser)} canModerate={isOwner(currentUser)} openableProjectIds={projects.map(p => p.id)} onSave={(entryData) => writeEntry(detailEntry, entryData)} onRate={handleRate} onCopy={copyTargets.length > 0 ? () => setCopyEntry(detailEntry) : null} onOpenLinked={onSwitchProject} onAttachPdf={(file) => handleAttachPdf(detailEntry.id, file)} onRemovePdf={() => handleRemovePdf(detailEntry.id)} onSaveAnnotation={(annotation) => handleSaveAnnotation(detailEntry.id, annotation)} onDeleteAnnotation={(annotationId) => handleDeleteAnnotation(detailEntry.id, annotationId)} onOpenEntry={setDetailEntryId} onClose={() => setDetailEntryId(null)} />}
+      {copyEntry && <CopyEntryModal entry={copyEntry} targetProjects={copyTargets} canLink={canEdit(currentUser)} onCopy={handleCopyToProject} onClose={() => setCopyEntry(null)} />}
+      {projectModal && <ProjectModal project={projectModal === 'edit' ? project : null} onSave={projectModal === 'edit' ? handleSaveProject : handleCreateProject} onClose={() => setProjectModal(null)} />}
+      {isWorkflowOpen && <WorkflowModal workflow={workflow} literature={[...literature, ...trash]} onSave={handleSaveWorkflow} onClose={() => setIsWorkflowOpen(false)} />}
+      {isTemplateOpen && <ReviewTemplateModal template={reviewTemplate} onSave={handleSaveTemplate} onClose={() => setIsTemplateOpen(false)} />}
+      {isTrashOpen && <TrashModal trash={trash} retentionDays={TRASH_RETENTION_DAYS} canManage={canDelete(currentUser)} onRestore={(id) => handleRestore([id])} onPurge={openDeleteConfirm} onClose={() => setIsTrashOpen(false)} />}
+      {showDeleteConfirm && <DeleteConfirmModal onConfirm={() => handlePurge([showDeleteConfirm])} onCancel={closeDeleteConfirm}/>}
+      {conflictEntry && <ConflictModal key={conflictEntry.id} conflict={conflict} current={conflictEntry} onResolve={handleResolveConflict} onDiscard={() => setConflict(null)} />}
+      {syncError && <SyncErrorToast message={syncError} onDismiss={() => setSyncError('')} />}
+      {undoDelete && <UndoToast message={undoDelete.message} onUndo={() => handleRestore(undoDelete.ids)} onDismiss={() => setUndoDelete(null)} />}
+      {isImportOpen && <ImportModal picOptions={picOptions} literature={literature} onImport={handleImport} onClose={() => setIsImportOpen(false)} />}
+      {isExportOpen && <ExportModal selectedEntries={exportSelection} visibleEntries={filteredAndSortedLiterature} allEntries={literature} onClose={() => { setIsExportOpen(false); setExportSelection([]); }} />}
+      {isDuplicatesOpen && <DuplicatesModal pairs={duplicatePairs} template={reviewTemplate} statusOptions={statusOptions} canMerge={canDelete(currentUser)} onMerge={handleMerge} onDismiss={handleDismissDuplicate} onClose={() => setIsDuplicatesOpen(false)} />}
+      {historyEntry && <HistoryPanel projectRef={projectRef} entry={historyEntry} entries={literature} onClose={() => setHistoryEntry(null)} />}
+      {isMembersOpen && <MembersModal db={db} projectRef={projectRef} project={project} currentUser={currentUser} onClose={() => setIsMembersOpen(false)} />}
     </div>
   );
 };
 
 
 // --- Modal Components ---
-const LiteratureModal = ({ entry, onSave, onClose }) => {
-    const picOptions = ["Alba", "Favio", "Okada", "Otchia", "Ishikawa", "Seiki"];
-    const statusOptions = ["To Read", "Reading", "Completed", "Suggested for Benchmark", "Benchmark"];
+const LiteratureModal = ({ entry, literature, currentUser, statusOptions, picOptions, isStatusAllowed, onRate, onSave, onClose }) => {
     const [formData, setFormData] = useState({
-        title: '', authors: '', year: new Date().getFullYear(), publication: '',
-        topic: '', data: '', unitOfObservations: '', pic: picOptions[0],
+        title: '', authors: [], year: new Date().getFullYear(), publication: '',
+        topic: '', data: '', unitOfObservations: '', pic: picOptions[0] ?? '',
         summary: '', findings: '', method: '', contributions: '',
         relevance: 2, status: statusOptions[0], link: ''
     });
-    useEffect(() => { if (entry) setFormData(entry) }, [entry]);
+    const [error, setError] = useState('');
+    useEffect(() => { if (entry) setFormData({ ...entry, authors: toAuthorList(entry.authors) }) }, [entry]);
+    // Resolved metadata replaces the reference fields; an abstract only fills an empty summary.
+    const handleResolved = ({ summary, ...fields }) => {
+        setFormData(prev => ({ ...prev, ...fields, summary: prev.summary || summary || '' }));
+    };
     const handleChange = (e) => {
         const { name, value, type } = e.target;
         setFormData(prev => ({ ...prev, [name]: type === 'number' ? parseInt(value, 10) : value }));
     };
-    const handleRatingChange = (newRating) => setFormData(prev => ({ ...prev, relevance: newRating }));
+    // New entries start with the author's rating; existing ones are rated straight away, per reviewer.
+    const handleRatingChange = (newRating) => {
+        if (!entry) { setFormData(prev => ({ ...prev, relevance: newRating })); return; }
+        setFormData(prev => ({ ...prev, ratings: { ...prev.ratings, [currentUser.uid]: { value: newRating, name: currentUser.name } } }));
+        onRate(entry.id, newRating);
+    };
+    const ownRating = entry ? formData.ratings?.[currentUser.uid]?.value ?? 0 : formData.relevance;
+    const duplicates = useMemo(
+        () => (formData.title || formData.link ? findDuplicates(formData, literature, entry?.id) : []),
+        [formData, literature, entry]
+    );
     const handleSubmit = (e) => {
         e.preventDefault();
         const { id, ...dataToSave } = formData;
-        onSave(dataToSave);
+        const authors = cleanAuthorList(dataToSave.authors);
+        if (authors.length === 0) {
+            setError('Enter at least one author.');
+            return;
+        }
+        // The status menu is only checked when it is opened; the fields may have changed since.
+        if (!isStatusAllowed({ ...formData, status: entry?.status }, formData.status)) {
+            setError(`"${formData.status}" is reserved for the owner or needs every required review field filled in.`);
+            return;
+        }
+        onSave({ ...dataToSave, authors });
     };
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
@@ -301,9 +783,10 @@ const LiteratureModal = ({ entry, onSave, onClose }) => {
                 <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800">{entry ? 'Edit Literature' : 'Add New Literature'}</h2><button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
                 <form onSubmit={handleSubmit} className="flex-grow overflow-y-auto">
                     <div className="p-8 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-x-6 gap-y-6">
+                        <div className="lg:col-span-3"><IdentifierLookup onResolved={handleResolved} /></div>
                         <div className="lg:col-span-2"><label htmlFor="title" className="label">Title</label><input type="text" name="title" id="title" value={formData.title} onChange={handleChange} className="form-input" required /></div>
                         <div><label htmlFor="year" className="label">Year</label><input type="number" name="year" id="year" value={formData.year} onChange={handleChange} className="form-input" required /></div>
-                        <div className="lg:col-span-2"><label htmlFor="authors" className="label">Authors</label><input type="text" name="authors" id="authors" value={formData.authors} onChange={handleChange} className="form-input" required /></div>
+                        <div className="lg:col-span-2"><label htmlFor="authors" className="label">Authors</label><AuthorsField id="authors" authors={formData.authors} onChange={(authors) => { setFormData(prev => ({ ...prev, authors })); setError(''); }} /></div>
                         <div><label htmlFor="publication" className="label">Journal / Conference</label><input type="text" name="publication" id="publication" value={formData.publication} onChange={handleChange} className="form-input" /></div>
                         
                         <div className="lg:col-span-3">
@@ -320,14 +803,26 @@ const LiteratureModal = ({ entry, onSave, onClose }) => {
                         <hr className="lg:col-span-3 my-2"/>
 
                         <div className="lg:col-span-3"><label htmlFor="summary" className="label">Summary</label><textarea name="summary" id="summary" rows="3" value={formData.summary} onChange={handleChange} className="form-textarea"></textarea></div>
+
+                        <div className="lg:col-span-3"><span className="label">Related Papers</span><RelationsField entry={formData} entries={literature} onChange={(relations) => setFormData(prev => ({ ...prev, relations }))} /></div>
                         
                         <hr className="lg:col-span-3 my-2"/>
 
-                        <div><label htmlFor="status" className="label">Status</label><select name="status" id="status" value={formData.status} onChange={handleChange} className="form-input">{statusOptions.map(s=><option key={s} value={s}>{s}</option>)}</select></div>
-                        <div><label className="label">Relevance Score</label><RatingStars rating={formData.relevance} onRatingChange={handleRatingChange} /></div>
+                        <div><label htmlFor="status" className="label">Status</label><select name="status" id="status" value={formData.status} onChange={handleChange} className="form-input">{statusOptions.map(s=><option key={s} value={s} disabled={!isStatusAllowed({ ...formData, status: entry?.status }, s)}>{s}</option>)}</select></div>
+                        <div><label className="label">{entry ? 'Your Relevance Rating' : 'Relevance Score'}</label><RatingStars rating={ownRating} onRatingChange={handleRatingChange} /></div>
                         <div><label htmlFor="pic" className="label">Person In Charge (PIC)</label><select name="pic" id="pic" value={formData.pic} onChange={handleChange} className="form-input">{picOptions.map(p=><option key={p} value={p}>{p}</option>)}</select></div>
                     </div>
-                    <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4"><button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button><button type="submit" className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700">Save</button></div>
+                    {duplicates.length > 0 && (
+                        <div className="mx-8 mb-6 p-4 rounded-lg border border-amber-300 bg-amber-50 text-sm text-amber-800">
+                            <p className="flex items-center gap-2 font-semibold"><AlertTriangle className="w-5 h-5" /> This paper may already be in the collection:</p>
+                            <ul className="mt-2 ml-7 list-disc space-y-1">
+                                {duplicates.slice(0, 3).map(({ entry: match, reasons }) => (
+                                    <li key={match.id}><span className="font-semibold">{match.title}</span> ({match.pic}, {match.status}) — {reasons.join(', ')}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">{error && <p className="text-red-500 text-sm mr-auto">{error}</p>}<button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button><button type="submit" className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700">{duplicates.length > 0 ? 'Save Anyway' : 'Save'}</button></div>
                 </form>
             </div>
         </div>
@@ -336,22 +831,32 @@ const LiteratureModal = ({ entry, onSave, onClose }) => {
 const DeleteConfirmModal = ({ onConfirm, onCancel }) => {
     return (
         <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex justify-center items-center p-4">
-            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-sm"><div className="p-8 text-center"><Trash2 className="w-16 h-16 text-red-500 mx-auto mb-4"/><h3 className="text-xl font-bold text-gray-800">Are you sure?</h3><p className="text-gray-600 mt-2">Do you really want to delete this entry? This process cannot be undone.</p></div><div className="p-4 bg-gray-50 flex justify-center items-center space-x-4 rounded-b-2xl"><button onClick={onCancel} className="bg-white text-gray-700 px-6 py-2 rounded-lg border border-gray-300 hover:bg-gray-100 font-semibold">Cancel</button><button onClick={onConfirm} className="bg-red-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-red-700">Delete</button></div></div>
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-sm"><div className="p-8 text-center"><Trash2 className="w-16 h-16 text-red-500 mx-auto mb-4"/><h3 className="text-xl font-bold text-gray-800">Are you sure?</h3><p className="text-gray-600 mt-2">Do you really want to permanently delete this entry? This process cannot be undone.</p></div><div className="p-4 bg-gray-50 flex justify-center items-center space-x-4 rounded-b-2xl"><button onClick={onCancel} className="bg-white text-gray-700 px-6 py-2 rounded-lg border border-gray-300 hover:bg-gray-100 font-semibold">Cancel</button><button onClick={onConfirm} className="bg-red-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-red-700">Delete</button></div></div>
         </div>
     )
 }
 
-const PasswordGate = ({ onAuthenticated }) => {
+const SIGN_IN_ERRORS = {
+    'auth/invalid-credential': 'Incorrect email or password. Please try again.',
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/user-disabled': 'This account has been disabled. Please contact the project owner.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+};
+
+const SignInPage = () => {
+    const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
+    const [isSigningIn, setIsSigningIn] = useState(false);
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        if (password === SHARED_PASSWORD) {
-            onAuthenticated(true);
-            sessionStorage.setItem('isAuthenticated', 'true');
-        } else {
-            setError('Incorrect password. Please try again.');
+        setIsSigningIn(true);
+        try {
+            await signInWithEmailAndPassword(auth, email.trim(), password);
+        } catch (error) {
+            setError(SIGN_IN_ERRORS[error.code] ?? 'Sign in failed. Please try again.');
+            setIsSigningIn(false);
         }
     };
 
@@ -359,19 +864,30 @@ const PasswordGate = ({ onAuthenticated }) => {
         <div className="bg-gray-100 min-h-screen flex flex-col justify-center items-center">
             <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md text-center">
                 <KeyRound className="w-16 h-16 text-blue-500 mx-auto mb-4" />
-                <h1 className="text-2xl font-bold text-gray-800 mb-2">Access Required</h1>
-                <p className="text-gray-600 mb-6">Please enter the password to access the Literature Manager.</p>
-                <form onSubmit={handleSubmit}>
+                <h1 className="text-2xl font-bold text-gray-800 mb-2">Sign In</h1>
+                <p className="text-gray-600 mb-6">Please sign in with your team account to access the Literature Manager.</p>
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    <input
+                        type="email"
+                        value={email}
+                        autoComplete="username"
+                        onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                        className="form-input w-full"
+                        placeholder="Email"
+                        required
+                    />
                     <input
                         type="password"
                         value={password}
+                        autoComplete="current-password"
                         onChange={(e) => { setPassword(e.target.value); setError(''); }}
-                        className="form-input w-full text-center"
-                        placeholder="Enter password"
+                        className="form-input w-full"
+                        placeholder="Password"
+                        required
                     />
-                    {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
-                    <button type="submit" className="w-full mt-4 bg-blue-600 text-white font-semibold py-3 rounded-lg hover:bg-blue-700 transition-colors">
-                        Enter
+                    {error && <p className="text-red-500 text-sm">{error}</p>}
+                    <button type="submit" disabled={isSigningIn} className="w-full mt-1 bg-blue-600 text-white font-semibold py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50">
+                        {isSigningIn ? 'Signing in...' : 'Sign In'}
                     </button>
                 </form>
             </div>
@@ -380,22 +896,173 @@ const PasswordGate = ({ onAuthenticated }) => {
 }
 
 
-const GlobalStyles = () => (<style jsx global>{`.label{display:block;margin-bottom:.25rem;font-size:.875rem;font-weight:500;color:#374151}.form-input,.form-textarea{display:block;width:100%;padding:.5rem .75rem;font-size:1rem;color:#333;border:1px solid #d1d5db;border-radius:.5rem;transition:all .15s ease-in-out}.form-input:focus,.form-textarea:focus{outline:0;border-color:#3b82f6;box-shadow:0 0 0 3px rgba(59,130,246,.25)}`}</style>);
+const GlobalStyles = () => (<style jsx global>{`.label{display:block;margin-bottom:.25rem;font-size:.875rem;font-weight:500;color:#374151}.form-input,.form-textarea{display:block;width:100%;padding:.5rem .75rem;font-size:1rem;color:#333;border:1px solid #d1d5db;border-radius:.5rem;transition:all .15s ease-in-out}.form-input:focus,.form-textarea:focus{outline:0;border-color:#3b82f6;box-shadow:0 0 0 3px rgba(59,130,246,.25)}.markdown p{margin:.25rem 0}.markdown ul{list-style:disc;padding-left:1.25rem}.markdown ol{list-style:decimal;padding-left:1.25rem}.markdown a{color:#2563eb;text-decoration:underline}.markdown code{background:#f3f4f6;padding:0 .25rem;border-radius:.25rem}.markdown blockquote{border-left:3px solid #d1d5db;padding-left:.75rem;color:#6b7280}.markdown h1,.markdown h2,.markdown h3{font-weight:600;margin:.5rem 0 .25rem}@media print{body.printing-report #root{display:none}}`}</style>);
 
-// The AppWrapper now manages the password authentication state
-const AppWrapper = () => {
-    const [isAuthenticated, setIsAuthenticated] = useState(
-        sessionStorage.getItem('isAuthenticated') === 'true'
+// Shown when the signed-in account belongs to no project yet.
+const NoProjectsPage = ({ profile, onCreate }) => {
+    const [isCreating, setIsCreating] = useState(false);
+    return (
+        <div className="bg-gray-100 min-h-screen flex flex-col justify-center items-center">
+            <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md text-center">
+                <FolderPlus className="w-16 h-16 text-blue-500 mx-auto mb-4" />
+                <h1 className="text-2xl font-bold text-gray-800 mb-2">No Projects Yet</h1>
+                {isLabOwner(profile) ? (
+                    <>
+                        <p className="text-gray-600 mb-6">Create the first project to start collecting literature. Entries added before projects existed can be moved into it afterwards.</p>
+                        <button onClick={() => setIsCreating(true)} className="w-full bg-blue-600 text-white font-semibold py-3 rounded-lg hover:bg-blue-700 transition-colors">Create Project</button>
+                    </>
+                ) : (
+                    <p className="text-gray-600 mb-6">You are not a member of any project. Ask the project owner to add you to the team.</p>
+                )}
+                <button onClick={() => signOut(auth)} className="mt-4 inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"><LogOut className="w-4 h-4" /> Sign out</button>
+            </div>
+            {isCreating && <ProjectModal project={null} onSave={onCreate} onClose={() => setIsCreating(false)} />}
+        </div>
     );
+};
+
+// Shown when an account can sign in but has no profile in 'members', or the profile
+// could not be loaded: only the lab owner can add team members.
+const NoAccessPage = ({ message }) => (
+    <div className="bg-gray-100 min-h-screen flex flex-col justify-center items-center">
+        <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md text-center">
+            <UserX className="w-16 h-16 text-red-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-800 mb-2">No Access</h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <button onClick={() => signOut(auth)} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"><LogOut className="w-4 h-4" /> Sign out</button>
+        </div>
+    </div>
+);
+
+// Shown instead of the sign-in form when the build has no Firebase configuration.
+const NotConfiguredPage = () => (
+    <div className="bg-gray-100 min-h-screen flex flex-col justify-center items-center">
+        <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md text-center">
+            <ServerOff className="w-16 h-16 text-red-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-800 mb-2">Not Connected</h1>
+            <p className="text-gray-600">The app has no Firebase configuration. Set the VITE_FIREBASE_* environment variables and deploy again.</p>
+        </div>
+    </div>
+);
 
-    if (!isAuthenticated) {
-        return <PasswordGate onAuthenticated={setIsAuthenticated} />;
+// The AppWrapper signs the user in, maps the account to a team member and picks the project.
+// Team members live in the 'members' collection, keyed by Firebase Auth uid; their role
+// in each project is stored on the project (see projects.js).
+const AppWrapper = () => {
+    const [profile, setProfile] = useState(null);
+    // Why a signed-in account was not let in, if it was not.
+    const [accessError, setAccessError] = useState('');
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [projects, setProjects] = useState(null);
+    const [createError, setCreateError] = useState('');
+    // The project (and entry) to open: from the URL, else the one used last on this device.
+    const [location, setLocation] = useState(() => {
+        const params = new URLSearchParams(window.location.search);
+        return { projectId: params.get('project') ?? localStorage.getItem(LAST_PROJECT_KEY), entryId: params.get('entry') };
+    });
+
+    useEffect(() => {
+        if (!isFirebaseConfigured) {
+            console.error("Firebase config is not set. Check your Netlify environment variables.");
+            setIsAuthReady(true);
+            return;
+        }
+        let unsubscribeMember = () => {};
+        const unsubscribeAuth = onAuthStateChanged(auth, (user) => {
+            unsubscribeMember();
+            setAccessError('');
+            if (!user) {
+                setProfile(null);
+                setIsAuthReady(true);
+                return;
+            }
+            // Signing in is not enough: the account also needs a team profile.
+            unsubscribeMember = onSnapshot(doc(db, 'members', user.uid), { includeMetadataChanges: true }, (memberDoc) => {
+                // A profile missing only from the offline cache may still be on the server.
+                if (!memberDoc.exists() && memberDoc.metadata.fromCache) return;
+                if (memberDoc.exists()) {
+                    setProfile({ uid: user.uid, email: user.email, name: user.displayName || user.email, ...memberDoc.data() });
+                    setAccessError('');
+                } else {
+                    setProfile(null);
+                    setAccessError(`${user.email} is not on the team yet. Ask the lab owner to add this account.`);
+                }
+                setIsAuthReady(true);
+            }, (error) => {
+                console.error("Error fetching member profile: ", error);
+                setProfile(null);
+                setAccessError('Your team profile could not be loaded. Please reload the page.');
+                setIsAuthReady(true);
+            });
+        });
+        return () => { unsubscribeMember(); unsubscribeAuth(); };
+    }, []);
+
+    useEffect(() => {
+        if (!profile) return;
+        setProjects(null);
+        const unsubscribe = onSnapshot(projectsQuery(db, profile), (querySnapshot) => {
+            setProjects(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (a.title ?? '').localeCompare(b.title ?? '')));
+        }, (error) => {
+            console.error("Error fetching projects: ", error);
+            setProjects([]);
+        });
+        return () => unsubscribe();
+    }, [profile?.uid, profile?.role]);
+
+    const project = projects?.find(p => p.id === location.projectId) ?? projects?.[0];
+    useEffect(() => {
+        if (project) localStorage.setItem(LAST_PROJECT_KEY, project.id);
+    }, [project?.id]);
+
+    // Switching starts from that project's default view.
+    const switchProject = useCallback((projectId, entryId = null) => {
+        window.history.replaceState(null, '', `?project=${projectId}`);
+        setLocation({ projectId, entryId });
+    }, []);
+    // The new project opens straight away, so a rejected write is reported here rather
+    // than by the project it was created from.
+    const handleCreateProject = useCallback((data) => {
+        const { projectId, write } = createProject(db, data, profile);
+        write.catch((error) => {
+            console.error("Error creating project: ", error);
+            setCreateError(`Error creating project: ${error.message}`);
+        });
+        switchProject(projectId);
+    }, [profile, switchProject]);
+
+    if (!isAuthReady || (profile && !projects)) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-50">
+                <Loader2 className="w-12 h-12 text-blue-600 animate-spin" />
+            </div>
+        );
     }
-    
+
+    const renderContent = () => {
+        if (!isFirebaseConfigured) return <NotConfiguredPage />;
+        if (accessError) return <NoAccessPage message={accessError} />;
+        if (!profile) return <SignInPage />;
+        if (!project) return <NoProjectsPage profile={profile} onCreate={handleCreateProject} />;
+        return (
+            <App
+                key={project.id}
+                currentUser={projectUser(project, profile)}
+                profile={profile}
+                project={project}
+                projects={projects}
+                onSwitchProject={switchProject}
+                onCreateProject={handleCreateProject}
+                initialEntryId={project.id === location.projectId ? location.entryId : null}
+            />
+        );
+    };
+
     return (
         <>
             <GlobalStyles />
-            <App />
+            {renderContent()}
+            {createError && <SyncErrorToast message={createError} onDismiss={() => setCreateError('')} />}
         </>
     );
 }
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Plus, X, ArrowUp } from 'lucide-react';
+import { toAuthorList, parseAuthors } from './authors';
+
+const emptyName = () => ({ family: '', given: '' });
+
+// One row per author, in citation order. Pasting a whole list such as
+// "Okada, Taro; Jane Doe" into a name field splits it into rows.
+const AuthorsField = ({ id, authors, onChange }) => {
+    const rows = toAuthorList(authors);
+    const list = rows.length > 0 ? rows : [emptyName()];
+
+    const update = (index, changes) => onChange(list.map((name, i) => (i === index ? { ...name, ...changes } : name)));
+    const remove = (index) => onChange(list.filter((_, i) => i !== index));
+    const moveUp = (index) => onChange(list.map((name, i) => (i === index - 1 ? list[index] : i === index ? list[index - 1] : name)));
+    const handlePaste = (index, e) => {
+        const text = e.clipboardData.getData('text');
+        if (!/;|\s+and\s+|\n/i.test(text)) return;
+        e.preventDefault();
+        onChange([...list.slice(0, index), ...parseAuthors(text.replace(/\n+/g, ';')), ...list.slice(index + 1)]);
+    };
+
+    return (
+        <div className="space-y-2">
+            {list.map((name, index) => (
+                <div key={index} className="flex gap-2 items-center">
+                    {name.literal !== undefined ? (
+                        <input type="text" value={name.literal} onChange={(e) => update(index, { literal: e.target.value })} onPaste={(e) => handlePaste(index, e)} className="form-input" placeholder="Organisation" aria-label="Organisation" />
+                    ) : (
+                        <>
+                            <input type="text" id={index === 0 ? id : undefined} value={name.family} onChange={(e) => update(index, { family: e.target.value })} onPaste={(e) => handlePaste(index, e)} className="form-input" placeholder="Family name" aria-label="Family name" required={index === 0} />
+                            <input type="text" value={name.given ?? ''} onChange={(e) => update(index, { given: e.target.value })} onPaste={(e) => handlePaste(index, e)} className="form-input" placeholder="Given names" aria-label="Given names" />
+                        </>
+                    )}
+                    <button type="button" onClick={() => moveUp(index)} disabled={index === 0} title="Move up" className="text-gray-400 hover:text-gray-600 disabled:opacity-30"><ArrowUp className="w-4 h-4" /></button>
+                    <button type="button" onClick={() => remove(index)} disabled={list.length === 1} title="Remove author" className="text-gray-400 hover:text-red-600 disabled:opacity-30"><X className="w-4 h-4" /></button>
+                </div>
+            ))}
+            <button type="button" onClick={() => onChange([...list, emptyName()])} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"><Plus className="w-4 h-4" /> Add author</button>
+        </div>
+    );
+};
+
+export default AuthorsField;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { MessageSquare } from 'lucide-react';
+import RatingStars from './RatingStars';
+import { aggregateRatings } from './ratings';
+import { COLOR_CLASSES } from './workflow';
+import { formatAuthors } from './authors';
+
+const UNASSIGNED = 'Unassigned';
+
+const BoardCard = ({ entry, canDrag, onDragStart, onDragEnd, onOpen }) => (
+    <li draggable={canDrag} onDragStart={(e) => { e.dataTransfer.setData('text/plain', entry.id); e.dataTransfer.effectAllowed = 'move'; onDragStart(entry); }} onDragEnd={onDragEnd}
+        className={`bg-white rounded-lg border border-gray-200 shadow-sm p-3 ${canDrag ? 'cursor-grab active:cursor-grabbing' : ''}`}>
+        <button onClick={() => onOpen(entry.id)} className="text-left text-sm font-semibold text-gray-900 hover:text-blue-700 hover:underline">{entry.title}</button>
+        <p className="text-xs text-gray-500 mt-1 truncate">{formatAuthors(entry.authors)} ({entry.year})</p>
+        <div className="flex justify-between items-center mt-2 text-xs text-gray-500">
+            <RatingStars rating={Math.round(aggregateRatings(entry).average)} readOnly={true} />
+            <span className="flex items-center gap-2">
+                {entry.commentCount > 0 && <span className="inline-flex items-center gap-0.5"><MessageSquare className="w-3 h-3" />{entry.commentCount}</span>}
+                {entry.pic}
+            </span>
+        </div>
+    </li>
+);
+
+// One column per workflow status. Dropping a card changes its status through the same
+// path as the table's status select, so permissions and review checks apply unchanged.
+const BoardView = ({ entries, workflow, picOptions, canEdit, isStatusAllowed, onStatusChange, onOpen }) => {
+    const [groupByPic, setGroupByPic] = useState(false);
+    const [dragged, setDragged] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+
+    const lanes = groupByPic
+        ? [...picOptions, UNASSIGNED].map(pic => ({ name: pic, entries: entries.filter(e => (picOptions.includes(e.pic) ? e.pic : UNASSIGNED) === pic) })).filter(lane => lane.entries.length > 0)
+        : [{ name: null, entries }];
+    const countByStatus = (status) => entries.filter(e => e.status === status).length;
+    const canDrop = (status) => dragged !== null && dragged.status !== status && isStatusAllowed(dragged, status);
+
+    const handleDragOver = (e, status, laneName) => {
+        if (!canDrop(status)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        setDropTarget(`${laneName}/${status}`);
+    };
+    const handleDrop = (e, status) => {
+        e.preventDefault();
+        if (canDrop(status)) onStatusChange(dragged.id, status);
+        setDragged(null);
+        setDropTarget(null);
+    };
+    const endDrag = () => { setDragged(null); setDropTarget(null); };
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-4">
+            <div className="flex justify-end mb-3">
+                <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={groupByPic} onChange={(e) => setGroupByPic(e.target.checked)} className="rounded" /> Swimlanes by PIC
+                </label>
+            </div>
+            <div className="overflow-x-auto">
+                <div className="grid gap-3 min-w-max" style={{ gridTemplateColumns: `repeat(${workflow.statuses.length}, minmax(16rem, 1fr))` }}>
+                    {workflow.statuses.map(status => {
+                        const count = countByStatus(status.name);
+                        const isOverLimit = status.wipLimit > 0 && count > status.wipLimit;
+                        return (
+                            <div key={status.name} className={`flex justify-between items-center px-3 py-2 bg-gray-50 rounded-lg border-t-4 ${(COLOR_CLASSES[status.color] ?? COLOR_CLASSES.gray).header}`}>
+                                <span className="text-sm font-semibold text-gray-800">{status.name}</span>
+                                <span title={status.wipLimit ? `Work-in-progress limit: ${status.wipLimit}` : undefined} className={`text-xs font-semibold px-2 py-0.5 rounded-full ${isOverLimit ? 'bg-red-100 text-red-700' : 'bg-gray-200 text-gray-700'}`}>
+                                    {count}{status.wipLimit ? ` / ${status.wipLimit}` : ''}
+                                </span>
+                            </div>
+                        );
+                    })}
+                    {lanes.map(lane => (
+                        <React.Fragment key={lane.name ?? 'all'}>
+                            {lane.name && <h3 className="text-xs font-semibold uppercase text-gray-500 mt-2" style={{ gridColumn: '1 / -1' }}>{lane.name} ({lane.entries.length})</h3>}
+                            {workflow.statuses.map(status => {
+                                const cellKey = `${lane.name}/${status.name}`;
+                                return (
+                                    <ul key={cellKey} onDragOver={(e) => handleDragOver(e, status.name, lane.name)} onDragLeave={() => setDropTarget(current => (current === cellKey ? null : current))} onDrop={(e) => handleDrop(e, status.name)}
+                                        className={`space-y-2 min-h-[4rem] p-2 rounded-lg transition-colors ${dropTarget === cellKey ? 'bg-blue-50 ring-2 ring-blue-300' : canDrop(status.name) ? 'bg-gray-50 ring-1 ring-blue-200' : 'bg-gray-50'}`}>
+                                        {lane.entries.filter(e => e.status === status.name).map(entry => (
+                                            <BoardCard key={entry.id} entry={entry} canDrag={canEdit} onDragStart={setDragged} onDragEnd={endDrag} onOpen={onOpen} />
+                                        ))}
+                                    </ul>
+                                );
+                            })}
+                        </React.Fragment>
+                    ))}
+                </div>
+            </div>
+            {entries.length === 0 && (
+                <div className="text-center py-16">
+                    <h3 className="text-xl font-semibold text-gray-700">No Literature Found</h3>
+                    <p className="text-gray-500 mt-2">Start by adding your first research paper!</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BoardView;
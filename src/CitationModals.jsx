@@ -0,0 +1,157 @@
+import React, { useState, useMemo } from 'react';
+import { X, Upload, Download, AlertTriangle, CheckCircle } from 'lucide-react';
+import { CITATION_FORMATS, detectFormat, parseCitations, downloadCitations } from './citationFormats';
+import { findImportDuplicates } from './duplicates';
+import { formatAuthors } from './authors';
+
+// --- Import Modal ---
+
+export const ImportModal = ({ picOptions, literature, onImport, onClose }) => {
+    const [text, setText] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [format, setFormat] = useState('bibtex');
+    const [pic, setPic] = useState(picOptions[0]);
+    // Rows whose default selection the user flipped; duplicates start unselected.
+    const [toggled, setToggled] = useState(new Set());
+
+    const rows = useMemo(() => (text.trim() ? parseCitations(text, format) : []), [text, format]);
+    const duplicates = useMemo(() => findImportDuplicates(rows.map(row => row.entry), literature), [rows, literature]);
+    const isSelected = (row, index) => row.errors.length === 0 && (duplicates[index].length === 0) !== toggled.has(index);
+    const acceptedRows = rows.filter(isSelected);
+
+    const loadText = (value, name = '') => {
+        setText(value);
+        setFileName(name);
+        setFormat(detectFormat(value, name));
+        setToggled(new Set());
+    };
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (file) loadText(await file.text(), file.name);
+    };
+    const toggleRow = (index) => {
+        setToggled(prev => {
+            const next = new Set(prev);
+            if (next.has(index)) next.delete(index); else next.add(index);
+            return next;
+        });
+    };
+    const handleImport = () => onImport(acceptedRows.map(row => ({ ...row.entry, pic })));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800">Import Literature</h2><button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
+                <div className="flex-grow overflow-y-auto p-8 space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <label htmlFor="import-file" className="label">File (.bib, .ris, .json)</label>
+                            <input type="file" id="import-file" accept=".bib,.bibtex,.ris,.json" onChange={handleFileChange} className="form-input" />
+                            {fileName && <p className="text-xs text-gray-500 mt-1">{fileName}</p>}
+                        </div>
+                        <div>
+                            <label htmlFor="import-format" className="label">Format</label>
+                            <select id="import-format" value={format} onChange={(e) => setFormat(e.target.value)} className="form-input">
+                                {Object.entries(CITATION_FORMATS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="import-pic" className="label">Person In Charge (PIC)</label>
+                            <select id="import-pic" value={pic} onChange={(e) => setPic(e.target.value)} className="form-input">{picOptions.map(p => <option key={p} value={p}>{p}</option>)}</select>
+                        </div>
+                    </div>
+                    <div>
+                        <label htmlFor="import-text" className="label">...or paste citations</label>
+                        <textarea id="import-text" rows="5" value={text} onChange={(e) => loadText(e.target.value)} className="form-textarea font-mono text-xs" placeholder="@article{...}" />
+                    </div>
+                    {rows.length > 0 && (
+                        <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                            <table className="w-full text-sm text-left text-gray-500">
+                                <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                                    <tr>
+                                        <th scope="col" className="px-3 py-2"></th>
+                                        <th scope="col" className="px-3 py-2">Title</th>
+                                        <th scope="col" className="px-3 py-2">Authors</th>
+                                        <th scope="col" className="px-3 py-2">Year</th>
+                                        <th scope="col" className="px-3 py-2">Journal / Conference</th>
+                                        <th scope="col" className="px-3 py-2">Check</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map((row, index) => {
+                                        const hasErrors = row.errors.length > 0;
+                                        const [duplicate] = duplicates[index];
+                                        return (
+                                            <tr key={index} className={`border-b ${hasErrors ? 'bg-red-50' : duplicate ? 'bg-amber-50' : 'bg-white'}`}>
+                                                <td className="px-3 py-2"><input type="checkbox" disabled={hasErrors} checked={isSelected(row, index)} onChange={() => toggleRow(index)} /></td>
+                                                <td className="px-3 py-2 font-bold text-gray-900">{row.entry.title || <span className="text-gray-400">{row.source}</span>}</td>
+                                                <td className="px-3 py-2 text-gray-600">{formatAuthors(row.entry.authors)}</td>
+                                                <td className="px-3 py-2">{row.entry.year}</td>
+                                                <td className="px-3 py-2">{row.entry.publication}</td>
+                                                <td className="px-3 py-2">
+                                                    {hasErrors
+                                                        ? <span className="flex items-start gap-1 text-red-600 text-xs"><AlertTriangle className="w-4 h-4 flex-shrink-0" />{row.errors.join(', ')}</span>
+                                                        : duplicate
+                                                            ? <span className="flex items-start gap-1 text-amber-700 text-xs"><AlertTriangle className="w-4 h-4 flex-shrink-0" />Possible duplicate of {duplicate.row === undefined ? '' : `row ${duplicate.row + 1} in this file, `}"{duplicate.entry.title}" ({duplicate.reasons.join(', ')})</span>
+                                                            : <CheckCircle className="w-4 h-4 text-green-600" />}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+                <div className="p-6 bg-gray-50 border-t flex justify-between items-center">
+                    <p className="text-sm text-gray-600">{rows.length > 0 && `${acceptedRows.length} of ${rows.length} entries selected`}</p>
+                    <div className="flex items-center space-x-4">
+                        <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                        <button type="button" onClick={handleImport} disabled={acceptedRows.length === 0} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed">
+                            <Upload className="w-5 h-5" /> Import
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Export Modal ---
+
+export const ExportModal = ({ selectedEntries = [], visibleEntries, allEntries, onClose }) => {
+    const [format, setFormat] = useState('bibtex');
+    const [scope, setScope] = useState(selectedEntries.length > 0 ? 'selection' : 'view');
+
+    const handleExport = () => {
+        const entries = { selection: selectedEntries, view: visibleEntries, all: allEntries }[scope];
+        downloadCitations(entries, format, { selection: 'literature-selection', view: 'literature-view', all: 'literature' }[scope]);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md">
+                <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800">Export Literature</h2><button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
+                <div className="p-8 space-y-6">
+                    <div>
+                        <label htmlFor="export-format" className="label">Format</label>
+                        <select id="export-format" value={format} onChange={(e) => setFormat(e.target.value)} className="form-input">
+                            {Object.entries(CITATION_FORMATS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </div>
+                    <div className="space-y-2">
+                        <span className="label">Entries</span>
+                        {selectedEntries.length > 0 && <label className="flex items-center gap-2 text-sm"><input type="radio" name="export-scope" checked={scope === 'selection'} onChange={() => setScope('selection')} /> Selected entries ({selectedEntries.length})</label>}
+                        <label className="flex items-center gap-2 text-sm"><input type="radio" name="export-scope" checked={scope === 'view'} onChange={() => setScope('view')} /> Current view ({visibleEntries.length})</label>
+                        <label className="flex items-center gap-2 text-sm"><input type="radio" name="export-scope" checked={scope === 'all'} onChange={() => setScope('all')} /> Whole collection ({allEntries.length})</label>
+                    </div>
+                </div>
+                <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4 rounded-b-2xl">
+                    <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                    <button type="button" onClick={handleExport} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700"><Download className="w-5 h-5" /> Export</button>
+                </div>
+            </div>
+        </div>
+    );
+};
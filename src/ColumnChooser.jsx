@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { Columns3, ArrowUp, ArrowDown } from 'lucide-react';
+import { TABLE_COLUMNS, DEFAULT_TABLE_PREFS, findColumn } from './tableColumns';
+
+// Which table columns are shown and in what order. Widths are set by dragging the
+// header edges; hidden columns keep their width for when they are shown again.
+const ColumnChooser = ({ prefs, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const visibleKeys = prefs.columns.map(column => column.key);
+    const hidden = TABLE_COLUMNS.filter(column => !visibleKeys.includes(column.key));
+
+    const setColumns = (columns) => onChange({ ...prefs, columns });
+    const toggle = (key) => (visibleKeys.includes(key)
+        ? setColumns(prefs.columns.filter(column => column.key !== key))
+        : setColumns([...prefs.columns, { key, width: findColumn(key).width }]));
+    const move = (index, offset) => {
+        const columns = [...prefs.columns];
+        [columns[index], columns[index + offset]] = [columns[index + offset], columns[index]];
+        setColumns(columns);
+    };
+
+    return (
+        <div className="relative">
+            <button onClick={() => setIsOpen(open => !open)} className="inline-flex items-center gap-2 text-sm text-gray-700 font-semibold py-1.5 px-3 rounded-lg border border-gray-300 hover:bg-gray-100"><Columns3 className="w-4 h-4" /> Columns</button>
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 mt-2 w-72 bg-white rounded-xl shadow-xl border border-gray-200 z-30 p-3">
+                        <ul className="space-y-1">
+                            {prefs.columns.map((column, index) => (
+                                <li key={column.key} className="flex items-center gap-2 text-sm">
+                                    <label className="flex-grow flex items-center gap-2"><input type="checkbox" checked={true} disabled={prefs.columns.length === 1} onChange={() => toggle(column.key)} className="rounded" /> {findColumn(column.key).label}</label>
+                                    <button onClick={() => move(index, -1)} disabled={index === 0} title="Move left" className="text-gray-400 hover:text-gray-600 disabled:opacity-30"><ArrowUp className="w-4 h-4" /></button>
+                                    <button onClick={() => move(index, 1)} disabled={index === prefs.columns.length - 1} title="Move right" className="text-gray-400 hover:text-gray-600 disabled:opacity-30"><ArrowDown className="w-4 h-4" /></button>
+                                </li>
+                            ))}
+                            {hidden.map(column => (
+                                <li key={column.key} className="text-sm">
+                                    <label className="flex items-center gap-2 text-gray-500"><input type="checkbox" checked={false} onChange={() => toggle(column.key)} className="rounded" /> {column.label}</label>
+                                </li>
+                            ))}
+                        </ul>
+                        <button onClick={() => setColumns(DEFAULT_TABLE_PREFS.columns)} className="mt-3 text-sm text-blue-600 hover:text-blue-800">Reset to default</button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ColumnChooser;
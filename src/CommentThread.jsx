@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Loader2, Send, Trash2, MessageSquare } from 'lucide-react';
+import { collection, onSnapshot, query, orderBy, doc, writeBatch, serverTimestamp, increment } from 'firebase/firestore';
+import { stampUpdate } from './audit';
+
+const formatTime = (timestamp) => (timestamp ? timestamp.toDate().toLocaleString() : '');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const mentionPattern = (names) => new RegExp(`@(${names.map(escapeRegExp).join('|')})\\b`, 'g');
+
+const parseMentions = (text, names) => [...new Set([...text.matchAll(mentionPattern(names))].map(match => match[1]))];
+
+const CommentText = ({ text, names, currentName }) => {
+    const parts = text.split(mentionPattern(names));
+    // split() with a capture group puts the mentioned names at odd indexes.
+    return (
+        <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+            {parts.map((part, index) => (index % 2 === 1
+                ? <span key={index} className={`font-semibold rounded px-0.5 ${part === currentName ? 'bg-yellow-100 text-yellow-800' : 'text-blue-700'}`}>@{part}</span>
+                : part))}
+        </p>
+    );
+};
+
+const CommentThread = ({ projectRef, entry, picOptions, currentUser, canComment, canModerate }) => {
+    const [comments, setComments] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [text, setText] = useState('');
+    const [mentionQuery, setMentionQuery] = useState(null);
+    const textareaRef = useRef(null);
+
+    useEffect(() => {
+        const q = query(collection(projectRef, 'literature', entry.id, 'comments'), orderBy('at', 'asc'));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setComments(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+            setIsLoading(false);
+        }, (error) => {
+            console.error("Error fetching comments: ", error);
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [projectRef, entry.id]);
+
+    const mentionSuggestions = mentionQuery === null ? [] : picOptions.filter(name => name.toLowerCase().startsWith(mentionQuery.toLowerCase()));
+
+    const handleTextChange = (e) => {
+        const value = e.target.value;
+        setText(value);
+        const beforeCursor = value.slice(0, e.target.selectionStart);
+        const match = /(?:^|\s)@(\w*)$/.exec(beforeCursor);
+        setMentionQuery(match ? match[1] : null);
+    };
+    const insertMention = (name) => {
+        const cursor = textareaRef.current.selectionStart;
+        const before = text.slice(0, cursor).replace(/@(\w*)$/, `@${name} `);
+        setText(before + text.slice(cursor));
+        setMentionQuery(null);
+        textareaRef.current.focus();
+    };
+    // Commits are not awaited, so posting also works offline (see sync.js).
+    const handlePost = (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        const batch = writeBatch(projectRef.firestore);
+        batch.set(doc(collection(projectRef, 'literature', entry.id, 'comments')), {
+            text: text.trim(),
+            mentions: parseMentions(text, picOptions),
+            by: currentUser.uid,
+            byName: currentUser.name,
+            at: serverTimestamp(),
+        });
+        batch.update(doc(projectRef, 'literature', entry.id), stampUpdate({ commentCount: increment(1) }, currentUser));
+        batch.commit().catch(error => console.error("Error posting comment: ", error));
+        setText('');
+    };
+    const handleDelete = (commentId) => {
+        const batch = writeBatch(projectRef.firestore);
+        batch.delete(doc(projectRef, 'literature', entry.id, 'comments', commentId));
+        batch.update(doc(projectRef, 'literature', entry.id), stampUpdate({ commentCount: increment(-1) }, currentUser));
+        batch.commit().catch(error => console.error("Error deleting comment: ", error));
+    };
+
+    return (
+        <section>
+            <h3 className="label flex items-center gap-1"><MessageSquare className="w-4 h-4" /> Discussion</h3>
+            {isLoading ? (
+                <div className="flex justify-center py-6"><Loader2 className="w-6 h-6 text-blue-600 animate-spin" /></div>
+            ) : comments.length === 0 ? (
+                <p className="text-sm text-gray-400 italic">No comments yet. Start the discussion, e.g. why this paper should be a benchmark.</p>
+            ) : (
+                <ul className="space-y-3">
+                    {comments.map(comment => (
+                        <li key={comment.id} className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+                            <div className="flex justify-between items-center mb-1">
+                                <p className="text-xs"><span className="font-semibold text-gray-900">{comment.byName}</span> <span className="text-gray-500">{formatTime(comment.at)}</span></p>
+                                {(comment.by === currentUser.uid || canModerate) && <button onClick={() => handleDelete(comment.id)} className="text-gray-400 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>}
+                            </div>
+                            <CommentText text={comment.text} names={picOptions} currentName={currentUser.name} />
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {canComment && (
+                <form onSubmit={handlePost} className="mt-3 relative">
+                    <textarea ref={textareaRef} rows="3" value={text} onChange={handleTextChange} onKeyDown={(e) => { if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handlePost(e); }} className="form-textarea text-sm" placeholder="Write a comment. Use @ to mention a team member." />
+                    {mentionSuggestions.length > 0 && (
+                        <ul className="absolute left-0 bottom-full mb-1 bg-white border border-gray-200 rounded-lg shadow-lg text-sm z-10">
+                            {mentionSuggestions.map(name => (
+                                <li key={name}><button type="button" onClick={() => insertMention(name)} className="w-full text-left px-3 py-1 hover:bg-blue-50">@{name}</button></li>
+                            ))}
+                        </ul>
+                    )}
+                    <div className="flex justify-end mt-2">
+                        <button type="submit" disabled={!text.trim()} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold px-4 py-1.5 rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm">
+                            <Send className="w-4 h-4" /> Post
+                        </button>
+                    </div>
+                </form>
+            )}
+        </section>
+    );
+};
+
+export default CommentThread;
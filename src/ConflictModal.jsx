@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { FIELD_LABELS } from './DuplicatesModal';
+import { conflictingFields } from './sync';
+import { formatAuthors } from './authors';
+
+const formatValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return <span className="text-gray-400 italic">empty</span>;
+    if (field === 'authors') return formatAuthors(value);
+    if (typeof value === 'object') return JSON.stringify(value, null, 2);
+    return String(value);
+};
+
+// Shown when an edit was based on an older version of the entry, typically because
+// two people changed it while one of them was offline.
+const ConflictModal = ({ conflict, current, onResolve, onDiscard }) => {
+    const { base, mine } = conflict;
+    const fields = Object.keys(mine);
+    const conflicts = conflictingFields(base, mine, current);
+    const [choices, setChoices] = useState(() => Object.fromEntries(fields.map(field => [field, 'mine'])));
+
+    const handleResolve = () => {
+        onResolve(Object.fromEntries(fields.filter(field => choices[field] === 'mine').map(field => [field, mine[field]])));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="p-6 border-b">
+                    <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><AlertTriangle className="w-6 h-6 text-amber-500" /> Conflicting Changes</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                        {current.updatedByName ?? 'Someone'} changed "{current.title}" after you started editing it. Choose which version to keep for each field you changed.
+                    </p>
+                </div>
+                <div className="flex-grow overflow-y-auto p-6">
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                            <tr>
+                                <th scope="col" className="px-3 py-2 w-1/6">Field</th>
+                                <th scope="col" className="px-3 py-2">Your version</th>
+                                <th scope="col" className="px-3 py-2">Current version</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map(field => (
+                                <tr key={field} className={`border-b align-top ${conflicts.includes(field) ? 'bg-amber-50' : ''}`}>
+                                    <td className="px-3 py-2 font-medium text-gray-700">
+                                        {FIELD_LABELS[field] ?? field}
+                                        {conflicts.includes(field) && <span className="block text-xs font-semibold text-amber-700">changed by both</span>}
+                                    </td>
+                                    {[['mine', mine[field]], ['theirs', current[field]]].map(([side, value]) => (
+                                        <td key={side} className={`px-3 py-2 cursor-pointer ${choices[field] === side ? 'bg-blue-50 text-gray-900' : ''}`} onClick={() => setChoices(prev => ({ ...prev, [field]: side }))}>
+                                            <label className="flex items-start gap-2 cursor-pointer">
+                                                <input type="radio" name={`conflict-${field}`} checked={choices[field] === side} onChange={() => setChoices(prev => ({ ...prev, [field]: side }))} className="mt-1" />
+                                                <span className="whitespace-pre-wrap break-words">{formatValue(field, value)}</span>
+                                            </label>
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                    <button type="button" onClick={onDiscard} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Discard My Changes</button>
+                    <button type="button" onClick={handleResolve} className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700">Save Selected</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConflictModal;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { X, Copy, Link2 } from 'lucide-react';
+
+const MODES = {
+    copy: { icon: Copy, label: 'Copy', description: 'An independent copy with all notes, quotes and extraction fields. Status, ratings and discussion start fresh.' },
+    link: { icon: Link2, label: 'Link', description: 'Only the reference (title, authors, year, venue, DOI). Both entries show the link, so the other project\'s notes are one click away.' },
+};
+
+// Linking also records the link on this entry, so it needs edit rights here as well;
+// viewers can only copy.
+const CopyEntryModal = ({ entry, targetProjects, canLink, onCopy, onClose }) => {
+    const [targetId, setTargetId] = useState(targetProjects[0]?.id ?? '');
+    const [mode, setMode] = useState(canLink ? 'link' : 'copy');
+    const modes = Object.entries(MODES).filter(([key]) => key !== 'link' || canLink);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!targetId) return;
+        onCopy(entry, targetProjects.find(p => p.id === targetId), mode);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg">
+                <form onSubmit={handleSubmit}>
+                    <div className="flex justify-between items-start p-6 border-b">
+                        <div>
+                            <h2 className="text-2xl font-bold text-gray-800">Add to Another Project</h2>
+                            <p className="text-sm text-gray-600 mt-1">{entry.title}</p>
+                        </div>
+                        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                    </div>
+                    <div className="p-8 space-y-5">
+                        {targetProjects.length === 0 ? (
+                            <p className="text-sm text-gray-500">You can only add entries to projects where you are an owner or assistant, and there are none besides this one.</p>
+                        ) : (
+                            <>
+                                <div>
+                                    <label htmlFor="target-project" className="label">Project</label>
+                                    <select id="target-project" value={targetId} onChange={(e) => setTargetId(e.target.value)} className="form-input">
+                                        {targetProjects.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+                                    </select>
+                                </div>
+                                <div className="space-y-2">
+                                    {modes.map(([key, { icon: Icon, label, description }]) => (
+                                        <label key={key} className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer ${mode === key ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}`}>
+                                            <input type="radio" name="copy-mode" checked={mode === key} onChange={() => setMode(key)} className="mt-1" />
+                                            <span>
+                                                <span className="flex items-center gap-1 font-semibold text-gray-800"><Icon className="w-4 h-4" /> {label}</span>
+                                                <span className="text-sm text-gray-600">{description}</span>
+                                            </span>
+                                        </label>
+                                    ))}
+                                    {!canLink && <p className="text-xs text-gray-500">Linking also changes this entry, which viewers cannot do, so only a copy can be added.</p>}
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                        <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                        <button type="submit" disabled={!targetId} className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">{MODES[mode].label}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default CopyEntryModal;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Loader2, Printer, History } from 'lucide-react';
+import { onSnapshot } from 'firebase/firestore';
+import { projectHistoryQuery } from './audit';
+import { COLOR_CLASSES, statusNames, statusColor } from './workflow';
+import { statusByPic, relevanceDistribution, yearHistogram, topicBreakdown, statusTransitions, transitionsByMonth } from './dashboard';
+import MeetingReport from './MeetingReport';
+
+const barClass = (workflow, status) => (COLOR_CLASSES[statusColor(workflow, status)] ?? COLOR_CLASSES.gray).bar;
+
+const Panel = ({ title, note, className = '', children }) => (
+    <section className={`bg-white rounded-xl shadow-sm border border-gray-200 p-4 ${className}`}>
+        <h3 className="text-sm font-semibold uppercase text-gray-500">{title}</h3>
+        {note && <p className="text-xs text-gray-400 mt-1">{note}</p>}
+        <div className="mt-3">{children}</div>
+    </section>
+);
+
+// Horizontal bars, scaled to the largest count.
+const BarList = ({ items }) => {
+    const max = Math.max(1, ...items.map(item => item.count));
+    return (
+        <ul className="space-y-2">
+            {items.map(item => (
+                <li key={item.label} className="grid grid-cols-[8rem_1fr_2.5rem] items-center gap-2 text-sm">
+                    <span className="truncate text-gray-700" title={item.label}>{item.label}</span>
+                    <span className="h-3 bg-gray-100 rounded-full overflow-hidden">
+                        <span className={`block h-full rounded-full ${item.barClass ?? 'bg-blue-500'}`} style={{ width: `${(item.count / max) * 100}%` }} />
+                    </span>
+                    <span className="text-right font-semibold text-gray-800">{item.count}</span>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Vertical bars, one per column; `segments` stack within a column.
+const ColumnChart = ({ columns, labelEvery = 1 }) => {
+    const max = Math.max(1, ...columns.map(column => column.total));
+    return (
+        <div>
+            <div className="flex items-end gap-1 h-40 border-b border-gray-200">
+                {columns.map(column => (
+                    <div key={column.key} title={`${column.label}: ${column.total}`} className="flex-1 min-w-0 h-full flex flex-col justify-end">
+                        {column.segments.filter(segment => segment.count > 0).map(segment => (
+                            <div key={segment.key} className={`${segment.barClass} first:rounded-t`} style={{ height: `${(segment.count / max) * 100}%` }} title={`${segment.key}: ${segment.count}`} />
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1 mt-1">
+                {columns.map((column, i) => (
+                    <span key={column.key} className="flex-1 min-w-0 text-center text-[10px] text-gray-500 truncate">{i % labelEvery === 0 ? column.label : ''}</span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const Legend = ({ workflow }) => (
+    <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+        {statusNames(workflow).map(status => (
+            <span key={status} className="inline-flex items-center gap-1"><span className={`w-3 h-3 rounded-sm ${barClass(workflow, status)}`} />{status}</span>
+        ))}
+    </div>
+);
+
+// Shown until the project's older history records carry its id (see stampProjectHistory in audit.js).
+const UnstampedHistoryNotice = ({ onStampHistory }) => {
+    const [isStamping, setIsStamping] = useState(false);
+    const handleStamp = async () => {
+        setIsStamping(true);
+        await onStampHistory();
+        setIsStamping(false);
+    };
+    return (
+        <div className="p-4 rounded-xl border border-amber-300 bg-amber-50 text-sm text-amber-800 flex items-center gap-4">
+            <History className="w-5 h-5 flex-shrink-0" />
+            <span className="flex-grow">Status changes recorded before the dashboard was added may be missing from the charts, the meeting report and the PRISMA diagram's duplicate count. {onStampHistory ? 'Include them to count them too; this reads every entry\'s history once.' : 'The project owner can include them.'}</span>
+            {onStampHistory && <button onClick={handleStamp} disabled={isStamping} className="flex-shrink-0 inline-flex items-center gap-2 bg-amber-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-amber-700 disabled:opacity-50">{isStamping && <Loader2 className="w-4 h-4 animate-spin" />} Include older history</button>}
+        </div>
+    );
+};
+
+// Progress overview of the entries in the current view, plus the meeting report.
+// Transitions come from the project's change log, read once for the whole project.
+const DashboardView = ({ db, project, entries, workflow, picOptions, onStampHistory }) => {
+    const [records, setRecords] = useState([]);
+    const [isLoadingHistory, setIsLoadingHistory] = useState(true);
+    const [isReportOpen, setIsReportOpen] = useState(false);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(projectHistoryQuery(db, project.id), (querySnapshot) => {
+            setRecords(querySnapshot.docs.map(doc => ({ id: doc.id, entryId: doc.ref.parent.parent.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+            setIsLoadingHistory(false);
+        }, (error) => {
+            console.error("Error fetching project history: ", error);
+            setIsLoadingHistory(false);
+        });
+        return () => unsubscribe();
+    }, [db, project.id]);
+
+    const statuses = statusNames(workflow);
+    const entryIds = useMemo(() => new Set(entries.map(entry => entry.id)), [entries]);
+    const transitions = useMemo(() => statusTransitions(records).filter(t => entryIds.has(t.entryId)), [records, entryIds]);
+    const byPic = statusByPic(entries, statuses, picOptions);
+    const years = yearHistogram(entries);
+    const { topics, otherCount } = topicBreakdown(entries);
+    const months = transitionsByMonth(transitions, statuses);
+
+    return (
+        <div className="space-y-4">
+            {!project.historyStamped && <UnstampedHistoryNotice onStampHistory={onStampHistory} />}
+            <div className="flex justify-between items-center">
+                <p className="text-sm text-gray-600">{entries.length} {entries.length === 1 ? 'entry' : 'entries'} in this view. Search and filters apply to the dashboard too.</p>
+                <button onClick={() => setIsReportOpen(true)} disabled={isLoadingHistory} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                    <Printer className="w-5 h-5" /> Meeting report
+                </button>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <Panel title="Entries per status">
+                    <BarList items={statuses.map(status => ({ label: status, count: byPic.totals[status] ?? 0, barClass: barClass(workflow, status) }))} />
+                </Panel>
+                <Panel title="Relevance">
+                    <BarList items={relevanceDistribution(entries).map(({ label, count, value }) => ({ label, count, barClass: value === 0 ? 'bg-gray-300' : 'bg-yellow-400' }))} />
+                </Panel>
+                <Panel title="Status per PIC" className="lg:col-span-2">
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                                <tr>
+                                    <th scope="col" className="px-3 py-2">PIC</th>
+                                    {statuses.map(status => <th key={status} scope="col" className="px-3 py-2 text-right">{status}</th>)}
+                                    <th scope="col" className="px-3 py-2 text-right">Total</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {byPic.rows.map(row => (
+                                    <tr key={row.pic} className="border-b">
+                                        <td className="px-3 py-2 font-semibold text-gray-800">{row.pic}</td>
+                                        {statuses.map(status => <td key={status} className={`px-3 py-2 text-right ${row.counts[status] ? 'text-gray-800' : 'text-gray-300'}`}>{row.counts[status] ?? 0}</td>)}
+                                        <td className="px-3 py-2 text-right font-semibold">{row.total}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </Panel>
+                <Panel title="Papers by year">
+                    {years.length === 0 ? <p className="text-sm text-gray-500">No years recorded.</p> : (
+                        <ColumnChart labelEvery={Math.ceil(years.length / 10)} columns={years.map(({ year, count }) => ({ key: year, label: String(year), total: count, segments: [{ key: 'Papers', count, barClass: 'bg-blue-500' }] }))} />
+                    )}
+                </Panel>
+                <Panel title="Topics" note={otherCount > 0 ? `${otherCount} more in other topics.` : null}>
+                    {topics.length === 0 ? <p className="text-sm text-gray-500">No topics recorded.</p> : (
+                        <BarList items={topics.map(({ topic, count }) => ({ label: topic, count, barClass: 'bg-teal-500' }))} />
+                    )}
+                </Panel>
+                <Panel title="Status changes per month" note="Counted by the status entries moved into. Changes made before the dashboard existed are not included." className="lg:col-span-2">
+                    {isLoadingHistory ? <Loader2 className="w-6 h-6 text-blue-600 animate-spin" /> : (
+                        <>
+                            <ColumnChart columns={months.map(month => ({ key: month.month, label: month.label, total: month.total, segments: statuses.map(status => ({ key: status, count: month.counts[status], barClass: barClass(workflow, status) })).reverse() }))} />
+                            <Legend workflow={workflow} />
+                        </>
+                    )}
+                </Panel>
+            </div>
+            {isReportOpen && <MeetingReport project={project} entries={entries} transitions={transitions} workflow={workflow} onClose={() => setIsReportOpen(false)} />}
+        </div>
+    );
+};
+
+export default DashboardView;
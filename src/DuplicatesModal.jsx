@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { X, GitMerge, ArrowLeft } from 'lucide-react';
+import { mergeFields, mergeFieldValue, mergedQuotes, defaultMergeChoices, mergeEntries } from './duplicates';
+import { formatAuthors } from './authors';
+
+export const FIELD_LABELS = {
+    title: 'Title', authors: 'Authors', year: 'Year', publication: 'Journal / Conference',
+    link: 'Article Link', doi: 'DOI', topic: 'Topic', data: 'Data Source',
+    unitOfObservations: 'Unit of Observations', pic: 'PIC', summary: 'Summary',
+    findings: 'Findings', method: 'Method', contributions: 'Contributions',
+    relevance: 'Relevance', status: 'Status'
+};
+
+const formatValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return <span className="text-gray-400 italic">empty</span>;
+    if (field === 'authors') return formatAuthors(value);
+    return String(value);
+};
+
+// --- Merge View ---
+
+const MergePair = ({ pair, template, statusOptions, canMerge, onMerge, onDismiss, onBack }) => {
+    const { a, b } = pair;
+    const [choices, setChoices] = useState(() => defaultMergeChoices(a, b, statusOptions));
+    const [keep, setKeep] = useState('a');
+    const fields = mergeFields(a, b).filter(field => JSON.stringify(mergeFieldValue(a, field) ?? null) !== JSON.stringify(mergeFieldValue(b, field) ?? null));
+    const quotes = mergedQuotes(a, b);
+    // Custom extraction fields are labelled as in the review template.
+    const fieldLabel = (field) => FIELD_LABELS[field] ?? template.fields.find(({ key }) => `extraction.${key}` === field)?.label ?? field.replace('extraction.', '');
+
+    const handleMerge = () => {
+        const kept = keep === 'a' ? a : b;
+        const removed = keep === 'a' ? b : a;
+        onMerge(kept.id, mergeEntries(a, b, choices), removed.id);
+    };
+
+    return (
+        <div className="space-y-4">
+            <button onClick={onBack} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"><ArrowLeft className="w-4 h-4" /> All possible duplicates</button>
+            <p className="text-sm text-gray-600">{pair.reasons.join(' · ')}</p>
+            <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                        <tr>
+                            <th scope="col" className="px-3 py-2 w-1/6">Field</th>
+                            <th scope="col" className="px-3 py-2"><label className="flex items-center gap-2"><input type="radio" name="keep" checked={keep === 'a'} onChange={() => setKeep('a')} /> Entry A {keep === 'a' && '(kept)'}</label></th>
+                            <th scope="col" className="px-3 py-2"><label className="flex items-center gap-2"><input type="radio" name="keep" checked={keep === 'b'} onChange={() => setKeep('b')} /> Entry B {keep === 'b' && '(kept)'}</label></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {fields.map(field => (
+                            <tr key={field} className="border-b align-top">
+                                <td className="px-3 py-2 font-medium text-gray-700">{fieldLabel(field)}</td>
+                                {['a', 'b'].map(side => (
+                                    <td key={side} className={`px-3 py-2 cursor-pointer ${choices[field] === side ? 'bg-blue-50 text-gray-900' : ''}`} onClick={() => setChoices(prev => ({ ...prev, [field]: side }))}>
+                                        <label className="flex items-start gap-2 cursor-pointer">
+                                            <input type="radio" name={`field-${field}`} checked={choices[field] === side} onChange={() => setChoices(prev => ({ ...prev, [field]: side }))} className="mt-1" />
+                                            <span className="whitespace-pre-wrap break-words">{formatValue(field, mergeFieldValue(pair[side], field))}</span>
+                                        </label>
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                        {quotes.length > 0 && (
+                            <tr className="border-b align-top">
+                                <td className="px-3 py-2 font-medium text-gray-700">Quotes<span className="block text-xs font-normal text-gray-500">kept from both</span></td>
+                                <td colSpan={2} className="px-3 py-2">
+                                    <ul className="space-y-1">{quotes.map(quote => <li key={quote.id} className="italic text-gray-700">“{quote.text}”</li>)}</ul>
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+                {fields.length === 0 && quotes.length === 0 && <p className="text-center text-gray-500 py-6">Both entries are identical.</p>}
+            </div>
+            <p className="text-xs text-gray-500">Ratings from both entries are kept, one per reviewer, and the relevance is their average.</p>
+            <div className="flex justify-end items-center space-x-4">
+                <button type="button" onClick={() => onDismiss(a.id, b.id)} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Not a Duplicate</button>
+                <button type="button" disabled={!canMerge} title={canMerge ? undefined : 'Only the owner can merge entries'} onClick={handleMerge} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                    <GitMerge className="w-5 h-5" /> Merge
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Duplicates Review Modal ---
+
+const DuplicatesModal = ({ pairs, template, statusOptions, canMerge, onMerge, onDismiss, onClose }) => {
+    const [selectedKey, setSelectedKey] = useState(null);
+    const pairKey = (pair) => `${pair.a.id}:${pair.b.id}`;
+    const selectedPair = pairs.find(pair => pairKey(pair) === selectedKey);
+
+    const resolve = (handler) => (...args) => {
+        handler(...args);
+        setSelectedKey(null);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800">Possible Duplicates</h2><button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
+                <div className="flex-grow overflow-y-auto p-8">
+                    {selectedPair ? (
+                        <MergePair key={selectedKey} pair={selectedPair} template={template} statusOptions={statusOptions} canMerge={canMerge} onMerge={resolve(onMerge)} onDismiss={resolve(onDismiss)} onBack={() => setSelectedKey(null)} />
+                    ) : pairs.length === 0 ? (
+                        <div className="text-center py-16">
+                            <h3 className="text-xl font-semibold text-gray-700">No Duplicates Found</h3>
+                            <p className="text-gray-500 mt-2">Every entry in the collection looks unique.</p>
+                        </div>
+                    ) : (
+                        <ul className="divide-y divide-gray-200">
+                            {pairs.map(pair => (
+                                <li key={pairKey(pair)} className="py-4 flex items-center justify-between gap-4">
+                                    <div className="min-w-0">
+                                        <p className="font-bold text-gray-900 truncate">A: {pair.a.title} <span className="font-normal text-gray-500">({pair.a.pic}, {pair.a.status})</span></p>
+                                        <p className="font-bold text-gray-900 truncate">B: {pair.b.title} <span className="font-normal text-gray-500">({pair.b.pic}, {pair.b.status})</span></p>
+                                        <p className="text-xs text-gray-500 mt-1">{pair.reasons.join(' · ')}</p>
+                                    </div>
+                                    <button onClick={() => setSelectedKey(pairKey(pair))} className="inline-flex items-center gap-2 flex-shrink-0 bg-white text-blue-600 font-semibold px-4 py-2 rounded-lg border border-blue-200 hover:bg-blue-50"><GitMerge className="w-4 h-4" /> Review</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DuplicatesModal;
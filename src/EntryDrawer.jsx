@@ -0,0 +1,259 @@
+import React, { useState, lazy, Suspense } from 'react';
+import { X, Edit, Link as LinkIcon, Link2, Plus, Trash2, Quote, AlertTriangle, Loader2, FolderInput } from 'lucide-react';
+import RatingStars from './RatingStars';
+import MarkdownField, { Markdown } from './MarkdownField';
+import { fieldValue, withFieldValue, missingRequiredFields } from './reviewTemplate';
+import { aggregateRatings } from './ratings';
+import CommentThread from './CommentThread';
+import PdfAttachment from './PdfAttachment';
+import AuthorsField from './AuthorsField';
+import RelationsField, { RelatedPapers } from './RelationsField';
+import { formatAuthors, toAuthorList, cleanAuthorList } from './authors';
+
+// pdf.js is large, so the reader is loaded the first time a PDF is opened.
+const PdfViewer = lazy(() => import('./PdfViewer'));
+
+const ReaderLoading = () => (
+    <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex items-center justify-center">
+        <Loader2 className="w-10 h-10 text-white animate-spin" />
+    </div>
+);
+
+const newQuote = () => ({ id: crypto.randomUUID(), text: '', page: '', note: '' });
+
+// --- Ratings ---
+
+const RatingsPanel = ({ entry, currentUser, canRate, onRate }) => {
+    const { average, count, isDisagreement, ratings } = aggregateRatings(entry);
+    const ownRating = entry.ratings?.[currentUser.uid]?.value ?? 0;
+
+    return (
+        <section>
+            <h3 className="label">Ratings</h3>
+            <div className={`p-3 rounded-lg border ${isDisagreement ? 'border-red-300 bg-red-50' : 'border-gray-200'}`}>
+                <div className="flex items-center gap-3">
+                    <RatingStars rating={Math.round(average)} readOnly={true} />
+                    <span className="text-sm text-gray-700">{count > 0 ? `${average.toFixed(1)} average from ${count} reviewer${count === 1 ? '' : 's'}` : 'No individual ratings yet'}</span>
+                    {isDisagreement && <span className="inline-flex items-center gap-1 text-xs font-semibold text-red-700"><AlertTriangle className="w-4 h-4" /> Reviewers disagree</span>}
+                </div>
+                {ratings.length > 0 && (
+                    <ul className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+                        {ratings.map(rating => <li key={rating.uid}><span className="font-semibold">{rating.name}</span>: {'★'.repeat(rating.value)}</li>)}
+                    </ul>
+                )}
+                {canRate && (
+                    <div className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+                        Your rating: <RatingStars rating={ownRating} onRatingChange={(value) => onRate(entry.id, value)} />
+                    </div>
+                )}
+            </div>
+        </section>
+    );
+};
+
+// --- Read-Only View ---
+
+const EntryView = ({ entry, template }) => (
+    <div className="space-y-6">
+        <div>
+            <p className="text-gray-700">{formatAuthors(entry.authors)} ({entry.year})</p>
+            {entry.publication && <p className="text-sm text-gray-500 italic">{entry.publication}</p>}
+            {entry.link && <a href={entry.link} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 mt-1"><LinkIcon className="w-4 h-4" /> {entry.doi || 'Article link'}</a>}
+        </div>
+        <div className="grid grid-cols-3 gap-4 text-sm">
+            <div><span className="label">Status</span>{entry.status}</div>
+            <div><span className="label">PIC</span>{entry.pic}</div>
+            <div><span className="label">Relevance</span><RatingStars rating={Math.round(aggregateRatings(entry).average)} readOnly={true} /></div>
+        </div>
+        {template.fields.map(field => {
+            const value = fieldValue(entry, field.key);
+            return (
+                <section key={field.key}>
+                    <h3 className="label">{field.label}{field.required && <span className="text-red-500"> *</span>}</h3>
+                    {!value ? <p className="text-sm text-gray-400 italic">Not filled in yet.</p>
+                        : field.multiline ? <Markdown>{value}</Markdown>
+                        : <p className="text-sm text-gray-700">{value}</p>}
+                </section>
+            );
+        })}
+        <section>
+            <h3 className="label">Quotes</h3>
+            {(entry.quotes ?? []).length === 0 ? <p className="text-sm text-gray-400 italic">No quotes yet.</p> : (
+                <ul className="space-y-3">
+                    {entry.quotes.map(quote => (
+                        <li key={quote.id} className="border-l-4 border-blue-200 pl-3">
+                            <p className="text-sm text-gray-800 italic">“{quote.text}”{quote.page && <span className="not-italic text-gray-500"> (p. {quote.page})</span>}</p>
+                            {quote.note && <Markdown>{quote.note}</Markdown>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    </div>
+);
+
+// --- Edit Form ---
+
+const EntryForm = ({ formData, setFormData, entries, template, statusOptions, picOptions, originalStatus, isStatusAllowed }) => {
+    const handleChange = (e) => {
+        const { name, value, type } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'number' ? parseInt(value, 10) : value }));
+    };
+    const updateQuote = (id, changes) => setFormData(prev => ({ ...prev, quotes: prev.quotes.map(q => (q.id === id ? { ...q, ...changes } : q)) }));
+    const removeQuote = (id) => setFormData(prev => ({ ...prev, quotes: prev.quotes.filter(q => q.id !== id) }));
+    const addQuote = () => setFormData(prev => ({ ...prev, quotes: [...(prev.quotes ?? []), newQuote()] }));
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-5">
+            <div className="md:col-span-2"><label htmlFor="drawer-title" className="label">Title</label><input type="text" name="title" id="drawer-title" value={formData.title} onChange={handleChange} className="form-input" required /></div>
+            <div className="md:col-span-2"><label htmlFor="drawer-authors" className="label">Authors</label><AuthorsField id="drawer-authors" authors={formData.authors} onChange={(authors) => setFormData(prev => ({ ...prev, authors }))} /></div>
+            <div><label htmlFor="drawer-year" className="label">Year</label><input type="number" name="year" id="drawer-year" value={formData.year} onChange={handleChange} className="form-input" required /></div>
+            <div><label htmlFor="drawer-publication" className="label">Journal / Conference</label><input type="text" name="publication" id="drawer-publication" value={formData.publication} onChange={handleChange} className="form-input" /></div>
+            <div className="md:col-span-2"><label htmlFor="drawer-link" className="label">Article Link</label><input type="url" name="link" id="drawer-link" value={formData.link} placeholder="https://..." onChange={handleChange} className="form-input" /></div>
+            <div><label htmlFor="drawer-status" className="label">Status</label><select name="status" id="drawer-status" value={formData.status} onChange={handleChange} className="form-input">{statusOptions.map(s => <option key={s} value={s} disabled={!isStatusAllowed({ ...formData, status: originalStatus }, s)}>{s}</option>)}</select></div>
+            <div><label htmlFor="drawer-pic" className="label">Person In Charge (PIC)</label><select name="pic" id="drawer-pic" value={formData.pic} onChange={handleChange} className="form-input">{picOptions.map(p => <option key={p} value={p}>{p}</option>)}</select></div>
+
+            <hr className="md:col-span-2" />
+
+            {template.fields.map(field => (
+                <div key={field.key} className={field.multiline ? 'md:col-span-2' : ''}>
+                    {field.multiline ? (
+                        <MarkdownField id={`drawer-${field.key}`} label={field.label} required={field.required} value={fieldValue(formData, field.key)} onChange={(value) => setFormData(prev => withFieldValue(prev, field.key, value))} />
+                    ) : (
+                        <>
+                            <label htmlFor={`drawer-${field.key}`} className="label">{field.label}{field.required && <span className="text-red-500"> *</span>}</label>
+                            <input type="text" id={`drawer-${field.key}`} value={fieldValue(formData, field.key)} onChange={(e) => setFormData(prev => withFieldValue(prev, field.key, e.target.value))} className="form-input" />
+                        </>
+                    )}
+                </div>
+            ))}
+
+            <hr className="md:col-span-2" />
+
+            <div className="md:col-span-2 space-y-3">
+                <div className="flex justify-between items-center">
+                    <span className="label flex items-center gap-1"><Quote className="w-4 h-4" /> Quotes</span>
+                    <button type="button" onClick={addQuote} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"><Plus className="w-4 h-4" /> Add quote</button>
+                </div>
+                {(formData.quotes ?? []).map(quote => (
+                    <div key={quote.id} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                        <div className="flex gap-2">
+                            <textarea rows="2" value={quote.text} onChange={(e) => updateQuote(quote.id, { text: e.target.value })} className="form-textarea text-sm" placeholder="Quoted passage" />
+                            <input type="text" value={quote.page} onChange={(e) => updateQuote(quote.id, { page: e.target.value })} className="form-input w-24 text-sm" placeholder="Page" aria-label="Page" />
+                            <button type="button" onClick={() => removeQuote(quote.id)} className="text-red-600 hover:text-red-800 self-start"><Trash2 className="w-5 h-5" /></button>
+                        </div>
+                        <input type="text" value={quote.note} onChange={(e) => updateQuote(quote.id, { note: e.target.value })} className="form-input text-sm" placeholder="Why this quote matters (optional)" />
+                    </div>
+                ))}
+            </div>
+
+            <hr className="md:col-span-2" />
+
+            <div className="md:col-span-2">
+                <span className="label">Related Papers</span>
+                <RelationsField entry={formData} entries={entries} onChange={(relations) => setFormData(prev => ({ ...prev, relations }))} />
+            </div>
+        </div>
+    );
+};
+
+// Entries linked between projects point at each other (see projects.js); the other
+// side can only be opened by members of that project.
+const LinkedProjects = ({ entry, openableProjectIds, onOpenLinked }) => {
+    const links = [...(entry.linkedFrom ? [entry.linkedFrom] : []), ...(entry.linkedTo ?? [])];
+    if (links.length === 0) return null;
+    return (
+        <div className="p-3 rounded-lg border border-gray-200 text-sm">
+            <span className="label flex items-center gap-1"><Link2 className="w-4 h-4" /> Also in</span>
+            <ul className="space-y-1">
+                {links.map(link => (
+                    <li key={`${link.projectId}/${link.entryId}`}>
+                        {openableProjectIds.includes(link.projectId)
+                            ? <button type="button" onClick={() => onOpenLinked(link.projectId, link.entryId)} className="text-blue-600 hover:text-blue-800 hover:underline">{link.projectTitle}</button>
+                            : <span className="text-gray-600">{link.projectTitle}</span>}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- Entry Detail Drawer ---
+
+const editableEntry = (entry) => ({ quotes: [], ...entry, authors: toAuthorList(entry.authors) });
+
+const EntryDrawer = ({ projectRef, entry, entries, template, statusOptions, picOptions, currentUser, isStatusAllowed, canEdit, canModerate, openableProjectIds, onSave, onRate, onCopy, onOpenLinked, onAttachPdf, onRemovePdf, onSaveAnnotation, onDeleteAnnotation, onOpenEntry, onClose }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [isReading, setIsReading] = useState(false);
+    const [formData, setFormData] = useState(() => editableEntry(entry));
+    const [error, setError] = useState('');
+    const missingFields = missingRequiredFields(isEditing ? formData : entry, template);
+    const blocksStatus = isEditing && !isStatusAllowed({ ...formData, status: entry.status }, formData.status);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (blocksStatus) return;
+        const { id, ...dataToSave } = formData;
+        const authors = cleanAuthorList(dataToSave.authors);
+        if (authors.length === 0) {
+            setError('Enter at least one author.');
+            return;
+        }
+        setError('');
+        onSave({ ...dataToSave, authors });
+        setIsEditing(false);
+    };
+    const startEditing = () => { setFormData(editableEntry(entry)); setIsEditing(true); };
+    const cancelEditing = () => { setFormData(editableEntry(entry)); setIsEditing(false); setError(''); };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-40 flex justify-end">
+            <div className="bg-white shadow-2xl w-full max-w-3xl h-full flex flex-col">
+                <div className="flex justify-between items-start gap-4 p-6 border-b">
+                    <h2 className="text-2xl font-bold text-gray-800">{entry.title}</h2>
+                    <div className="flex items-center gap-3 flex-shrink-0">
+                        {onCopy && !isEditing && <button type="button" onClick={onCopy} title="Copy or link this entry into another project" className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"><FolderInput className="w-5 h-5" /> Add to project</button>}
+                        {canEdit && !isEditing && <button type="button" onClick={startEditing} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /> Edit</button>}
+                        <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                    </div>
+                </div>
+                <div className="flex-grow overflow-y-auto p-6">
+                    {missingFields.length > 0 && (
+                        <div className={`mb-6 p-3 rounded-lg border text-sm flex items-start gap-2 ${blocksStatus ? 'border-red-300 bg-red-50 text-red-700' : 'border-amber-300 bg-amber-50 text-amber-800'}`}>
+                            <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+                            <span>Fill in {missingFields.join(', ')} before this paper can move to a status that requires a complete review.</span>
+                        </div>
+                    )}
+                    {isEditing ? (
+                        <form id="entry-drawer-form" onSubmit={handleSubmit}>
+                            <EntryForm formData={formData} setFormData={setFormData} entries={entries} template={template} statusOptions={statusOptions} picOptions={picOptions} originalStatus={entry.status} isStatusAllowed={isStatusAllowed} />
+                        </form>
+                    ) : (
+                        <div className="space-y-6">
+                            <EntryView entry={entry} template={template} />
+                            <LinkedProjects entry={entry} openableProjectIds={openableProjectIds} onOpenLinked={onOpenLinked} />
+                            <RelatedPapers entry={entry} entries={entries} onOpenEntry={onOpenEntry} />
+                            <PdfAttachment projectRef={projectRef} entry={entry} currentUser={currentUser} canEdit={canEdit} canModerate={canModerate} onAttach={onAttachPdf} onRemove={onRemovePdf} onOpen={() => setIsReading(true)} />
+                            <RatingsPanel entry={entry} currentUser={currentUser} canRate={canEdit} onRate={onRate} />
+                            <CommentThread projectRef={projectRef} entry={entry} picOptions={picOptions} currentUser={currentUser} canComment={canEdit} canModerate={canModerate} />
+                        </div>
+                    )}
+                </div>
+                {isEditing && (
+                    <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                        {error && <p className="text-red-500 text-sm mr-auto">{error}</p>}
+                        <button type="button" onClick={cancelEditing} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                        <button type="submit" form="entry-drawer-form" disabled={blocksStatus} className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">Save</button>
+                    </div>
+                )}
+            </div>
+            {isReading && entry.pdf && (
+                <Suspense fallback={<ReaderLoading />}>
+                    <PdfViewer key={entry.pdf.path} entry={entry} currentUser={currentUser} canAnnotate={canEdit} canModerate={canModerate} onSaveAnnotation={onSaveAnnotation} onDeleteAnnotation={onDeleteAnnotation} onClose={() => setIsReading(false)} />
+                </Suspense>
+            )}
+        </div>
+    );
+};
+
+export default EntryDrawer;
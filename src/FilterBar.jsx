@@ -0,0 +1,62 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronDown, X } from 'lucide-react';
+import { EMPTY_FILTERS, activeFilterCount } from './search';
+
+const RATING_LABELS = { 1: '★', 2: '★★', 3: '★★★' };
+
+const MultiSelect = ({ label, options, selected, renderOption = (option) => option, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const closeOnOutsideClick = (e) => { if (!containerRef.current?.contains(e.target)) setIsOpen(false); };
+        document.addEventListener('mousedown', closeOnOutsideClick);
+        return () => document.removeEventListener('mousedown', closeOnOutsideClick);
+    }, [isOpen]);
+
+    const toggle = (option) => onChange(selected.includes(option) ? selected.filter(o => o !== option) : [...selected, option]);
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button type="button" onClick={() => setIsOpen(open => !open)} className={`inline-flex items-center gap-1 text-sm py-1.5 px-3 rounded-lg border ${selected.length > 0 ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-100'}`}>
+                {label}{selected.length > 0 && ` (${selected.length})`} <ChevronDown className="w-4 h-4" />
+            </button>
+            {isOpen && (
+                <ul className="absolute left-0 top-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg text-sm z-20 min-w-[12rem] py-1">
+                    {options.map(option => (
+                        <li key={option}>
+                            <label className="flex items-center gap-2 px-3 py-1.5 hover:bg-gray-50 cursor-pointer whitespace-nowrap">
+                                <input type="checkbox" checked={selected.includes(option)} onChange={() => toggle(option)} className="rounded" /> {renderOption(option)}
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const FilterBar = ({ filters, statusOptions, picOptions, onChange }) => {
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm font-medium text-gray-700">Filter:</span>
+            <MultiSelect label="Status" options={statusOptions} selected={filters.statuses} onChange={(statuses) => update({ statuses })} />
+            <MultiSelect label="PIC" options={picOptions} selected={filters.pics} onChange={(pics) => update({ pics })} />
+            <MultiSelect label="Relevance" options={[3, 2, 1]} selected={filters.ratings} renderOption={(rating) => <span className="text-yellow-500">{RATING_LABELS[rating]}</span>} onChange={(ratings) => update({ ratings })} />
+            <span className="inline-flex items-center gap-1 text-sm text-gray-700">
+                Year
+                <input type="number" value={filters.yearFrom} onChange={(e) => update({ yearFrom: e.target.value })} className="w-20 border border-gray-300 rounded-lg py-1 px-2" placeholder="from" aria-label="Year from" />
+                –
+                <input type="number" value={filters.yearTo} onChange={(e) => update({ yearTo: e.target.value })} className="w-20 border border-gray-300 rounded-lg py-1 px-2" placeholder="to" aria-label="Year to" />
+            </span>
+            {activeFilterCount(filters) > 0 && (
+                <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700"><X className="w-4 h-4" /> Clear filters</button>
+            )}
+        </div>
+    );
+};
+
+export default FilterBar;
@@ -0,0 +1,177 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ZoomIn, ZoomOut, Maximize } from 'lucide-react';
+import { COLOR_CLASSES, statusNames, statusColor } from './workflow';
+import { aggregateRatings } from './ratings';
+import { RELATION_TYPES, RELATION_TYPE_IDS, relationEdges } from './relations';
+import { layoutGraph } from './graphLayout';
+
+// Drawing area in SVG units; the SVG scales to the width of the page.
+const WIDTH = 1000;
+const HEIGHT = 640;
+const MIN_RADIUS = 6;
+const RADIUS_PER_STAR = 3;
+const MIN_ZOOM = 0.3;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.2;
+// Above this many nodes, titles are only shown for the hovered node and its neighbours.
+const LABEL_LIMIT = 40;
+// A press that moves less than this is a click, not a drag.
+const CLICK_TOLERANCE = 4;
+const INITIAL_VIEW = { x: 0, y: 0, zoom: 1 };
+
+const fillClass = (workflow, status) => (COLOR_CLASSES[statusColor(workflow, status)] ?? COLOR_CLASSES.gray).fill;
+const nodeRadius = (entry) => MIN_RADIUS + RADIUS_PER_STAR * aggregateRatings(entry).average;
+const shortTitle = (title = '') => (title.length > 32 ? `${title.slice(0, 30)}…` : title);
+
+const Legend = ({ workflow, statuses }) => (
+    <div className="flex flex-wrap gap-x-4 gap-y-2 text-xs text-gray-600">
+        {statusNames(workflow).filter(status => statuses.has(status)).map(status => (
+            <span key={status} className="inline-flex items-center gap-1">
+                <svg width="12" height="12"><circle cx="6" cy="6" r="5" className={fillClass(workflow, status)} /></svg>{status}
+            </span>
+        ))}
+        {RELATION_TYPE_IDS.map(type => (
+            <span key={type} className="inline-flex items-center gap-1">
+                <svg width="24" height="12"><line x1="1" y1="6" x2="23" y2="6" stroke={RELATION_TYPES[type].color} strokeWidth="2" strokeDasharray={RELATION_TYPES[type].dash || undefined} /></svg>{RELATION_TYPES[type].label}
+            </span>
+        ))}
+        <span>Larger circles: higher average relevance</span>
+    </div>
+);
+
+// Entries in the current view as a network of their links, coloured by status and
+// sized by relevance. Drag the background to pan, drag a paper to move it, scroll to
+// zoom; clicking a paper opens it.
+const GraphView = ({ entries, workflow, onOpen }) => {
+    const [showUnlinked, setShowUnlinked] = useState(false);
+    const [view, setView] = useState(INITIAL_VIEW);
+    const [moved, setMoved] = useState({});
+    const [hoveredId, setHoveredId] = useState(null);
+    const [drag, setDrag] = useState(null);
+    const svgRef = useRef(null);
+
+    const edges = useMemo(() => relationEdges(entries), [entries]);
+    const linkedIds = useMemo(() => new Set(edges.flatMap(edge => [edge.source, edge.target])), [edges]);
+    const nodes = useMemo(() => entries.filter(entry => showUnlinked || linkedIds.has(entry.id)), [entries, linkedIds, showUnlinked]);
+    // Laid out again only when papers or links are added or removed, not on every edit.
+    const nodeKey = nodes.map(node => node.id).join(',');
+    const edgeKey = edges.map(edge => `${edge.source}>${edge.target}`).join(',');
+    const layout = useMemo(() => layoutGraph(nodes.map(node => node.id), edges, WIDTH, HEIGHT), [nodeKey, edgeKey]);
+    const positionOf = (id) => moved[id] ?? layout[id];
+    const byId = useMemo(() => new Map(nodes.map(node => [node.id, node])), [nodes]);
+    const neighbours = useMemo(() => (hoveredId
+        ? new Set([hoveredId, ...edges.filter(edge => edge.source === hoveredId || edge.target === hoveredId).flatMap(edge => [edge.source, edge.target])])
+        : null), [hoveredId, edges]);
+    const statuses = new Set(nodes.map(node => node.status));
+
+    // Pointer position in SVG units.
+    const svgPoint = (e) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return { x: ((e.clientX - rect.left) * WIDTH) / rect.width, y: ((e.clientY - rect.top) * HEIGHT) / rect.height };
+    };
+    const zoomAround = (point, factor) => setView((current) => {
+        const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.zoom * factor));
+        return { zoom, x: point.x - ((point.x - current.x) * zoom) / current.zoom, y: point.y - ((point.y - current.y) * zoom) / current.zoom };
+    });
+
+    // React registers wheel listeners as passive, so the page would scroll along.
+    useEffect(() => {
+        const element = svgRef.current;
+        if (!element) return;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            zoomAround(svgPoint(e), e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+        };
+        element.addEventListener('wheel', handleWheel, { passive: false });
+        return () => element.removeEventListener('wheel', handleWheel);
+    }, [nodes.length > 0]);
+
+    const startDrag = (e, id = null) => {
+        e.stopPropagation();
+        svgRef.current.setPointerCapture(e.pointerId);
+        setDrag({ id, start: svgPoint(e), origin: id ? positionOf(id) : { x: view.x, y: view.y }, isMoving: false });
+    };
+    const handlePointerMove = (e) => {
+        if (!drag) return;
+        const point = svgPoint(e);
+        const dx = point.x - drag.start.x;
+        const dy = point.y - drag.start.y;
+        if (!drag.isMoving && Math.hypot(dx, dy) < CLICK_TOLERANCE) return;
+        if (!drag.isMoving) setDrag({ ...drag, isMoving: true });
+        if (drag.id) setMoved(prev => ({ ...prev, [drag.id]: { x: drag.origin.x + dx / view.zoom, y: drag.origin.y + dy / view.zoom } }));
+        else setView(current => ({ ...current, x: drag.origin.x + dx, y: drag.origin.y + dy }));
+    };
+    const handlePointerUp = () => {
+        if (drag?.id && !drag.isMoving) onOpen(drag.id);
+        setDrag(null);
+    };
+    const resetView = () => { setView(INITIAL_VIEW); setMoved({}); };
+
+    const showAllLabels = nodes.length <= LABEL_LIMIT;
+    const isDimmed = (...ids) => neighbours && !ids.every(id => neighbours.has(id));
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-4 space-y-3">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+                <span className="text-sm text-gray-600">{nodes.length} {nodes.length === 1 ? 'paper' : 'papers'} · {edges.length} {edges.length === 1 ? 'link' : 'links'}</span>
+                <div className="flex items-center gap-4">
+                    <label className="flex items-center gap-2 text-sm text-gray-700"><input type="checkbox" checked={showUnlinked} onChange={(e) => setShowUnlinked(e.target.checked)} className="rounded" /> Show papers without links</label>
+                    <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                        <button onClick={() => zoomAround({ x: WIDTH / 2, y: HEIGHT / 2 }, ZOOM_STEP)} title="Zoom in" className="p-1.5 bg-white text-gray-700 hover:bg-gray-100"><ZoomIn className="w-4 h-4" /></button>
+                        <button onClick={() => zoomAround({ x: WIDTH / 2, y: HEIGHT / 2 }, 1 / ZOOM_STEP)} title="Zoom out" className="p-1.5 border-l border-gray-300 bg-white text-gray-700 hover:bg-gray-100"><ZoomOut className="w-4 h-4" /></button>
+                        <button onClick={resetView} title="Reset layout" className="p-1.5 border-l border-gray-300 bg-white text-gray-700 hover:bg-gray-100"><Maximize className="w-4 h-4" /></button>
+                    </div>
+                </div>
+            </div>
+            {nodes.length === 0 ? (
+                <div className="text-center py-16">
+                    <h3 className="text-xl font-semibold text-gray-700">No Links Yet</h3>
+                    <p className="text-gray-500 mt-2">Link papers under "Related Papers" when editing an entry, or show the papers without links.</p>
+                </div>
+            ) : (
+                <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className={`w-full h-auto bg-gray-50 rounded-lg touch-none select-none ${drag?.isMoving ? 'cursor-grabbing' : 'cursor-grab'}`}
+                    onPointerDown={(e) => startDrag(e)} onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerCancel={() => setDrag(null)}>
+                    <defs>
+                        {RELATION_TYPE_IDS.map(type => (
+                            <marker key={type} id={`graph-arrow-${type}`} viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                <path d="M0 0L10 5L0 10z" fill={RELATION_TYPES[type].color} />
+                            </marker>
+                        ))}
+                    </defs>
+                    <g transform={`translate(${view.x} ${view.y}) scale(${view.zoom})`}>
+                        {edges.map(({ source, target, type }) => {
+                            const from = positionOf(source);
+                            const to = positionOf(target);
+                            const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+                            // Ends the line at the edge of the target's circle so the arrow shows.
+                            const inset = nodeRadius(byId.get(target)) + 2;
+                            return (
+                                <line key={`${source}>${target}>${type}`} x1={from.x} y1={from.y} x2={to.x - ((to.x - from.x) / length) * inset} y2={to.y - ((to.y - from.y) / length) * inset}
+                                    stroke={RELATION_TYPES[type].color} strokeWidth="1.5" strokeDasharray={RELATION_TYPES[type].dash || undefined} markerEnd={`url(#graph-arrow-${type})`}
+                                    opacity={isDimmed(source, target) ? 0.15 : 0.9} />
+                            );
+                        })}
+                        {nodes.map((node) => {
+                            const { x, y } = positionOf(node.id);
+                            const radius = nodeRadius(node);
+                            const showLabel = showAllLabels ? !isDimmed(node.id) : neighbours?.has(node.id);
+                            return (
+                                <g key={node.id} transform={`translate(${x} ${y})`} opacity={isDimmed(node.id) ? 0.3 : 1} className="cursor-pointer"
+                                    onPointerDown={(e) => startDrag(e, node.id)} onPointerEnter={() => setHoveredId(node.id)} onPointerLeave={() => setHoveredId(null)}
+                                    tabIndex={0} role="button" aria-label={node.title} onKeyDown={(e) => { if (e.key === 'Enter') onOpen(node.id); }}>
+                                    <title>{`${node.title} (${node.status})`}</title>
+                                    <circle r={radius} className={fillClass(workflow, node.status)} stroke="#ffffff" strokeWidth="1.5" />
+                                    {showLabel && <text y={radius + 12} textAnchor="middle" fontSize="11" fill="#374151" className="pointer-events-none">{shortTitle(node.title)}</text>}
+                                </g>
+                            );
+                        })}
+                    </g>
+                </svg>
+            )}
+            <Legend workflow={workflow} statuses={statuses} />
+            {!showUnlinked && entries.length > nodes.length && <p className="text-xs text-gray-400">{entries.length - nodes.length} papers in this view have no links to other papers in it. Links to papers outside the current search and filters are not shown.</p>}
+        </div>
+    );
+};
+
+export default GraphView;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Loader2, History } from 'lucide-react';
+import { onSnapshot, query, orderBy } from 'firebase/firestore';
+import { historyCollection } from './audit';
+import { formatAuthors } from './authors';
+import { RELATION_TYPES } from './relations';
+
+const ACTION_LABELS = {
+    create: 'created this entry',
+    import: 'imported this entry',
+    update: 'edited this entry',
+    status: 'changed the status',
+    rate: 'rated this entry',
+    merge: 'merged a duplicate into this entry',
+    delete: 'moved this entry to the Trash',
+    restore: 'restored this entry from the Trash',
+    purge: 'permanently deleted this entry',
+    copy: 'added this entry from another project',
+    link: 'linked this entry to another project',
+    attach: 'attached a PDF',
+    detach: 'removed the PDF',
+    annotate: 'annotated the PDF',
+    screen: 'recorded a screening decision',
+    resolve: 'resolved a screening conflict',
+};
+
+const formatTime = (timestamp) => (timestamp ? timestamp.toDate().toLocaleString() : '');
+
+const formatValue = (field, value, titles) => {
+    if (value === null || value === '') return '—';
+    if (field === 'authors') return formatAuthors(value);
+    if (field === 'relations') return value.map(({ entryId, type }) => `${RELATION_TYPES[type]?.label ?? type} "${titles.get(entryId) ?? 'a removed paper'}"`).join('; ') || '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const HistoryPanel = ({ projectRef, entry, entries = [], onClose }) => {
+    const [records, setRecords] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const titles = useMemo(() => new Map(entries.map(other => [other.id, other.title])), [entries]);
+
+    useEffect(() => {
+        const q = query(historyCollection(projectRef, entry.id), orderBy('at', 'desc'));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setRecords(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+            setIsLoading(false);
+        }, (error) => {
+            console.error("Error fetching history: ", error);
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [projectRef, entry.id]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-end">
+            <div className="bg-white shadow-2xl w-full max-w-lg h-full flex flex-col">
+                <div className="flex justify-between items-start p-6 border-b">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><History className="w-6 h-6" /> History</h2>
+                        <p className="text-sm text-gray-600 mt-1">{entry.title}</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                </div>
+                <div className="flex-grow overflow-y-auto p-6">
+                    {isLoading ? (
+                        <div className="flex justify-center py-16"><Loader2 className="w-8 h-8 text-blue-600 animate-spin" /></div>
+                    ) : records.length === 0 ? (
+                        <p className="text-center text-gray-500 py-16">No changes have been recorded for this entry yet.</p>
+                    ) : (
+                        <ol className="relative border-l border-gray-200 ml-2 space-y-6">
+                            {records.map(record => (
+                                <li key={record.id} className="ml-4">
+                                    <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-500" />
+                                    <p className="text-sm"><span className="font-semibold text-gray-900">{record.byName}</span> {ACTION_LABELS[record.action] ?? record.action}</p>
+                                    <p className="text-xs text-gray-500">{formatTime(record.at)}</p>
+                                    {record.note && <p className="text-xs text-gray-600 mt-1">{record.note}</p>}
+                                    {Object.keys(record.changes ?? {}).length > 0 && (
+                                        <ul className="mt-2 space-y-1 text-xs">
+                                            {Object.entries(record.changes).map(([field, { from, to }]) => (
+                                                <li key={field} className="break-words">
+                                                    <span className="font-medium text-gray-700">{field}:</span>{' '}
+                                                    <span className="text-red-600 line-through">{formatValue(field, from, titles)}</span>{' → '}
+                                                    <span className="text-green-700">{formatValue(field, to, titles)}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HistoryPanel;
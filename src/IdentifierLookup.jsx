@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { WandSparkles, Loader2, CheckCircle } from 'lucide-react';
+import { resolveMetadata } from './resolvers';
+
+// "Paste DOI / arXiv ID / URL" box above the add form; fills the form through resolvers.js.
+const IdentifierLookup = ({ onResolved }) => {
+    const [text, setText] = useState('');
+    const [isResolving, setIsResolving] = useState(false);
+    const [error, setError] = useState('');
+    const [source, setSource] = useState('');
+
+    const handleLookup = async () => {
+        if (!text.trim()) return;
+        setIsResolving(true);
+        setError('');
+        setSource('');
+        try {
+            const result = await resolveMetadata(text);
+            onResolved(result.fields);
+            setSource(result.source);
+        } catch (error) {
+            console.error("Error resolving identifier: ", error);
+            setError(error instanceof TypeError ? 'The metadata service could not be reached. Check your connection.' : error.message);
+        }
+        setIsResolving(false);
+    };
+    // Enter looks the identifier up instead of submitting the surrounding form.
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        handleLookup();
+    };
+
+    return (
+        <div className="p-4 rounded-lg border border-blue-200 bg-blue-50">
+            <label htmlFor="identifier-lookup" className="label">Fill in from DOI, arXiv ID or URL</label>
+            <div className="flex gap-2">
+                <input type="text" id="identifier-lookup" value={text} onChange={(e) => { setText(e.target.value); setError(''); setSource(''); }} onKeyDown={handleKeyDown} className="form-input" placeholder="e.g. 10.1038/nature14539 or arXiv:1706.03762" />
+                <button type="button" onClick={handleLookup} disabled={isResolving || !text.trim()} className="flex-shrink-0 inline-flex items-center gap-2 bg-blue-600 text-white font-semibold px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                    {isResolving ? <Loader2 className="w-5 h-5 animate-spin" /> : <WandSparkles className="w-5 h-5" />} Fill in
+                </button>
+            </div>
+            {error && <p className="mt-2 text-sm text-red-500">{error}</p>}
+            {source && <p className="mt-2 text-sm text-green-700 flex items-center gap-1"><CheckCircle className="w-4 h-4" /> Filled in from {source}. Check the fields below before saving.</p>}
+        </div>
+    );
+};
+
+export default IdentifierLookup;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronDown, ChevronUp, ChevronLeft, ChevronRight, Edit, History, Trash2, Download, X, MessageSquare, Link as LinkIcon } from 'lucide-react';
+import RatingStars from './RatingStars';
+import ColumnChooser from './ColumnChooser';
+import { aggregateRatings } from './ratings';
+import { COLOR_CLASSES, statusColor } from './workflow';
+import { formatAuthors } from './authors';
+import { findColumn, cellText, parseCellText, PAGE_SIZES, MIN_COLUMN_WIDTH } from './tableColumns';
+
+// Rows have a fixed height so only the ones scrolled into view need to be rendered.
+const ROW_HEIGHT = 60;
+const OVERSCAN = 10;
+const SELECT_WIDTH = 44;
+const ACTIONS_WIDTH = 120;
+
+// Average of the reviewers' ratings, flagged when they disagree.
+const AggregateRating = ({ entry, onOpen }) => {
+    const { average, count, isDisagreement, ratings } = aggregateRatings(entry);
+    const breakdown = ratings.map(r => `${r.name}: ${r.value}`).join(', ');
+    return (
+        <button onClick={onOpen} title={breakdown || undefined} className={`flex flex-col items-start rounded-lg p-1 ${isDisagreement ? 'bg-red-50 ring-1 ring-red-300' : ''}`}>
+            <RatingStars rating={Math.round(average)} readOnly={true} />
+            <span className={`text-xs ${isDisagreement ? 'text-red-700 font-semibold' : 'text-gray-500'}`}>
+                {count > 0 && `${average.toFixed(1)} · ${count} rating${count === 1 ? '' : 's'}`}{isDisagreement && ' · disagree'}
+                {entry.commentCount > 0 && <span className="inline-flex items-center gap-0.5 ml-1 text-gray-500"><MessageSquare className="w-3 h-3" />{entry.commentCount}</span>}
+            </span>
+        </button>
+    );
+};
+
+// Text input over a cell; Enter or leaving the cell saves, Escape cancels.
+const CellEditor = ({ entry, columnKey, onCommit, onCancel }) => {
+    const [text, setText] = useState(() => cellText(entry, columnKey));
+    const [error, setError] = useState('');
+    // Enter and Escape close the editor, which must not then save again on blur.
+    const isClosed = useRef(false);
+    const commit = () => {
+        if (isClosed.current) return;
+        // Unchanged text is not parsed again, so leaving a cell never rewrites it.
+        if (text === cellText(entry, columnKey)) {
+            cancel();
+            return;
+        }
+        const parsed = parseCellText(columnKey, text, entry);
+        if (parsed.error) {
+            setError(parsed.error);
+            return;
+        }
+        isClosed.current = true;
+        onCommit(parsed.value);
+    };
+    const cancel = () => {
+        isClosed.current = true;
+        onCancel();
+    };
+    return (
+        <input type={findColumn(columnKey).editable === 'number' ? 'number' : 'text'} autoFocus value={text} title={error || undefined}
+            onChange={(e) => { setText(e.target.value); setError(''); }} onBlur={commit}
+            onKeyDown={(e) => { if (e.key === 'Enter') commit(); if (e.key === 'Escape') cancel(); }}
+            className={`w-full text-sm rounded border px-2 py-1 focus:outline-none focus:ring-2 ${error ? 'border-red-400 focus:ring-red-300' : 'border-blue-400 focus:ring-blue-300'}`} />
+    );
+};
+
+const LiteratureTable = ({
+    entries, workflow, statusOptions, picOptions, sortConfig, prefs, isLoading,
+    canEdit, canDelete, isStatusAllowed,
+    onSort, onChangePrefs, onStatusChange, onEditCell, onBulkUpdate, onBulkDelete, onBulkExport,
+    onOpen, onEdit, onHistory, onDelete,
+}) => {
+    const [page, setPage] = useState(0);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [lastSelected, setLastSelected] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [resizing, setResizing] = useState(null);
+    const [bulkNote, setBulkNote] = useState('');
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewportHeight, setViewportHeight] = useState(600);
+    const scrollRef = useRef(null);
+    const selectPageRef = useRef(null);
+
+    const pageCount = Math.max(1, Math.ceil(entries.length / prefs.pageSize));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = entries.slice(currentPage * prefs.pageSize, (currentPage + 1) * prefs.pageSize);
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(pageRows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+
+    // Entries filtered out of the view drop out of the selection.
+    const selected = entries.filter(entry => selectedIds.has(entry.id));
+    const isPageSelected = pageRows.length > 0 && pageRows.every(entry => selectedIds.has(entry.id));
+    const isPagePartlySelected = !isPageSelected && pageRows.some(entry => selectedIds.has(entry.id));
+
+    useEffect(() => {
+        const element = scrollRef.current;
+        if (!element) return;
+        const measure = () => setViewportHeight(element.clientHeight);
+        measure();
+        window.addEventListener('resize', measure);
+        return () => window.removeEventListener('resize', measure);
+    }, []);
+    useEffect(() => {
+        if (scrollRef.current) scrollRef.current.scrollTop = 0;
+        setScrollTop(0);
+    }, [currentPage, prefs.pageSize, sortConfig]);
+    useEffect(() => {
+        if (selectPageRef.current) selectPageRef.current.indeterminate = isPagePartlySelected;
+    }, [isPagePartlySelected]);
+
+    const widthOf = (column) => (resizing?.key === column.key ? resizing.width : column.width);
+    const tableWidth = SELECT_WIDTH + ACTIONS_WIDTH + prefs.columns.reduce((sum, column) => sum + widthOf(column), 0);
+
+    const startResize = (e, column) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const widthAt = (x) => Math.max(MIN_COLUMN_WIDTH, Math.round(column.width + x - startX));
+        const handleMove = (moveEvent) => setResizing({ key: column.key, width: widthAt(moveEvent.clientX) });
+        const handleUp = (upEvent) => {
+            document.removeEventListener('mousemove', handleMove);
+            document.removeEventListener('mouseup', handleUp);
+            setResizing(null);
+            onChangePrefs({ ...prefs, columns: prefs.columns.map(c => (c.key === column.key ? { ...c, width: widthAt(upEvent.clientX) } : c)) });
+        };
+        document.addEventListener('mousemove', handleMove);
+        document.addEventListener('mouseup', handleUp);
+    };
+
+    const updateSelection = (ids, isSelected) => setSelectedIds((current) => {
+        const next = new Set(current);
+        ids.forEach(id => (isSelected ? next.add(id) : next.delete(id)));
+        return next;
+    });
+    // Shift-click selects everything between the last clicked row and this one.
+    const handleSelectRow = (e, entry, index) => {
+        const isSelected = !selectedIds.has(entry.id);
+        if (e.nativeEvent.shiftKey && lastSelected !== null) {
+            const [from, to] = [Math.min(lastSelected, index), Math.max(lastSelected, index)];
+            updateSelection(pageRows.slice(from, to + 1).map(row => row.id), isSelected);
+        } else {
+            updateSelection([entry.id], isSelected);
+        }
+        setLastSelected(index);
+        setBulkNote('');
+    };
+    const clearSelection = () => { setSelectedIds(new Set()); setBulkNote(''); };
+
+    const handleBulkStatus = (status) => {
+        const moving = selected.filter(entry => entry.status !== status);
+        const allowed = moving.filter(entry => isStatusAllowed(entry, status));
+        if (allowed.length > 0) onBulkUpdate(allowed, { status });
+        const skipped = moving.length - allowed.length;
+        setBulkNote(skipped > 0 ? `${skipped} ${skipped === 1 ? 'entry' : 'entries'} could not be moved to "${status}": the status is restricted or their review is incomplete.` : '');
+    };
+    const handleBulkPic = (pic) => {
+        const changing = selected.filter(entry => entry.pic !== pic);
+        if (changing.length > 0) onBulkUpdate(changing, { pic });
+        setBulkNote('');
+    };
+    const handleBulkDelete = () => {
+        onBulkDelete(selected);
+        clearSelection();
+    };
+
+    const commitEdit = (entry, key, value) => {
+        setEditing(null);
+        if (JSON.stringify(value) !== JSON.stringify(entry[key] ?? '')) onEditCell(entry, key, value);
+    };
+
+    const renderCell = (entry, key) => {
+        if (editing?.id === entry.id && editing.key === key) {
+            return <CellEditor entry={entry} columnKey={key} onCommit={(value) => commitEdit(entry, key, value)} onCancel={() => setEditing(null)} />;
+        }
+        switch (key) {
+            case 'title':
+                return <button onClick={() => onOpen(entry.id)} title={entry.title} className="block w-full truncate text-left font-bold text-gray-900 hover:text-blue-700 hover:underline">{entry.title}</button>;
+            case 'authors':
+                return <span className="block truncate text-gray-600" title={formatAuthors(entry.authors)}>{formatAuthors(entry.authors)}</span>;
+            case 'relevance':
+                return <AggregateRating entry={entry} onOpen={() => onOpen(entry.id)} />;
+            case 'status':
+                return (
+                    <select value={entry.status} disabled={!canEdit} onChange={(e) => onStatusChange(entry.id, e.target.value)} className={`w-full border-none rounded-lg p-1 text-sm focus:ring-1 focus:ring-blue-500 disabled:cursor-default ${COLOR_CLASSES[statusColor(workflow, entry.status)]?.badge ?? 'bg-transparent'}`}>
+                        {statusOptions.map(s => <option key={s} value={s} disabled={!isStatusAllowed(entry, s)}>{s}</option>)}
+                    </select>
+                );
+            case 'pic':
+                return canEdit ? (
+                    <select value={entry.pic ?? ''} onChange={(e) => onEditCell(entry, 'pic', e.target.value)} className="w-full border-none bg-transparent rounded-lg p-1 text-sm focus:ring-1 focus:ring-blue-500">
+                        {!picOptions.includes(entry.pic) && <option value={entry.pic ?? ''}>{entry.pic || '—'}</option>}
+                        {picOptions.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                ) : <span className="block truncate">{entry.pic}</span>;
+            case 'link':
+                return entry.link ? <a href={entry.link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 inline-block"><LinkIcon className="w-5 h-5" /></a> : null;
+            case 'updatedAt':
+                return <span className="block truncate text-xs" title={entry.updatedByName ? `by ${entry.updatedByName}` : undefined}>{entry.updatedAt ? entry.updatedAt.toDate().toLocaleString() : ''}</span>;
+            default:
+                return <span className={`block truncate ${key === 'summary' ? 'text-xs' : ''}`} title={String(entry[key] ?? '')}>{entry[key]}</span>;
+        }
+    };
+    const isInlineEditable = (key) => canEdit && ['text', 'number', 'authors'].includes(findColumn(key).editable);
+
+    const getSortIcon = (key) => {
+        if (sortConfig.key !== key) return <ChevronDown className="w-4 h-4 flex-shrink-0 text-gray-400 opacity-50" />;
+        return sortConfig.direction === 'ascending' ? <ChevronUp className="w-4 h-4 flex-shrink-0" /> : <ChevronDown className="w-4 h-4 flex-shrink-0" />;
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200">
+            <div className="flex flex-wrap justify-between items-center gap-3 px-4 py-3 border-b border-gray-200">
+                {selected.length > 0 ? (
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className="font-semibold text-gray-800">{selected.length} selected</span>
+                        {canEdit && (
+                            <>
+                                <select value="" onChange={(e) => handleBulkStatus(e.target.value)} aria-label="Set status" className="border border-gray-300 rounded-lg py-1.5 text-sm">
+                                    <option value="" disabled>Set status…</option>
+                                    {statusOptions.map(s => <option key={s} value={s}>{s}</option>)}
+                                </select>
+                                <select value="" onChange={(e) => handleBulkPic(e.target.value)} aria-label="Set PIC" className="border border-gray-300 rounded-lg py-1.5 text-sm">
+                                    <option value="" disabled>Set PIC…</option>
+                                    {picOptions.map(name => <option key={name} value={name}>{name}</option>)}
+                                </select>
+                            </>
+                        )}
+                        <button onClick={() => onBulkExport(selected)} className="inline-flex items-center gap-1 font-semibold text-gray-700 py-1.5 px-3 rounded-lg border border-gray-300 hover:bg-gray-100"><Download className="w-4 h-4" /> Export</button>
+                        {canDelete && <button onClick={handleBulkDelete} className="inline-flex items-center gap-1 font-semibold text-red-600 py-1.5 px-3 rounded-lg border border-red-200 hover:bg-red-50"><Trash2 className="w-4 h-4" /> Move to Trash</button>}
+                        <button onClick={clearSelection} title="Clear selection" className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+                    </div>
+                ) : (
+                    <span className="text-sm text-gray-600">{entries.length} {entries.length === 1 ? 'entry' : 'entries'}{canEdit ? ' · Double-click a cell to edit it' : ''}</span>
+                )}
+                <ColumnChooser prefs={prefs} onChange={onChangePrefs} />
+                {bulkNote && <p className="w-full text-sm text-amber-700">{bulkNote}</p>}
+                {isPageSelected && selected.length < entries.length && (
+                    <p className="w-full text-sm text-gray-600">
+                        All {pageRows.length} entries on this page are selected. <button onClick={() => updateSelection(entries.map(entry => entry.id), true)} className="font-semibold text-blue-600 hover:text-blue-800">Select all {entries.length} entries</button>
+                    </p>
+                )}
+            </div>
+            <div ref={scrollRef} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)} className="max-h-[70vh] overflow-auto">
+                <table className="text-sm text-left text-gray-500 table-fixed" style={{ width: tableWidth, minWidth: '100%' }}>
+                    <colgroup>
+                        <col style={{ width: SELECT_WIDTH }} />
+                        {prefs.columns.map(column => <col key={column.key} style={{ width: widthOf(column) }} />)}
+                        <col style={{ width: ACTIONS_WIDTH }} />
+                    </colgroup>
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-100 sticky top-0 z-10">
+                        <tr>
+                            <th scope="col" className="px-3 py-3">
+                                <input type="checkbox" ref={selectPageRef} checked={isPageSelected} onChange={() => { updateSelection(pageRows.map(entry => entry.id), !isPageSelected); setBulkNote(''); }} aria-label="Select all on this page" className="rounded" />
+                            </th>
+                            {prefs.columns.map(column => (
+                                <th key={column.key} scope="col" className="relative px-3 py-3">
+                                    <button onClick={() => onSort(column.key)} className="flex items-center w-full uppercase text-left"><span className="truncate">{findColumn(column.key).label}</span> {getSortIcon(column.key)}</button>
+                                    <span onMouseDown={(e) => startResize(e, column)} title="Drag to resize" className="absolute right-0 top-0 h-full w-2 cursor-col-resize hover:bg-blue-200" />
+                                </th>
+                            ))}
+                            <th scope="col" className="px-3 py-3 text-center">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+                        {pageRows.slice(first, last).map((item, offset) => (
+                            <tr key={item.id} style={{ height: ROW_HEIGHT }} className={`border-b transition-colors ${selectedIds.has(item.id) ? 'bg-blue-50' : 'bg-white hover:bg-gray-50'}`}>
+                                <td className="px-3">
+                                    <input type="checkbox" checked={selectedIds.has(item.id)} onChange={(e) => handleSelectRow(e, item, first + offset)} aria-label={`Select "${item.title}"`} className="rounded" />
+                                </td>
+                                {prefs.columns.map(column => (
+                                    <td key={column.key} onDoubleClick={isInlineEditable(column.key) ? () => setEditing({ id: item.id, key: column.key }) : undefined} className="px-3 overflow-hidden">
+                                        {renderCell(item, column.key)}
+                                    </td>
+                                ))}
+                                <td className="px-3">
+                                    <div className="flex items-center justify-center space-x-3">
+                                        {canEdit && <button onClick={() => onEdit(item)} className="text-blue-600 hover:text-blue-800"><Edit className="w-5 h-5" /></button>}
+                                        <button onClick={() => onHistory(item)} title={item.updatedByName ? `Last changed by ${item.updatedByName}` : 'History'} className="text-gray-500 hover:text-gray-700"><History className="w-5 h-5" /></button>
+                                        {canDelete && <button onClick={() => onDelete(item.id)} title="Move to Trash" className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>}
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                        {last < pageRows.length && <tr style={{ height: (pageRows.length - last) * ROW_HEIGHT }} />}
+                    </tbody>
+                </table>
+                {entries.length === 0 && !isLoading && (
+                    <div className="text-center py-16">
+                        <h3 className="text-xl font-semibold text-gray-700">No Literature Found</h3>
+                        <p className="text-gray-500 mt-2">Start by adding your first research paper!</p>
+                    </div>
+                )}
+            </div>
+            <div className="flex flex-wrap justify-between items-center gap-3 px-4 py-3 border-t border-gray-200 text-sm text-gray-600">
+                <label className="flex items-center gap-2">
+                    Rows per page
+                    <select value={prefs.pageSize} onChange={(e) => { onChangePrefs({ ...prefs, pageSize: Number(e.target.value) }); setPage(0); }} className="border border-gray-300 rounded-lg py-1 text-sm">
+                        {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                    </select>
+                </label>
+                <div className="flex items-center gap-3">
+                    <span>{entries.length === 0 ? '0' : `${currentPage * prefs.pageSize + 1}–${currentPage * prefs.pageSize + pageRows.length}`} of {entries.length}</span>
+                    <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} title="Previous page" className="p-1 rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-40"><ChevronLeft className="w-4 h-4" /></button>
+                    <span>Page {currentPage + 1} of {pageCount}</span>
+                    <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} title="Next page" className="p-1 rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-40"><ChevronRight className="w-4 h-4" /></button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LiteratureTable;
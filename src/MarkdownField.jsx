@@ -0,0 +1,33 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+
+export const Markdown = ({ children }) => (
+    <div className="markdown text-sm text-gray-700"><ReactMarkdown>{children}</ReactMarkdown></div>
+);
+
+// Textarea with a Write / Preview toggle for long notes.
+const MarkdownField = ({ id, label, value, onChange, rows = 5, required = false }) => {
+    const [isPreview, setIsPreview] = useState(false);
+    const tabClass = (active) => `px-2 py-0.5 rounded ${active ? 'bg-gray-200 text-gray-800' : 'text-gray-500 hover:text-gray-700'}`;
+
+    return (
+        <div>
+            <div className="flex justify-between items-center">
+                <label htmlFor={id} className="label">{label}{required && <span className="text-red-500"> *</span>}</label>
+                <div className="flex gap-1 text-xs mb-1">
+                    <button type="button" onClick={() => setIsPreview(false)} className={tabClass(!isPreview)}>Write</button>
+                    <button type="button" onClick={() => setIsPreview(true)} className={tabClass(isPreview)}>Preview</button>
+                </div>
+            </div>
+            {isPreview ? (
+                <div className="min-h-[6rem] p-3 border border-gray-200 rounded-lg bg-gray-50">
+                    {value ? <Markdown>{value}</Markdown> : <p className="text-sm text-gray-400 italic">Nothing to preview.</p>}
+                </div>
+            ) : (
+                <textarea id={id} rows={rows} value={value} onChange={(e) => onChange(e.target.value)} className="form-textarea text-sm" placeholder="Markdown supported: **bold**, _italic_, - lists, [links](https://...)" />
+            )}
+        </div>
+    );
+};
+
+export default MarkdownField;
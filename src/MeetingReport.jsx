@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { X, Printer } from 'lucide-react';
+import { formatAuthors } from './authors';
+import { aggregateRatings } from './ratings';
+import { statusNames } from './workflow';
+import { REPORT_PERIOD_DAYS, candidateStatus, enteredStatusSince, transitionCountsSince } from './dashboard';
+
+const toInputDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const defaultSince = () => toInputDate(new Date(Date.now() - REPORT_PERIOD_DAYS * 24 * 60 * 60 * 1000));
+
+const ReportEntry = ({ entry, at, byName, showSummary }) => (
+    <li className="py-3 border-b border-gray-200 break-inside-avoid">
+        <p className="font-semibold text-gray-900">{entry.link ? <a href={entry.link} target="_blank" rel="noopener noreferrer" className="hover:underline">{entry.title}</a> : entry.title}</p>
+        <p className="text-sm text-gray-600">{formatAuthors(entry.authors)} ({entry.year}){entry.publication ? `. ${entry.publication}` : ''}{entry.doi ? `. doi:${entry.doi}` : ''}</p>
+        <p className="text-xs text-gray-500 mt-1">
+            PIC: {entry.pic || '—'} · Relevance: {aggregateRatings(entry).average.toFixed(1)} · Moved {at.toLocaleDateString()}{byName ? ` by ${byName}` : ''}
+        </p>
+        {showSummary && <p className="text-sm text-gray-800 mt-2 whitespace-pre-wrap">{entry.summary || <span className="italic text-gray-400">No summary yet.</span>}</p>}
+    </li>
+);
+
+// Printable summary of what changed since a date, for the weekly professor meeting.
+// While it is open it is rendered next to the app's root, which is hidden when printing
+// (see GlobalStyles in App.jsx), so the printout or the browser's "Save as PDF" holds only the report.
+const MeetingReport = ({ project, entries, transitions, workflow, onClose }) => {
+    const [since, setSince] = useState(defaultSince);
+    const [status, setStatus] = useState(() => candidateStatus(workflow));
+
+    useEffect(() => {
+        document.body.classList.add('printing-report');
+        return () => document.body.classList.remove('printing-report');
+    }, []);
+
+    const sinceDate = new Date(`${since}T00:00:00`);
+    const isValidSince = !Number.isNaN(sinceDate.getTime());
+    const candidates = isValidSince ? enteredStatusSince(entries, transitions, status, sinceDate) : [];
+    const benchmarkStatuses = workflow.statuses.filter(s => s.restricted && s.name !== status).map(s => s.name);
+    const promoted = isValidSince ? benchmarkStatuses.flatMap(name => enteredStatusSince(entries, transitions, name, sinceDate)) : [];
+    const counts = isValidSince ? transitionCountsSince(transitions, sinceDate) : {};
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4 print:static print:block print:bg-transparent print:p-0">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col print:max-h-none print:overflow-visible print:shadow-none print:rounded-none">
+                <div className="flex flex-wrap justify-between items-end gap-4 p-6 border-b bg-gray-50 print:hidden">
+                    <div className="flex flex-wrap gap-4">
+                        <div>
+                            <label htmlFor="report-since" className="label">Changes since</label>
+                            <input type="date" id="report-since" value={since} max={toInputDate(new Date())} onChange={(e) => setSince(e.target.value)} className="form-input" />
+                        </div>
+                        <div>
+                            <label htmlFor="report-status" className="label">Candidates are entries moved to</label>
+                            <select id="report-status" value={status} onChange={(e) => setStatus(e.target.value)} className="form-input">
+                                {statusNames(workflow).map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="flex gap-2">
+                        <button onClick={() => window.print()} disabled={!isValidSince} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50"><Printer className="w-5 h-5" /> Print / Save as PDF</button>
+                        <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                    </div>
+                </div>
+                <div className="flex-grow overflow-y-auto p-8 print:overflow-visible print:p-0">
+                    <header className="border-b-2 border-gray-800 pb-3">
+                        <h1 className="text-2xl font-bold text-gray-900">{project.title}: meeting report</h1>
+                        <p className="text-sm text-gray-600 mt-1">
+                            {isValidSince ? `${sinceDate.toLocaleDateString()} – ${new Date().toLocaleDateString()}` : 'Choose a start date.'} · {entries.length} {entries.length === 1 ? 'entry' : 'entries'} in view
+                        </p>
+                    </header>
+                    <section className="mt-6 break-inside-avoid">
+                        <h2 className="text-lg font-bold text-gray-800">Status changes</h2>
+                        <ul className="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-2 text-sm">
+                            {statusNames(workflow).map(name => (
+                                <li key={name} className="flex justify-between border border-gray-200 rounded-lg px-3 py-2"><span className="text-gray-700">{name}</span><span className="font-semibold">+{counts[name] ?? 0}</span></li>
+                            ))}
+                        </ul>
+                    </section>
+                    <section className="mt-6">
+                        <h2 className="text-lg font-bold text-gray-800">New benchmark candidates ({candidates.length})</h2>
+                        <p className="text-xs text-gray-500">Entries now in "{status}" that moved there in this period.</p>
+                        {candidates.length === 0 ? <p className="text-sm text-gray-500 mt-2">No new candidates.</p> : (
+                            <ul className="mt-2">
+                                {candidates.map(item => <ReportEntry key={item.entry.id} {...item} showSummary={true} />)}
+                            </ul>
+                        )}
+                    </section>
+                    {benchmarkStatuses.length > 0 && (
+                        <section className="mt-6">
+                            <h2 className="text-lg font-bold text-gray-800">Added to {benchmarkStatuses.join(' / ')} ({promoted.length})</h2>
+                            {promoted.length === 0 ? <p className="text-sm text-gray-500 mt-2">Nothing added in this period.</p> : (
+                                <ul className="mt-2">
+                                    {promoted.map(item => <ReportEntry key={item.entry.id} {...item} showSummary={false} />)}
+                                </ul>
+                            )}
+                        </section>
+                    )}
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default MeetingReport;
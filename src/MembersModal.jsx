@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { X, Loader2, Users } from 'lucide-react';
+import { collection, onSnapshot, updateDoc, deleteField, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { ROLES } from './permissions';
+
+// Lets the project owner choose who belongs to the project and with which role.
+// Accounts themselves are created in the Firebase console, so this lists the
+// existing profiles in the 'members' collection; roles are stored on the project.
+const MembersModal = ({ db, projectRef, project, currentUser, onClose }) => {
+    const [members, setMembers] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, 'members'), (querySnapshot) => {
+            setMembers(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (a.name ?? '').localeCompare(b.name ?? '')));
+            setIsLoading(false);
+        }, (error) => {
+            console.error("Error fetching members: ", error);
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    const handleRoleChange = (id, role) => {
+        const changes = role
+            ? { [`roles.${id}`]: role, memberIds: arrayUnion(id) }
+            : { [`roles.${id}`]: deleteField(), memberIds: arrayRemove(id) };
+        updateDoc(projectRef, changes).catch(error => console.error("Error updating role: ", error));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><Users className="w-6 h-6" /> Team Members</h2>
+                        <p className="text-sm text-gray-600 mt-1">{project.title}</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                </div>
+                <div className="flex-grow overflow-y-auto p-8">
+                    {isLoading ? (
+                        <div className="flex justify-center py-16"><Loader2 className="w-8 h-8 text-blue-600 animate-spin" /></div>
+                    ) : (
+                        <table className="w-full text-sm text-left text-gray-500">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                                <tr>
+                                    <th scope="col" className="px-3 py-2">Name</th>
+                                    <th scope="col" className="px-3 py-2">Email</th>
+                                    <th scope="col" className="px-3 py-2">Role in this project</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {members.map(member => (
+                                    <tr key={member.id} className="border-b">
+                                        <td className="px-3 py-2 font-bold text-gray-900">{member.name}</td>
+                                        <td className="px-3 py-2">{member.email}</td>
+                                        <td className="px-3 py-2">
+                                            <select value={project.roles?.[member.id] ?? ''} disabled={member.id === currentUser.uid} onChange={(e) => handleRoleChange(member.id, e.target.value)} className="form-input py-1">
+                                                <option value="">Not a member</option>
+                                                {Object.entries(ROLES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    <ul className="mt-6 space-y-1 text-xs text-gray-500">
+                        {Object.values(ROLES).map(({ label, description }) => <li key={label}><span className="font-semibold text-gray-700">{label}:</span> {description}</li>)}
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MembersModal;
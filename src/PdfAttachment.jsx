@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { FileText, Upload, Trash2, Loader2, BookOpenText } from 'lucide-react';
+import { ref, uploadBytesResumable } from 'firebase/storage';
+import { storage } from './firebase';
+import { PDF_CONTENT_TYPE, pdfPath, validatePdf, deletePdfFile, canChangePdf, formatFileSize, annotationList } from './attachments';
+
+// The entry's PDF in the detail drawer: upload, replace, remove and open the reader.
+// The file goes to Storage here; the entry itself is updated through onAttach/onRemove.
+const PdfAttachment = ({ projectRef, entry, currentUser, canEdit, canModerate, onAttach, onRemove, onOpen }) => {
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState('');
+    const [isConfirmingRemove, setIsConfirmingRemove] = useState(false);
+    const highlightCount = annotationList(entry).length;
+    // Replacing the file also clears everyone's highlights, so it is limited like removing it.
+    const canRemove = canEdit && canChangePdf(entry, currentUser, canModerate);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const problem = validatePdf(file);
+        setError(problem);
+        if (problem) return;
+        const fileRef = ref(storage, pdfPath(projectRef.id, entry.id));
+        const task = uploadBytesResumable(fileRef, file, { contentType: PDF_CONTENT_TYPE, customMetadata: { uploadedBy: currentUser.uid } });
+        setProgress(0);
+        task.on('state_changed',
+            (snapshot) => setProgress(snapshot.bytesTransferred / snapshot.totalBytes),
+            (error) => {
+                console.error("Error uploading PDF: ", error);
+                setError('Uploading failed. PDFs can only be uploaded while online.');
+                setProgress(null);
+            },
+            () => {
+                onAttach({ path: fileRef.fullPath, name: file.name, size: file.size });
+                setProgress(null);
+            });
+    };
+    const handleRemove = async () => {
+        setIsConfirmingRemove(false);
+        try {
+            await deletePdfFile(storage, entry.pdf.path);
+        } catch (error) {
+            console.error("Error removing PDF: ", error);
+            setError('Removing the PDF failed. Please try again.');
+            return;
+        }
+        onRemove();
+    };
+
+    const uploadButton = (label) => (
+        <label className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 cursor-pointer">
+            <Upload className="w-4 h-4" /> {label}
+            <input type="file" accept=".pdf,application/pdf" onChange={handleFileChange} className="hidden" />
+        </label>
+    );
+
+    return (
+        <div className="p-3 rounded-lg border border-gray-200">
+            <div className="flex items-center gap-3">
+                <FileText className="w-5 h-5 text-gray-500 flex-shrink-0" />
+                {entry.pdf ? (
+                    <>
+                        <button type="button" onClick={onOpen} className="flex-grow min-w-0 text-left">
+                            <span className="block truncate font-semibold text-blue-600 hover:text-blue-800 hover:underline">{entry.pdf.name}</span>
+                            <span className="block text-xs text-gray-500">{formatFileSize(entry.pdf.size)} · uploaded by {entry.pdf.uploadedByName}{highlightCount > 0 && ` · ${highlightCount} highlight${highlightCount === 1 ? '' : 's'}`}</span>
+                        </button>
+                        <button type="button" onClick={onOpen} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"><BookOpenText className="w-4 h-4" /> Read</button>
+                        {canRemove && progress === null && uploadButton('Replace')}
+                        {canRemove && <button type="button" onClick={() => setIsConfirmingRemove(true)} title="Remove PDF" className="text-red-600 hover:text-red-800"><Trash2 className="w-4 h-4" /></button>}
+                    </>
+                ) : (
+                    <>
+                        <span className="flex-grow text-sm text-gray-500">No PDF attached.</span>
+                        {canEdit && progress === null && uploadButton('Upload PDF')}
+                    </>
+                )}
+                {progress !== null && <span className="inline-flex items-center gap-1 text-sm text-gray-500"><Loader2 className="w-4 h-4 animate-spin" /> {Math.round(progress * 100)}%</span>}
+            </div>
+            {entry.pdf && highlightCount > 0 && canEdit && progress === null && <p className="mt-2 text-xs text-gray-500">Replacing the PDF removes its highlights and notes.</p>}
+            {isConfirmingRemove && (
+                <div className="mt-2 flex items-center justify-end gap-3 text-sm">
+                    <span className="mr-auto text-red-700">Remove the PDF{highlightCount > 0 && ` and its ${highlightCount} highlight${highlightCount === 1 ? '' : 's'}`}?</span>
+                    <button type="button" onClick={() => setIsConfirmingRemove(false)} className="text-gray-600 hover:text-gray-800">Cancel</button>
+                    <button type="button" onClick={handleRemove} className="font-semibold text-red-600 hover:text-red-800">Remove</button>
+                </div>
+            )}
+            {error && <p className="mt-2 text-sm text-red-500">{error}</p>}
+        </div>
+    );
+};
+
+export default PdfAttachment;
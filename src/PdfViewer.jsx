@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Loader2, Highlighter, Trash2, Edit, ZoomIn, ZoomOut, StickyNote } from 'lucide-react';
+import { ref, getBytes } from 'firebase/storage';
+import { getDocument, GlobalWorkerOptions, TextLayer } from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import 'pdfjs-dist/web/pdf_viewer.css';
+import { storage } from './firebase';
+import { annotationList, pageRects } from './attachments';
+
+GlobalWorkerOptions.workerSrc = workerUrl;
+
+const ZOOM_LEVELS = [0.75, 1, 1.25, 1.5, 2];
+
+// One page, drawn when it is scrolled near the viewport. The transparent text layer
+// on top of the canvas makes the text selectable; selections become highlights.
+const PdfPage = ({ pdf, pageNumber, scale, baseSize, annotations, activeId, onSelectText, onActivate }) => {
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    const textLayerRef = useRef(null);
+    const [isVisible, setIsVisible] = useState(false);
+    const [size, setSize] = useState(baseSize);
+
+    useEffect(() => {
+        const observer = new IntersectionObserver(([observed]) => { if (observed.isIntersecting) setIsVisible(true); }, { rootMargin: '600px' });
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        if (!isVisible) return;
+        let isCancelled = false;
+        let renderTask = null;
+        let textLayer = null;
+        pdf.getPage(pageNumber).then((page) => {
+            if (isCancelled) return;
+            const viewport = page.getViewport({ scale });
+            const ratio = window.devicePixelRatio || 1;
+            const canvas = canvasRef.current;
+            canvas.width = Math.floor(viewport.width * ratio);
+            canvas.height = Math.floor(viewport.height * ratio);
+            setSize({ width: viewport.width / scale, height: viewport.height / scale });
+            renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport, transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null });
+            textLayerRef.current.replaceChildren();
+            textLayer = new TextLayer({ textContentSource: page.streamTextContent(), container: textLayerRef.current, viewport });
+            return Promise.all([renderTask.promise, textLayer.render()]);
+        }).catch((error) => {
+            if (error?.name !== 'RenderingCancelledException') console.error("Error rendering page: ", error);
+        });
+        return () => { isCancelled = true; renderTask?.cancel(); textLayer?.cancel(); };
+    }, [pdf, pageNumber, scale, isVisible]);
+
+    // Selections spanning several pages are ignored; each highlight belongs to one page.
+    const handleMouseUp = () => {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed) return;
+        const range = selection.getRangeAt(0);
+        if (!textLayerRef.current.contains(range.commonAncestorContainer)) return;
+        const rects = pageRects(range.getClientRects(), containerRef.current.getBoundingClientRect());
+        const text = selection.toString().replace(/\s+/g, ' ').trim();
+        if (text && rects.length > 0) onSelectText({ page: pageNumber, rects, text });
+    };
+
+    return (
+        <div ref={containerRef} onMouseUp={handleMouseUp} className="relative bg-white shadow-md" style={{ width: size.width * scale, height: size.height * scale, '--scale-factor': scale }}>
+            <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+            {annotations.flatMap(annotation => annotation.rects.map((rect, index) => (
+                <div key={`${annotation.id}-${index}`} className={`absolute pointer-events-none mix-blend-multiply ${annotation.id === activeId ? 'bg-yellow-400/70' : 'bg-yellow-300/50'}`} style={{ left: `${rect.x * 100}%`, top: `${rect.y * 100}%`, width: `${rect.width * 100}%`, height: `${rect.height * 100}%` }} />
+            )))}
+            <div ref={textLayerRef} className="textLayer" />
+            {annotations.filter(annotation => annotation.note).map(annotation => (
+                <button key={annotation.id} type="button" onClick={() => onActivate(annotation.id)} title={annotation.note} className={`absolute left-full ml-2 ${annotation.id === activeId ? 'text-amber-500' : 'text-gray-400 hover:text-amber-500'}`} style={{ top: `${annotation.rects[0].y * 100}%` }}>
+                    <StickyNote className="w-5 h-5" />
+                </button>
+            ))}
+        </div>
+    );
+};
+
+const AnnotationItem = ({ annotation, isActive, canChange, canDelete, onActivate, onSave, onDelete }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [note, setNote] = useState(annotation.note ?? '');
+
+    const handleSave = () => {
+        onSave({ ...annotation, note: note.trim() });
+        setIsEditing(false);
+    };
+
+    return (
+        <li className={`p-3 rounded-lg border text-sm ${isActive ? 'border-amber-300 bg-amber-50' : 'border-gray-200'}`}>
+            <div className="flex justify-between items-center gap-2 text-xs text-gray-500">
+                <button type="button" onClick={() => onActivate(annotation.id)} className="font-semibold text-blue-600 hover:text-blue-800">Page {annotation.page}</button>
+                <span className="flex-grow truncate">{annotation.byName}</span>
+                {canChange && !isEditing && <button type="button" onClick={() => setIsEditing(true)} title="Edit note" className="text-gray-400 hover:text-blue-600"><Edit className="w-4 h-4" /></button>}
+                {canDelete && <button type="button" onClick={() => onDelete(annotation.id)} title="Delete highlight" className="text-gray-400 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>}
+            </div>
+            <blockquote className="mt-1 pl-2 border-l-4 border-yellow-300 text-gray-700 line-clamp-4">{annotation.text}</blockquote>
+            {isEditing ? (
+                <div className="mt-2 space-y-2">
+                    <textarea rows="2" value={note} onChange={(e) => setNote(e.target.value)} className="form-textarea text-sm" placeholder="Margin note" autoFocus />
+                    <div className="flex justify-end gap-2">
+                        <button type="button" onClick={() => { setNote(annotation.note ?? ''); setIsEditing(false); }} className="text-gray-600 hover:text-gray-800">Cancel</button>
+                        <button type="button" onClick={handleSave} className="font-semibold text-blue-600 hover:text-blue-800">Save</button>
+                    </div>
+                </div>
+            ) : (
+                annotation.note && <p className="mt-2 text-gray-800 whitespace-pre-wrap">{annotation.note}</p>
+            )}
+        </li>
+    );
+};
+
+// Reads the entry's attached PDF. Editors select text to highlight it, optionally
+// with a margin note; highlights are listed beside the pages in reading order.
+const PdfViewer = ({ entry, currentUser, canAnnotate, canModerate, onSaveAnnotation, onDeleteAnnotation, onClose }) => {
+    const [pdf, setPdf] = useState(null);
+    const [baseSize, setBaseSize] = useState(null);
+    const [error, setError] = useState('');
+    const [scale, setScale] = useState(1.25);
+    const [selection, setSelection] = useState(null);
+    const [note, setNote] = useState('');
+    const [activeId, setActiveId] = useState(null);
+    const pageRefs = useRef({});
+    const annotations = annotationList(entry);
+
+    useEffect(() => {
+        let isCancelled = false;
+        let loadingTask = null;
+        getBytes(ref(storage, entry.pdf.path)).then((data) => {
+            if (isCancelled) return null;
+            loadingTask = getDocument({ data });
+            return loadingTask.promise;
+        }).then(async (loaded) => {
+            if (!loaded || isCancelled) return;
+            const firstPage = await loaded.getPage(1);
+            const { width, height } = firstPage.getViewport({ scale: 1 });
+            setBaseSize({ width, height });
+            setPdf(loaded);
+        }).catch((error) => {
+            console.error("Error loading PDF: ", error);
+            setError('The PDF could not be loaded. Check your connection and try again.');
+        });
+        return () => { isCancelled = true; loadingTask?.destroy(); };
+    }, [entry.pdf.path]);
+
+    const handleSelectText = (selected) => {
+        if (!canAnnotate) return;
+        setSelection(selected);
+        setNote('');
+    };
+    const handleHighlight = (e) => {
+        e.preventDefault();
+        onSaveAnnotation({ id: crypto.randomUUID(), ...selection, note: note.trim() });
+        window.getSelection()?.removeAllRanges();
+        setSelection(null);
+        setNote('');
+    };
+    const activate = (id) => {
+        setActiveId(id);
+        const annotation = annotations.find(a => a.id === id);
+        if (annotation) pageRefs.current[annotation.page]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+    const zoom = (step) => setScale(current => ZOOM_LEVELS[Math.min(ZOOM_LEVELS.length - 1, Math.max(0, ZOOM_LEVELS.indexOf(current) + step))]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 z-50 flex">
+            <div className="flex-grow overflow-auto bg-gray-200">
+                {error ? (
+                    <p className="p-16 text-center text-red-600">{error}</p>
+                ) : !pdf ? (
+                    <div className="flex justify-center items-center h-full"><Loader2 className="w-10 h-10 text-blue-600 animate-spin" /></div>
+                ) : (
+                    <div className="flex flex-col items-center gap-4 py-6 pr-10">
+                        {Array.from({ length: pdf.numPages }, (_, index) => index + 1).map(pageNumber => (
+                            <div key={pageNumber} ref={(element) => { pageRefs.current[pageNumber] = element; }}>
+                                <PdfPage pdf={pdf} pageNumber={pageNumber} scale={scale} baseSize={baseSize} annotations={annotations.filter(a => a.page === pageNumber)} activeId={activeId} onSelectText={handleSelectText} onActivate={activate} />
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+            <div className="bg-white shadow-2xl w-full max-w-sm h-full flex flex-col">
+                <div className="flex justify-between items-start gap-3 p-4 border-b">
+                    <div className="min-w-0">
+                        <h2 className="text-lg font-bold text-gray-800 truncate">{entry.title}</h2>
+                        <p className="text-xs text-gray-500 truncate">{entry.pdf.name}</p>
+                    </div>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                        <button type="button" onClick={() => zoom(-1)} disabled={scale === ZOOM_LEVELS[0]} title="Zoom out" className="text-gray-500 hover:text-gray-700 disabled:opacity-30"><ZoomOut className="w-5 h-5" /></button>
+                        <span className="text-xs text-gray-500 w-10 text-center">{Math.round(scale * 100)}%</span>
+                        <button type="button" onClick={() => zoom(1)} disabled={scale === ZOOM_LEVELS[ZOOM_LEVELS.length - 1]} title="Zoom in" className="text-gray-500 hover:text-gray-700 disabled:opacity-30"><ZoomIn className="w-5 h-5" /></button>
+                        <button type="button" onClick={onClose} className="ml-2 text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                    </div>
+                </div>
+                <div className="flex-grow overflow-y-auto p-4 space-y-4">
+                    {selection ? (
+                        <form onSubmit={handleHighlight} className="p-3 rounded-lg border border-blue-200 bg-blue-50 space-y-2 text-sm">
+                            <blockquote className="pl-2 border-l-4 border-yellow-300 text-gray-700 line-clamp-4">{selection.text}</blockquote>
+                            <textarea rows="3" value={note} onChange={(e) => setNote(e.target.value)} className="form-textarea text-sm" placeholder="Margin note (optional)" />
+                            <div className="flex justify-end gap-3">
+                                <button type="button" onClick={() => setSelection(null)} className="text-gray-600 hover:text-gray-800">Cancel</button>
+                                <button type="submit" className="inline-flex items-center gap-1 bg-blue-600 text-white font-semibold px-3 py-1 rounded-lg hover:bg-blue-700"><Highlighter className="w-4 h-4" /> Highlight</button>
+                            </div>
+                        </form>
+                    ) : (
+                        canAnnotate && <p className="text-xs text-gray-500">Select text in the PDF to highlight it and add a margin note.</p>
+                    )}
+                    {annotations.length === 0 ? (
+                        <p className="text-sm text-gray-400 italic">No highlights yet.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {annotations.map(annotation => (
+                                <AnnotationItem
+                                    key={annotation.id}
+                                    annotation={annotation}
+                                    isActive={annotation.id === activeId}
+                                    canChange={canAnnotate && annotation.by === currentUser.uid}
+                                    canDelete={canAnnotate && (annotation.by === currentUser.uid || canModerate)}
+                                    onActivate={activate}
+                                    onSave={onSaveAnnotation}
+                                    onDelete={onDeleteAnnotation}
+                                />
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PdfViewer;
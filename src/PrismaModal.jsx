@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { X, GitFork, Download, Loader2 } from 'lucide-react';
+import { getDocs } from 'firebase/firestore';
+import { projectHistoryQuery } from './audit';
+import { prismaCounts, prismaSvg, downloadSvg } from './prisma';
+
+// PRISMA 2020 flow diagram of the project's screening, as an SVG for download.
+const PrismaModal = ({ db, project, entries, onClose }) => {
+    const [duplicatesRemoved, setDuplicatesRemoved] = useState(null);
+    const [title, setTitle] = useState(project.title);
+
+    useEffect(() => {
+        getDocs(projectHistoryQuery(db, project.id))
+            .then(querySnapshot => setDuplicatesRemoved(querySnapshot.docs.filter(record => record.data().action === 'merge').length))
+            .catch((error) => {
+                console.error("Error counting merged duplicates: ", error);
+                setDuplicatesRemoved(0);
+            });
+    }, [db, project.id]);
+
+    const svg = duplicatesRemoved === null ? '' : prismaSvg(prismaCounts(entries, duplicatesRemoved), title.trim());
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-start p-6 border-b">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><GitFork className="w-6 h-6" /> PRISMA Flow Diagram</h2>
+                        <p className="text-sm text-gray-600 mt-1">Counts come from the screening decisions. Duplicates removed are the merges in the project's history.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                </div>
+                <div className="flex-grow overflow-y-auto p-6 space-y-4">
+                    <div>
+                        <label htmlFor="prisma-title" className="label">Diagram title</label>
+                        <input type="text" id="prisma-title" value={title} onChange={(e) => setTitle(e.target.value)} className="form-input" />
+                    </div>
+                    {svg ? (
+                        <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`} alt="PRISMA flow diagram" className="mx-auto border border-gray-200" />
+                    ) : (
+                        <div className="flex justify-center py-16"><Loader2 className="w-8 h-8 text-blue-600 animate-spin" /></div>
+                    )}
+                </div>
+                <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                    <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Close</button>
+                    <button type="button" onClick={() => downloadSvg(svg, 'prisma-flow')} disabled={!svg} className="inline-flex items-center gap-2 bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"><Download className="w-5 h-5" /> Download SVG</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PrismaModal;
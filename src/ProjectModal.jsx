@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { X, FolderOpen } from 'lucide-react';
+
+// Creates a project, or renames the current one when `project` is given.
+const ProjectModal = ({ project, onSave, onClose }) => {
+    const [title, setTitle] = useState(project?.title ?? '');
+    const [description, setDescription] = useState(project?.description ?? '');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!title.trim()) return;
+        onSave({ title: title.trim(), description: description.trim() });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg">
+                <form onSubmit={handleSubmit}>
+                    <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><FolderOpen className="w-6 h-6" /> {project ? 'Edit Project' : 'New Project'}</h2><button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
+                    <div className="p-8 space-y-5">
+                        <div><label htmlFor="project-title" className="label">Title</label><input type="text" id="project-title" value={title} onChange={(e) => setTitle(e.target.value)} className="form-input" placeholder="e.g. Kajima Project 2025-2027" required autoFocus /></div>
+                        <div><label htmlFor="project-description" className="label">Description</label><textarea id="project-description" rows="3" value={description} onChange={(e) => setDescription(e.target.value)} className="form-textarea" placeholder="What this review is about (optional)" /></div>
+                        {!project && <p className="text-sm text-gray-500">You become the owner of the new project. Add team members and adjust its workflow and review template afterwards.</p>}
+                    </div>
+                    <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                        <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                        <button type="submit" disabled={!title.trim()} className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">{project ? 'Save' : 'Create Project'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default ProjectModal;
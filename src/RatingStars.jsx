@@ -0,0 +1,28 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+
+const RatingStars = ({ rating, onRatingChange, readOnly = false }) => {
+  const [hoverRating, setHoverRating] = useState(0);
+  const totalStars = 3;
+
+  return (
+    <div className="flex items-center">
+      {[...Array(totalStars)].map((_, index) => {
+        const starValue = index + 1;
+        return (
+          <Star
+            key={starValue}
+            className={`w-5 h-5 cursor-pointer transition-colors ${
+              (hoverRating || rating) >= starValue ? 'text-yellow-400 fill-current' : 'text-gray-300'
+            }`}
+            onClick={() => !readOnly && onRatingChange(starValue)}
+            onMouseEnter={() => !readOnly && setHoverRating(starValue)}
+            onMouseLeave={() => !readOnly && setHoverRating(0)}
+          />
+        );
+      })}
+    </div>
+  );
+};
+
+export default RatingStars;
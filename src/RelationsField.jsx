@@ -0,0 +1,122 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { Trash2, Plus, Sparkles, Network } from 'lucide-react';
+import { RELATION_TYPES, RELATION_TYPE_IDS, DEFAULT_RELATION_TYPE, toRelations, entryRelations, suggestRelated } from './relations';
+import { normalizeTitle } from './duplicates';
+
+const MAX_MATCHES = 8;
+
+// Suggestions for the entry being edited. The summary is deferred so typing in it
+// does not wait for the whole collection to be compared.
+const useSuggestions = (entry, entries) => {
+    const summary = useDeferredValue(entry.summary);
+    return useMemo(
+        () => suggestRelated({ ...entry, summary }, entries),
+        [entries, entry.id, entry.topic, entry.authors, entry.relations, summary]
+    );
+};
+
+const Suggestions = ({ suggestions, actionLabel, onPick }) => (
+    <div className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+        <span className="label flex items-center gap-1"><Sparkles className="w-4 h-4" /> Suggested related papers</span>
+        <ul className="space-y-2">
+            {suggestions.map(({ entry: other, reasons }) => (
+                <li key={other.id} className="flex items-start justify-between gap-3 text-sm">
+                    <div className="min-w-0">
+                        <p className="font-semibold text-gray-800 truncate" title={other.title}>{other.title}</p>
+                        <p className="text-xs text-gray-500">{reasons.join(' · ')}</p>
+                    </div>
+                    <button type="button" onClick={() => onPick(other.id)} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800 whitespace-nowrap">{actionLabel}</button>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+// Links from the entry being edited to other entries of the project. Links other
+// entries make to this one are shown but edited on those entries.
+const RelationsField = ({ entry, entries, onChange }) => {
+    const [type, setType] = useState(DEFAULT_RELATION_TYPE);
+    const [search, setSearch] = useState('');
+    const relations = toRelations(entry.relations, entry.id);
+    const titles = useMemo(() => new Map(entries.map(other => [other.id, other.title])), [entries]);
+    // With its own links left out, only the ones pointing at it remain.
+    const incoming = entryRelations({ ...entry, relations: [] }, entries);
+    const suggestions = useSuggestions(entry, entries);
+    const needle = normalizeTitle(search);
+    const matches = needle
+        ? entries.filter(other => other.id !== entry.id && normalizeTitle(other.title).includes(needle)
+            && !relations.some(relation => relation.entryId === other.id && relation.type === type)).slice(0, MAX_MATCHES)
+        : [];
+
+    const add = (entryId) => {
+        onChange(toRelations([...relations, { entryId, type }], entry.id));
+        setSearch('');
+    };
+    const changeType = (index, newType) => onChange(toRelations(relations.map((relation, i) => (i === index ? { ...relation, type: newType } : relation)), entry.id));
+    const remove = (index) => onChange(relations.filter((_, i) => i !== index));
+
+    return (
+        <div className="space-y-3">
+            {relations.length > 0 && (
+                <ul className="space-y-2">
+                    {relations.map((relation, index) => (
+                        <li key={`${relation.type}/${relation.entryId}`} className="flex items-center gap-2 text-sm">
+                            <select value={relation.type} onChange={(e) => changeType(index, e.target.value)} aria-label="Link type" className="form-input w-40 py-1 text-sm">
+                                {RELATION_TYPE_IDS.map(id => <option key={id} value={id}>{RELATION_TYPES[id].label}</option>)}
+                            </select>
+                            <span className="flex-grow truncate text-gray-800" title={titles.get(relation.entryId)}>{titles.get(relation.entryId) ?? <span className="italic text-gray-500">A paper that was removed</span>}</span>
+                            <button type="button" onClick={() => remove(index)} title="Remove link" className="text-red-600 hover:text-red-800"><Trash2 className="w-4 h-4" /></button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex gap-2">
+                <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Type of the new link" className="form-input w-40 text-sm">
+                    {RELATION_TYPE_IDS.map(id => <option key={id} value={id}>{RELATION_TYPES[id].label}</option>)}
+                </select>
+                <div className="relative flex-grow">
+                    <input type="search" value={search} onChange={(e) => setSearch(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') e.preventDefault(); }} placeholder="Search papers by title to link…" aria-label="Search papers to link" className="form-input text-sm" />
+                    {matches.length > 0 && (
+                        <ul className="absolute left-0 right-0 mt-1 bg-white rounded-lg shadow-xl border border-gray-200 z-10 max-h-64 overflow-y-auto">
+                            {matches.map(other => (
+                                <li key={other.id}><button type="button" onClick={() => add(other.id)} className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50 truncate">{other.title} <span className="text-gray-400">({other.year})</span></button></li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+            {incoming.length > 0 && (
+                <p className="text-xs text-gray-500">
+                    Linked from other papers: {incoming.map(relation => `${relation.label} "${relation.entry.title}"`).join('; ')}. Change these links on those papers.
+                </p>
+            )}
+            {suggestions.length > 0 && <Suggestions suggestions={suggestions} actionLabel={<><Plus className="w-4 h-4" /> {RELATION_TYPES[type].label}</>} onPick={add} />}
+        </div>
+    );
+};
+
+// Read-only list of an entry's links in both directions, plus suggestions; any of
+// them can be opened.
+export const RelatedPapers = ({ entry, entries, onOpenEntry }) => {
+    const relations = entryRelations(entry, entries);
+    const suggestions = useSuggestions(entry, entries);
+    if (relations.length === 0 && suggestions.length === 0) return null;
+    return (
+        <section className="space-y-3">
+            <h3 className="label flex items-center gap-1"><Network className="w-4 h-4" /> Related Papers</h3>
+            {relations.length > 0 && (
+                <ul className="p-3 rounded-lg border border-gray-200 space-y-1 text-sm">
+                    {relations.map(relation => (
+                        <li key={`${relation.isIncoming ? 'in' : 'out'}/${relation.type}/${relation.entry.id}`}>
+                            <span className="text-gray-500">{relation.label}</span>{' '}
+                            <button type="button" onClick={() => onOpenEntry(relation.entry.id)} className="text-blue-600 hover:text-blue-800 hover:underline text-left">{relation.entry.title}</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {suggestions.length > 0 && <Suggestions suggestions={suggestions} actionLabel="Open" onPick={onOpenEntry} />}
+        </section>
+    );
+};
+
+export default RelationsField;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, ClipboardList } from 'lucide-react';
+import { BUILT_IN_FIELDS, fieldKeyFromLabel } from './reviewTemplate';
+
+const ReviewTemplateModal = ({ template, onSave, onClose }) => {
+    const [fields, setFields] = useState(template.fields);
+    const [newLabel, setNewLabel] = useState('');
+    const [error, setError] = useState('');
+
+    const updateField = (key, changes) => setFields(prev => prev.map(f => (f.key === key ? { ...f, ...changes } : f)));
+    const removeField = (key) => setFields(prev => prev.filter(f => f.key !== key));
+    const addField = () => {
+        const key = fieldKeyFromLabel(newLabel);
+        if (!key) return;
+        if (fields.some(f => f.key === key) || BUILT_IN_FIELDS.includes(key)) {
+            setError(`A field called "${newLabel}" already exists.`);
+            return;
+        }
+        setFields(prev => [...prev, { key, label: newLabel.trim(), multiline: true, required: false }]);
+        setNewLabel('');
+        setError('');
+    };
+    const handleSave = () => {
+        onSave({ fields });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><ClipboardList className="w-6 h-6" /> Review Template</h2><button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
+                <div className="flex-grow overflow-y-auto p-8 space-y-4">
+                    <p className="text-sm text-gray-600">Required fields must be filled in before a paper can move to a status marked "Requires review" in the workflow.</p>
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                            <tr>
+                                <th scope="col" className="px-3 py-2">Field</th>
+                                <th scope="col" className="px-3 py-2 text-center">Long Text</th>
+                                <th scope="col" className="px-3 py-2 text-center">Required</th>
+                                <th scope="col" className="px-3 py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map(field => (
+                                <tr key={field.key} className="border-b">
+                                    <td className="px-3 py-2"><input type="text" value={field.label} onChange={(e) => updateField(field.key, { label: e.target.value })} className="form-input py-1 text-sm" /></td>
+                                    <td className="px-3 py-2 text-center"><input type="checkbox" checked={field.multiline} onChange={(e) => updateField(field.key, { multiline: e.target.checked })} /></td>
+                                    <td className="px-3 py-2 text-center"><input type="checkbox" checked={field.required} onChange={(e) => updateField(field.key, { required: e.target.checked })} /></td>
+                                    <td className="px-3 py-2 text-center">
+                                        {!BUILT_IN_FIELDS.includes(field.key) && <button onClick={() => removeField(field.key)} className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div className="flex gap-2">
+                        <input type="text" value={newLabel} onChange={(e) => { setNewLabel(e.target.value); setError(''); }} onKeyDown={(e) => e.key === 'Enter' && addField()} className="form-input" placeholder="New extraction field, e.g. Sample size" />
+                        <button type="button" onClick={addField} className="inline-flex items-center gap-1 flex-shrink-0 bg-white text-blue-600 font-semibold px-4 py-2 rounded-lg border border-blue-200 hover:bg-blue-50"><Plus className="w-4 h-4" /> Add</button>
+                    </div>
+                    {error && <p className="text-red-500 text-sm">{error}</p>}
+                </div>
+                <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                    <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                    <button type="button" onClick={handleSave} className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700">Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReviewTemplateModal;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Bookmark, ChevronDown, Link as LinkIcon, Trash2, Check } from 'lucide-react';
+import { collection, onSnapshot, query, orderBy, doc, addDoc, deleteDoc } from 'firebase/firestore';
+import { stampCreate } from './audit';
+
+// Saved views are shared with the whole team. Each one stores the URL parameters
+// of the search, filters, sort order and layout it was saved with.
+const SavedViews = ({ projectRef, currentUser, currentParams, canModerate, onApply }) => {
+    const [views, setViews] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [newName, setNewName] = useState('');
+    const [isCopied, setIsCopied] = useState(false);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        const q = query(collection(projectRef, 'savedViews'), orderBy('name', 'asc'));
+        const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            setViews(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => console.error("Error fetching saved views: ", error));
+        return () => unsubscribe();
+    }, [projectRef]);
+    useEffect(() => {
+        if (!isOpen) return;
+        const closeOnOutsideClick = (e) => { if (!containerRef.current?.contains(e.target)) setIsOpen(false); };
+        document.addEventListener('mousedown', closeOnOutsideClick);
+        return () => document.removeEventListener('mousedown', closeOnOutsideClick);
+    }, [isOpen]);
+    useEffect(() => {
+        if (!isCopied) return;
+        const timer = setTimeout(() => setIsCopied(false), 2000);
+        return () => clearTimeout(timer);
+    }, [isCopied]);
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        addDoc(collection(projectRef, 'savedViews'), stampCreate({ name: newName.trim(), params: currentParams }, currentUser))
+            .catch(error => console.error("Error saving view: ", error));
+        setNewName('');
+    };
+    const handleDelete = (id) => {
+        deleteDoc(doc(projectRef, 'savedViews', id)).catch(error => console.error("Error deleting view: ", error));
+    };
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setIsCopied(true);
+        } catch (error) { console.error("Error copying link: ", error); }
+    };
+    const linkTo = (params) => `${window.location.origin}${window.location.pathname}?project=${projectRef.id}${params ? `&${params}` : ''}`;
+
+    return (
+        <div ref={containerRef} className="relative inline-flex gap-2">
+            <button type="button" onClick={() => setIsOpen(open => !open)} className="inline-flex items-center gap-1 text-sm py-1.5 px-3 rounded-lg border border-gray-300 bg-white text-gray-700 hover:bg-gray-100">
+                <Bookmark className="w-4 h-4" /> Views <ChevronDown className="w-4 h-4" />
+            </button>
+            <button type="button" onClick={copyLink} title="Copy a link to this view" className="inline-flex items-center gap-1 text-sm py-1.5 px-3 rounded-lg border border-gray-300 bg-white text-gray-700 hover:bg-gray-100">
+                {isCopied ? <Check className="w-4 h-4 text-green-600" /> : <LinkIcon className="w-4 h-4" />} {isCopied ? 'Copied' : 'Share'}
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg text-sm z-20 w-80">
+                    {views.length === 0 ? (
+                        <p className="px-3 py-2 text-gray-400 italic">No saved views yet.</p>
+                    ) : (
+                        <ul className="py-1 max-h-64 overflow-y-auto">
+                            {views.map(view => (
+                                <li key={view.id} className={`flex items-center justify-between gap-2 px-3 py-1.5 hover:bg-gray-50 ${view.params === currentParams ? 'font-semibold text-blue-700' : ''}`}>
+                                    <a href={linkTo(view.params)} onClick={(e) => { e.preventDefault(); onApply(view.params); setIsOpen(false); }} className="flex-grow truncate">{view.name}</a>
+                                    <span className="text-xs text-gray-400 font-normal">{view.createdByName}</span>
+                                    {(view.createdBy === currentUser.uid || canModerate) && <button type="button" onClick={() => handleDelete(view.id)} title="Delete view" className="text-gray-400 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <form onSubmit={handleSave} className="flex gap-2 p-2 border-t">
+                        <input type="text" value={newName} onChange={(e) => setNewName(e.target.value)} className="form-input py-1 text-sm" placeholder="Save current view as…" />
+                        <button type="submit" disabled={!newName.trim()} className="flex-shrink-0 bg-blue-600 text-white font-semibold px-3 py-1 rounded-lg hover:bg-blue-700 disabled:opacity-50">Save</button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SavedViews;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { X, Settings2 } from 'lucide-react';
+import { SCREENING_STAGES, STAGE_IDS, NOT_RETRIEVED_REASON } from './screening';
+
+const toText = (reasons) => reasons.join('\n');
+const toList = (text) => [...new Set(text.split('\n').map(line => line.trim()).filter(Boolean))];
+
+// The exclusion reasons reviewers choose from, one list per stage.
+const ScreeningReasonsModal = ({ settings, onSave, onClose }) => {
+    const [texts, setTexts] = useState(() => Object.fromEntries(STAGE_IDS.map(stageId => [stageId, toText(settings.reasons[stageId])])));
+    const [error, setError] = useState('');
+
+    const handleSave = () => {
+        const reasons = Object.fromEntries(STAGE_IDS.map(stageId => [stageId, toList(texts[stageId])]));
+        if (STAGE_IDS.some(stageId => reasons[stageId].length === 0)) {
+            setError('Each stage needs at least one reason.');
+            return;
+        }
+        onSave({ reasons });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><Settings2 className="w-6 h-6" /> Exclusion Reasons</h2><button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
+                <div className="flex-grow overflow-y-auto p-8 space-y-4">
+                    <p className="text-sm text-gray-600">One reason per line. Reviewers pick one whenever they exclude an entry, or type their own under "Other". Full-text exclusions for "{NOT_RETRIEVED_REASON}" are counted as reports not retrieved in the PRISMA diagram.</p>
+                    {STAGE_IDS.map(stageId => (
+                        <div key={stageId}>
+                            <label htmlFor={`reasons-${stageId}`} className="label">{SCREENING_STAGES[stageId].label}</label>
+                            <textarea id={`reasons-${stageId}`} rows={6} value={texts[stageId]} onChange={(e) => { setTexts(prev => ({ ...prev, [stageId]: e.target.value })); setError(''); }} className="form-textarea" />
+                        </div>
+                    ))}
+                    {error && <p className="text-red-500 text-sm">{error}</p>}
+                </div>
+                <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                    <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                    <button type="button" onClick={handleSave} className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700">Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ScreeningReasonsModal;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { ThumbsUp, ThumbsDown, Gavel, GitFork, Settings2, FileText } from 'lucide-react';
+import { formatAuthors } from './authors';
+import { SCREENING_STAGES, STAGE_IDS, DECISIONS, REVIEWERS_PER_STAGE, decisionError, stageDecisions, stageOutcome, isInStage, needsDecisionFrom, canRecordDecision, isDecisionLocked, canSeeDecisions, stageCounts, stageAgreement, kappaLabel } from './screening';
+import PrismaModal from './PrismaModal';
+import ScreeningReasonsModal from './ScreeningReasonsModal';
+
+const OTHER_REASON = '__other';
+
+const QUEUES = {
+    mine: { label: 'To screen', matches: (entry, stageId, user) => needsDecisionFrom(entry, stageId, user.uid) },
+    conflicts: { label: 'Conflicts', matches: (entry, stageId) => stageOutcome(entry, stageId).state === 'conflict' },
+    screened: { label: 'Screened by me', matches: (entry, stageId, user) => stageDecisions(entry, stageId).some(d => d.uid === user.uid) },
+    all: { label: 'All', matches: () => true },
+};
+
+const OUTCOME_BADGES = {
+    pending: 'bg-gray-100 text-gray-700',
+    conflict: 'bg-red-100 text-red-700',
+    include: 'bg-green-100 text-green-700',
+    exclude: 'bg-amber-100 text-amber-800',
+};
+
+const outcomeLabel = (outcome, decisionCount) => {
+    if (outcome.state === 'pending') return `Awaiting screening (${decisionCount}/${REVIEWERS_PER_STAGE})`;
+    if (outcome.state === 'conflict') return 'Conflict';
+    const label = outcome.state === 'include' ? 'Included' : `Excluded: ${outcome.reason}`;
+    return outcome.isResolved ? `${label} (resolved)` : label;
+};
+
+// Include/exclude with a required reason for exclusions. Used both for a reviewer's
+// own decision and for the owner's resolution of a conflict.
+const DecisionForm = ({ initial, reasons, submitLabel, onSubmit }) => {
+    const isListed = !initial?.reason || reasons.includes(initial.reason);
+    const [decision, setDecision] = useState(initial?.decision ?? '');
+    const [reasonChoice, setReasonChoice] = useState(isListed ? (initial?.reason ?? '') : OTHER_REASON);
+    const [otherReason, setOtherReason] = useState(isListed ? '' : initial.reason);
+    const [note, setNote] = useState(initial?.note ?? '');
+    const [error, setError] = useState('');
+
+    const reason = decision === 'exclude' ? (reasonChoice === OTHER_REASON ? otherReason.trim() : reasonChoice) : '';
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const message = decisionError({ decision, reason });
+        if (message) {
+            setError(message);
+            return;
+        }
+        onSubmit({ decision, reason, note: note.trim() });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+            <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+                <button type="button" onClick={() => { setDecision('include'); setError(''); }} className={`inline-flex items-center gap-1 py-1.5 px-3 text-sm font-semibold ${decision === 'include' ? 'bg-green-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}><ThumbsUp className="w-4 h-4" /> {DECISIONS.include.label}</button>
+                <button type="button" onClick={() => { setDecision('exclude'); setError(''); }} className={`inline-flex items-center gap-1 py-1.5 px-3 text-sm font-semibold border-l border-gray-300 ${decision === 'exclude' ? 'bg-amber-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}><ThumbsDown className="w-4 h-4" /> {DECISIONS.exclude.label}</button>
+            </div>
+            {decision === 'exclude' && (
+                <select value={reasonChoice} onChange={(e) => { setReasonChoice(e.target.value); setError(''); }} aria-label="Exclusion reason" className="form-input w-auto py-1.5 text-sm">
+                    <option value="">Reason…</option>
+                    {reasons.map(r => <option key={r} value={r}>{r}</option>)}
+                    <option value={OTHER_REASON}>Other…</option>
+                </select>
+            )}
+            {decision === 'exclude' && reasonChoice === OTHER_REASON && (
+                <input type="text" value={otherReason} onChange={(e) => { setOtherReason(e.target.value); setError(''); }} aria-label="Other reason" placeholder="Reason" className="form-input w-48 py-1.5 text-sm" />
+            )}
+            <input type="text" value={note} onChange={(e) => setNote(e.target.value)} aria-label="Note" placeholder="Note (optional)" className="form-input flex-1 min-w-[10rem] py-1.5 text-sm" />
+            <button type="submit" className="bg-blue-600 text-white font-semibold py-1.5 px-4 rounded-lg text-sm hover:bg-blue-700">{submitLabel}</button>
+            {error && <p className="w-full text-sm text-red-500">{error}</p>}
+        </form>
+    );
+};
+
+const ScreeningCard = ({ entry, stageId, currentUser, reasons, canScreen, canResolve, onDecide, onResolve, onOpen }) => {
+    const decisions = stageDecisions(entry, stageId);
+    const mine = decisions.find(d => d.uid === currentUser.uid);
+    const outcome = stageOutcome(entry, stageId);
+    const showDecisions = canSeeDecisions(entry, stageId, currentUser, canResolve);
+    const isDeciding = canScreen && canRecordDecision(entry, stageId, currentUser.uid);
+    const resolution = entry.screeningResolutions?.[stageId];
+
+    return (
+        <li className="bg-white rounded-xl border border-gray-200 shadow-sm p-4">
+            <div className="flex justify-between items-start gap-4">
+                <div>
+                    <button onClick={() => onOpen(entry.id)} className="text-left font-semibold text-gray-900 hover:text-blue-700 hover:underline">{entry.title}</button>
+                    <p className="text-sm text-gray-500">{formatAuthors(entry.authors)} ({entry.year}){entry.publication ? `. ${entry.publication}` : ''}</p>
+                </div>
+                <span className={`flex-shrink-0 text-xs font-semibold px-2 py-1 rounded-full ${OUTCOME_BADGES[outcome.state]}`}>{showDecisions || outcome.state === 'pending' ? outcomeLabel(outcome, decisions.length) : 'Screened'}</span>
+            </div>
+            <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">{entry.summary || <span className="italic text-gray-400">No abstract or summary.</span>}</p>
+            {stageId === 'fullText' && (
+                <p className="text-xs mt-2 flex items-center gap-3">
+                    {entry.pdf && <button onClick={() => onOpen(entry.id)} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"><FileText className="w-4 h-4" /> Read the attached PDF</button>}
+                    {entry.link && <a href={entry.link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 hover:underline">Open the publisher's page</a>}
+                    {!entry.pdf && !entry.link && <span className="text-gray-400">No full text linked.</span>}
+                </p>
+            )}
+            {showDecisions && decisions.length > 0 && (
+                <ul className="mt-3 space-y-1 text-sm">
+                    {decisions.map(d => (
+                        <li key={d.uid} className="text-gray-700">
+                            <span className="font-semibold">{d.uid === currentUser.uid ? 'You' : d.name}</span>: {DECISIONS[d.decision].label}{d.reason ? ` (${d.reason})` : ''}{d.note ? <span className="text-gray-500"> · {d.note}</span> : null}
+                        </li>
+                    ))}
+                    {resolution && <li className="text-gray-700"><span className="font-semibold">Resolved by {resolution.byName}</span>: {DECISIONS[resolution.decision].label}{resolution.reason ? ` (${resolution.reason})` : ''}{resolution.note ? <span className="text-gray-500"> · {resolution.note}</span> : null}</li>}
+                </ul>
+            )}
+            {isDeciding && (
+                <div className="mt-3 pt-3 border-t border-gray-100">
+                    <p className="text-xs font-semibold uppercase text-gray-500 mb-2">{mine ? 'Your decision' : 'Decide'}</p>
+                    <DecisionForm key={mine?.at?.toMillis?.() ?? 'new'} initial={mine} reasons={reasons} submitLabel={mine ? 'Update' : 'Save'} onSubmit={(decision) => onDecide(entry.id, stageId, decision)} />
+                </div>
+            )}
+            {mine && !outcome.isResolved && isDecisionLocked(entry, stageId) && (
+                <p className="mt-3 pt-3 border-t border-gray-100 text-xs text-gray-500">Both reviewers have decided, so the decisions can no longer be changed.{outcome.state === 'conflict' ? ' The owner resolves the conflict.' : ''}</p>
+            )}
+            {canResolve && outcome.state === 'conflict' && (
+                <div className="mt-3 pt-3 border-t border-red-100">
+                    <p className="text-xs font-semibold uppercase text-red-600 mb-2 flex items-center gap-1"><Gavel className="w-4 h-4" /> Resolve the conflict</p>
+                    <DecisionForm reasons={reasons} submitLabel="Resolve" onSubmit={(decision) => onResolve(entry.id, stageId, decision)} />
+                </div>
+            )}
+        </li>
+    );
+};
+
+const Stat = ({ label, value, hint }) => (
+    <div className="px-4 py-3 bg-white rounded-xl border border-gray-200 shadow-sm" title={hint}>
+        <p className="text-xs font-semibold uppercase text-gray-500">{label}</p>
+        <p className="text-xl font-bold text-gray-900">{value}</p>
+    </div>
+);
+
+// Dual, independent screening of the entries in two stages. Queues follow the current
+// search and filters; progress, agreement and the PRISMA diagram always cover the whole project.
+const ScreeningView = ({ db, project, entries, allEntries, currentUser, settings, canScreen, canResolve, onDecide, onResolve, onSaveSettings, onOpen }) => {
+    const [stageId, setStageId] = useState(STAGE_IDS[0]);
+    const [queue, setQueue] = useState(canScreen ? 'mine' : 'all');
+    const [isPrismaOpen, setIsPrismaOpen] = useState(false);
+    const [isReasonsOpen, setIsReasonsOpen] = useState(false);
+
+    const counts = stageCounts(allEntries, stageId);
+    const agreement = stageAgreement(allEntries, stageId);
+    const queued = entries.filter(entry => isInStage(entry, stageId) && QUEUES[queue].matches(entry, stageId, currentUser));
+    const waitingFor = (id) => entries.filter(entry => needsDecisionFrom(entry, id, currentUser.uid)).length;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+                <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+                    {STAGE_IDS.map((id, i) => (
+                        <button key={id} onClick={() => setStageId(id)} className={`py-2 px-4 text-sm font-semibold ${i > 0 ? 'border-l border-gray-300' : ''} ${stageId === id ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-100'}`}>
+                            {SCREENING_STAGES[id].label}
+                            {canScreen && waitingFor(id) > 0 && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-blue-600 text-white">{waitingFor(id)}</span>}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex gap-2">
+                    {canResolve && <button onClick={() => setIsReasonsOpen(true)} className="inline-flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-3 rounded-lg border border-gray-300 hover:bg-gray-100"><Settings2 className="w-5 h-5" /> Exclusion reasons</button>}
+                    <button onClick={() => setIsPrismaOpen(true)} className="inline-flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-3 rounded-lg border border-gray-300 hover:bg-gray-100"><GitFork className="w-5 h-5" /> PRISMA flow</button>
+                </div>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+                <Stat label="In this stage" value={counts.total} />
+                <Stat label="Awaiting" value={counts.pending} hint={`Entries with fewer than ${REVIEWERS_PER_STAGE} decisions`} />
+                <Stat label="Conflicts" value={counts.conflict} />
+                <Stat label="Included" value={counts.include} />
+                <Stat label="Excluded" value={counts.exclude} />
+                <Stat label="Cohen's kappa" value={agreement.kappa === null ? 'n/a' : agreement.kappa.toFixed(2)}
+                    hint={agreement.count === 0 ? 'No entry has been screened twice yet.' : `${kappaLabel(agreement.kappa)} agreement; ${Math.round(agreement.observed * 100)}% of ${agreement.count} double-screened entries agree`} />
+            </div>
+            <div className="flex flex-wrap gap-2">
+                {Object.entries(QUEUES).filter(([id]) => canScreen || (id !== 'mine' && id !== 'screened')).map(([id, { label }]) => (
+                    <button key={id} onClick={() => setQueue(id)} className={`py-1 px-3 rounded-full text-sm font-semibold border ${queue === id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}>{label}</button>
+                ))}
+            </div>
+            {queued.length === 0 ? (
+                <div className="text-center py-16 bg-white rounded-xl border border-gray-200">
+                    <h3 className="text-xl font-semibold text-gray-700">Nothing here</h3>
+                    <p className="text-gray-500 mt-2">{queue === 'mine' ? 'You have screened every entry that needs you at this stage.' : 'No entries in this stage match.'}</p>
+                </div>
+            ) : (
+                <ul className="space-y-3">
+                    {queued.map(entry => (
+                        <ScreeningCard key={entry.id} entry={entry} stageId={stageId} currentUser={currentUser} reasons={settings.reasons[stageId]} canScreen={canScreen} canResolve={canResolve} onDecide={onDecide} onResolve={onResolve} onOpen={onOpen} />
+                    ))}
+                </ul>
+            )}
+            {isPrismaOpen && <PrismaModal db={db} project={project} entries={allEntries} onClose={() => setIsPrismaOpen(false)} />}
+            {isReasonsOpen && <ScreeningReasonsModal settings={settings} onSave={onSaveSettings} onClose={() => setIsReasonsOpen(false)} />}
+        </div>
+    );
+};
+
+export default ScreeningView;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw, AlertTriangle, X } from 'lucide-react';
+import { SYNC_STATES } from './sync';
+
+const STATE_STYLES = {
+    synced: { icon: Cloud, className: 'text-green-700' },
+    pending: { icon: RefreshCw, className: 'text-amber-700' },
+    offline: { icon: CloudOff, className: 'text-gray-500' },
+};
+
+export const SyncIndicator = ({ state }) => {
+    const { icon: Icon, className } = STATE_STYLES[state];
+    const title = state === 'offline' ? 'Showing saved data. Your changes are kept on this device and sync when you reconnect.' : undefined;
+    return (
+        <span title={title} className={`inline-flex items-center gap-1 ${className}`}>
+            <Icon className={`w-4 h-4 ${state === 'pending' ? 'animate-spin' : ''}`} /> {SYNC_STATES[state].label}
+        </span>
+    );
+};
+
+export const SyncErrorToast = ({ message, onDismiss }) => (
+    <div className="fixed bottom-6 right-6 z-50 flex items-start gap-3 max-w-md bg-red-700 text-white text-sm px-5 py-3 rounded-xl shadow-2xl">
+        <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+        <span>{message}</span>
+        <button onClick={onDismiss} className="text-red-200 hover:text-white"><X className="w-4 h-4" /></button>
+    </div>
+);
@@ -0,0 +1,61 @@
+import React from 'react';
+import { X, Trash2, RotateCcw } from 'lucide-react';
+import { formatAuthors } from './authors';
+
+const formatTime = (timestamp) => (timestamp ? timestamp.toDate().toLocaleString() : '');
+
+const TrashModal = ({ trash, retentionDays, canManage, onRestore, onPurge, onClose }) => {
+    const sortedTrash = [...trash].sort((a, b) => (b.deletedAt?.toMillis() ?? 0) - (a.deletedAt?.toMillis() ?? 0));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-start p-6 border-b">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><Trash2 className="w-6 h-6" /> Trash</h2>
+                        <p className="text-sm text-gray-600 mt-1">Entries are permanently deleted {retentionDays} days after they were moved to the Trash.</p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button>
+                </div>
+                <div className="flex-grow overflow-y-auto">
+                    {sortedTrash.length === 0 ? (
+                        <div className="text-center py-16">
+                            <h3 className="text-xl font-semibold text-gray-700">The Trash is Empty</h3>
+                            <p className="text-gray-500 mt-2">Deleted entries will show up here.</p>
+                        </div>
+                    ) : (
+                        <table className="w-full text-sm text-left text-gray-500">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                                <tr>
+                                    <th scope="col" className="px-4 py-3">Title</th>
+                                    <th scope="col" className="px-4 py-3">Deleted By</th>
+                                    <th scope="col" className="px-4 py-3">Deleted At</th>
+                                    {canManage && <th scope="col" className="px-4 py-3 text-center">Actions</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {sortedTrash.map(item => (
+                                    <tr key={item.id} className="bg-white border-b">
+                                        <td className="px-4 py-4 font-bold text-gray-900">{item.title}<p className="font-normal text-xs text-gray-500">{formatAuthors(item.authors)} ({item.year})</p></td>
+                                        <td className="px-4 py-4">{item.deletedByName}</td>
+                                        <td className="px-4 py-4">{formatTime(item.deletedAt)}</td>
+                                        {canManage && (
+                                            <td className="px-4 py-4">
+                                                <div className="flex items-center justify-center space-x-3">
+                                                    <button onClick={() => onRestore(item.id)} title="Restore" className="text-blue-600 hover:text-blue-800"><RotateCcw className="w-5 h-5" /></button>
+                                                    <button onClick={() => onPurge(item.id)} title="Delete forever" className="text-red-600 hover:text-red-800"><Trash2 className="w-5 h-5" /></button>
+                                                </div>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TrashModal;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Workflow, ArrowUp, ArrowDown } from 'lucide-react';
+import { STATUS_COLORS, COLOR_CLASSES } from './workflow';
+
+const newStatus = (name) => ({ name, color: 'gray', restricted: false, requiresReview: false, wipLimit: null });
+
+// Statuses still used by an entry (trashed ones included) cannot be renamed or removed,
+// otherwise those entries would drop off the board and the status filter.
+const WorkflowModal = ({ workflow, literature, onSave, onClose }) => {
+    const [statuses, setStatuses] = useState(workflow.statuses);
+    const [newName, setNewName] = useState('');
+    const [error, setError] = useState('');
+
+    const usageOf = (name) => literature.filter(item => item.status === name).length;
+    const isSaved = (name) => workflow.statuses.some(s => s.name === name);
+    const updateStatus = (index, changes) => setStatuses(prev => prev.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+    const removeStatus = (index) => setStatuses(prev => prev.filter((_, i) => i !== index));
+    const moveStatus = (index, offset) => setStatuses(prev => {
+        const next = [...prev];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        return next;
+    });
+    const addStatus = () => {
+        const name = newName.trim();
+        if (!name) return;
+        if (statuses.some(s => s.name.toLowerCase() === name.toLowerCase())) {
+            setError(`A status called "${name}" already exists.`);
+            return;
+        }
+        setStatuses(prev => [...prev, newStatus(name)]);
+        setNewName('');
+        setError('');
+    };
+    const handleSave = () => {
+        const names = statuses.map(s => s.name.trim());
+        if (names.some(name => !name) || new Set(names).size !== names.length) {
+            setError('Every status needs a unique name.');
+            return;
+        }
+        onSave({ statuses: statuses.map(s => ({ ...s, name: s.name.trim() })) });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b"><h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2"><Workflow className="w-6 h-6" /> Status Workflow</h2><button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X className="w-6 h-6" /></button></div>
+                <div className="flex-grow overflow-y-auto p-8 space-y-4">
+                    <p className="text-sm text-gray-600">Statuses appear in this order in the filter, the status menus and the board columns. Only the owner can move papers into or out of a restricted status. Statuses that require a review need every required template field filled in.</p>
+                    <table className="w-full text-sm text-left text-gray-500">
+                        <thead className="text-xs text-gray-700 uppercase bg-gray-100">
+                            <tr>
+                                <th scope="col" className="px-3 py-2"></th>
+                                <th scope="col" className="px-3 py-2">Status</th>
+                                <th scope="col" className="px-3 py-2">Colour</th>
+                                <th scope="col" className="px-3 py-2 text-center">Restricted</th>
+                                <th scope="col" className="px-3 py-2 text-center">Requires Review</th>
+                                <th scope="col" className="px-3 py-2 text-center">WIP Limit</th>
+                                <th scope="col" className="px-3 py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {statuses.map((status, index) => {
+                                const usage = usageOf(status.name);
+                                const isLocked = isSaved(status.name) && usage > 0;
+                                return (
+                                    <tr key={index} className="border-b">
+                                        <td className="px-3 py-2 whitespace-nowrap">
+                                            <button onClick={() => moveStatus(index, -1)} disabled={index === 0} className="text-gray-500 hover:text-gray-700 disabled:opacity-30"><ArrowUp className="w-4 h-4" /></button>
+                                            <button onClick={() => moveStatus(index, 1)} disabled={index === statuses.length - 1} className="text-gray-500 hover:text-gray-700 disabled:opacity-30"><ArrowDown className="w-4 h-4" /></button>
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <input type="text" value={status.name} disabled={isLocked} title={isLocked ? `Used by ${usage} entr${usage === 1 ? 'y' : 'ies'}` : undefined} onChange={(e) => updateStatus(index, { name: e.target.value })} className="form-input py-1 text-sm disabled:bg-gray-100" />
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <select value={status.color} onChange={(e) => updateStatus(index, { color: e.target.value })} className={`form-input py-1 text-sm ${COLOR_CLASSES[status.color]?.badge ?? ''}`}>
+                                                {STATUS_COLORS.map(color => <option key={color} value={color}>{color}</option>)}
+                                            </select>
+                                        </td>
+                                        <td className="px-3 py-2 text-center"><input type="checkbox" checked={status.restricted} onChange={(e) => updateStatus(index, { restricted: e.target.checked })} /></td>
+                                        <td className="px-3 py-2 text-center"><input type="checkbox" checked={status.requiresReview} onChange={(e) => updateStatus(index, { requiresReview: e.target.checked })} /></td>
+                                        <td className="px-3 py-2 text-center"><input type="number" min="0" value={status.wipLimit ?? ''} onChange={(e) => updateStatus(index, { wipLimit: parseInt(e.target.value, 10) || null })} className="form-input py-1 text-sm w-20" placeholder="None" /></td>
+                                        <td className="px-3 py-2 text-center">
+                                            <button onClick={() => removeStatus(index)} disabled={isLocked || statuses.length === 1} title={isLocked ? `Used by ${usage} entr${usage === 1 ? 'y' : 'ies'}` : 'Remove status'} className="text-red-600 hover:text-red-800 disabled:opacity-30"><Trash2 className="w-5 h-5" /></button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    <div className="flex gap-2">
+                        <input type="text" value={newName} onChange={(e) => { setNewName(e.target.value); setError(''); }} onKeyDown={(e) => e.key === 'Enter' && addStatus()} className="form-input" placeholder="New status, e.g. Full-text screening" />
+                        <button type="button" onClick={addStatus} className="inline-flex items-center gap-1 flex-shrink-0 bg-white text-blue-600 font-semibold px-4 py-2 rounded-lg border border-blue-200 hover:bg-blue-50"><Plus className="w-4 h-4" /> Add</button>
+                    </div>
+                    {error && <p className="text-red-500 text-sm">{error}</p>}
+                </div>
+                <div className="p-6 bg-gray-50 border-t flex justify-end items-center space-x-4">
+                    <button type="button" onClick={onClose} className="bg-white text-gray-700 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100">Cancel</button>
+                    <button type="button" onClick={handleSave} className="bg-blue-600 text-white font-semibold px-6 py-2 rounded-lg hover:bg-blue-700">Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WorkflowModal;
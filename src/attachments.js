@@ -0,0 +1,58 @@
+// ===================================================================================
+// === PDF ATTACHMENTS ===============================================================
+// ===================================================================================
+// Each entry can have one PDF, uploaded to Firebase Storage below its project
+// and described by the entry's `pdf` field. Highlights and margin notes made in
+// the reader are kept on the entry as annotations.<id>, so each one is written
+// on its own and the main search can include the highlighted text.
+// Positions are stored as fractions of the page size, so they do not depend on
+// the zoom level the annotation was made at.
+// ===================================================================================
+
+import { ref, deleteObject } from 'firebase/storage';
+
+export const PDF_CONTENT_TYPE = 'application/pdf';
+
+export const MAX_PDF_MB = 50;
+
+// Keep in sync with storage.rules.
+export const pdfPath = (projectId, entryId) => `projects/${projectId}/pdfs/${entryId}.pdf`;
+
+// An error message, or '' when the file can be uploaded.
+export const validatePdf = (file) => {
+  if (file.type !== PDF_CONTENT_TYPE && !/\.pdf$/i.test(file.name)) return 'Only PDF files can be attached.';
+  if (file.size > MAX_PDF_MB * 1024 * 1024) return `The file is larger than ${MAX_PDF_MB} MB.`;
+  return '';
+};
+
+// Deletes a stored PDF; a file that is already gone counts as deleted.
+export const deletePdfFile = async (storage, path) => {
+  try {
+    await deleteObject(ref(storage, path));
+  } catch (error) {
+    if (error.code !== 'storage/object-not-found') throw error;
+  }
+};
+
+// Whether the user may replace or remove the entry's PDF (see storage.rules).
+export const canChangePdf = (entry, user, canModerate) => !entry.pdf || entry.pdf.uploadedBy === user.uid || canModerate;
+
+export const formatFileSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} kB`);
+
+// The selection's rectangles relative to the page, as fractions of its width and height.
+export const pageRects = (clientRects, pageBounds) => Array.from(clientRects)
+  .filter(rect => rect.width > 0 && rect.height > 0)
+  .map(rect => ({
+    x: (rect.left - pageBounds.left) / pageBounds.width,
+    y: (rect.top - pageBounds.top) / pageBounds.height,
+    width: rect.width / pageBounds.width,
+    height: rect.height / pageBounds.height,
+  }));
+
+// Annotations in reading order: by page, then from the top of the page.
+export const annotationList = (entry) => Object.entries(entry.annotations ?? {})
+  .map(([id, annotation]) => ({ id, ...annotation }))
+  .sort((a, b) => a.page - b.page || (a.rects?.[0]?.y ?? 0) - (b.rects?.[0]?.y ?? 0));
+
+// Highlighted passages and their notes, searched as "highlights".
+export const highlightsText = (entry) => annotationList(entry).flatMap(annotation => [annotation.text, annotation.note]).join('\n');
@@ -0,0 +1,100 @@
+// ===================================================================================
+// === AUDIT TRAIL ===================================================================
+// ===================================================================================
+// Every write to an entry is stamped with who made it and when, and appended to
+// the entry's 'history' subcollection in the same batch as the change itself.
+// Records carry their project's id so a whole project's history can be queried
+// at once (see projectHistoryQuery, used by the dashboard).
+// ===================================================================================
+
+import { collection, collectionGroup, doc, getDocs, query, where, writeBatch, updateDoc, serverTimestamp, deleteField } from 'firebase/firestore';
+
+// Bookkeeping fields that are never shown as changes in the history panel.
+const AUDIT_FIELDS = [
+  'createdBy', 'createdByName', 'createdAt', 'updatedBy', 'updatedByName', 'updatedAt',
+  'deletedBy', 'deletedByName', 'deletedAt', 'notDuplicateOf'
+];
+
+export const stampCreate = (data, user) => ({
+  ...data,
+  createdBy: user.uid,
+  createdByName: user.name,
+  createdAt: serverTimestamp(),
+  updatedBy: user.uid,
+  updatedByName: user.name,
+  updatedAt: serverTimestamp(),
+});
+
+export const stampUpdate = (data, user) => ({
+  ...data,
+  updatedBy: user.uid,
+  updatedByName: user.name,
+  updatedAt: serverTimestamp(),
+});
+
+// Soft delete: the entry stays in the collection and is listed in the Trash view.
+export const stampDelete = (user) => stampUpdate({
+  deletedBy: user.uid,
+  deletedByName: user.name,
+  deletedAt: serverTimestamp(),
+}, user);
+
+export const stampRestore = (user) => stampUpdate({
+  deletedBy: deleteField(),
+  deletedByName: deleteField(),
+  deletedAt: deleteField(),
+}, user);
+
+// { field: { from, to } } for every field that differs between two versions of an entry.
+export const diffEntries = (before = {}, after = {}) => {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+    if (field === 'id' || AUDIT_FIELDS.includes(field) || !(field in after)) return;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+};
+
+// `projectRef` is the document of the project the entry belongs to (see projects.js).
+export const historyCollection = (projectRef, entryId) => collection(projectRef, 'literature', entryId, 'history');
+
+// Queues a history record for `entryId` on an existing write batch.
+export const addHistory = (batch, projectRef, entryId, user, action, changes = {}, note = '') => {
+  batch.set(doc(historyCollection(projectRef, entryId)), {
+    projectId: projectRef.id,
+    action,
+    changes,
+    note,
+    by: user.uid,
+    byName: user.name,
+    at: serverTimestamp(),
+  });
+};
+
+// Every history record in a project, across all of its entries. Records written
+// before they carried a projectId are not included until stampProjectHistory has run.
+export const projectHistoryQuery = (db, projectId) => query(collectionGroup(db, 'history'), where('projectId', '==', projectId));
+
+// Firestore rejects batches with more than 500 writes.
+const STAMP_BATCH_LIMIT = 400;
+
+// Adds the project's id to the history records written before records carried it,
+// then marks the project with historyStamped. Records that already have it are
+// skipped, so an interrupted run is finished by running it again.
+export const stampProjectHistory = async (db, projectRef) => {
+  const entries = await getDocs(collection(projectRef, 'literature'));
+  const unstamped = [];
+  for (const entryDoc of entries.docs) {
+    const records = await getDocs(historyCollection(projectRef, entryDoc.id));
+    unstamped.push(...records.docs.filter(record => !('projectId' in record.data())).map(record => record.ref));
+  }
+  for (let start = 0; start < unstamped.length; start += STAMP_BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    unstamped.slice(start, start + STAMP_BATCH_LIMIT).forEach(ref => batch.update(ref, { projectId: projectRef.id }));
+    await batch.commit();
+  }
+  await updateDoc(projectRef, { historyStamped: true });
+  return unstamped.length;
+};
@@ -0,0 +1,75 @@
+// ===================================================================================
+// === AUTHORS =======================================================================
+// ===================================================================================
+// Authors are stored as a list of CSL-style names, e.g.
+//   [{ family: 'Okada', given: 'Taro' }, { literal: 'World Bank' }]
+// so they sort and export reliably. Entries created before this keep a single
+// "Family, Given; Family, Given" string until they are converted; every helper
+// below accepts either form.
+// ===================================================================================
+
+const AUTHOR_SEPARATOR = '; ';
+
+export const splitAuthors = (authors = '') =>
+  String(authors).split(/\s*;\s*|\s+and\s+/i).map(a => a.trim()).filter(Boolean);
+
+export const joinAuthors = (names) => names.map(n => n.trim()).filter(Boolean).join(AUTHOR_SEPARATOR);
+
+// "Okada, Taro" and "Taro Okada" both become { family: 'Okada', given: 'Taro' }.
+export const parseName = (name) => {
+  const trimmed = name.trim();
+  if (trimmed.includes(',')) {
+    const [family, ...rest] = trimmed.split(',');
+    return { family: family.trim(), given: rest.join(',').trim() };
+  }
+  const parts = trimmed.split(/\s+/);
+  if (parts.length === 1) return { family: parts[0], given: '' };
+  return { family: parts.pop(), given: parts.join(' ') };
+};
+
+export const formatName = ({ family = '', given = '', literal = '' }) => {
+  if (literal) return literal;
+  return given ? `${family}, ${given}` : family;
+};
+
+export const parseAuthors = (text) => splitAuthors(text).map(parseName);
+
+// Stored authors as a list, whichever form they were saved in.
+export const toAuthorList = (authors) => (Array.isArray(authors) ? authors : parseAuthors(authors ?? ''));
+
+export const formatAuthors = (authors) => joinAuthors(toAuthorList(authors).map(formatName));
+
+// Reads back the text formatAuthors writes. Names are split at semicolons only, so
+// "Food and Agriculture Organization" stays one name, and names that were
+// organisations in `previous` stay organisations.
+export const parseFormattedAuthors = (text, previous = []) => {
+  const literals = new Set(toAuthorList(previous).filter(name => name.literal).map(name => name.literal));
+  return String(text).split(/\s*;\s*/).map(name => name.trim()).filter(Boolean)
+    .map(name => (literals.has(name) ? { literal: name } : parseName(name)));
+};
+
+// Entries still holding the free-text string from before authors were structured.
+export const isLegacyAuthors = (authors) => typeof authors === 'string' && authors.trim() !== '';
+
+// Drops empty rows and stray whitespace left by the form.
+export const cleanAuthorList = (authors) => toAuthorList(authors)
+  .map(({ family = '', given = '', literal = '' }) => (literal.trim() ? { literal: literal.trim() } : { family: family.trim(), given: given.trim() }))
+  .filter(name => name.literal || name.family);
+
+// The author list that replaces each legacy entry's free text, as [{ entry, authors }].
+export const legacyAuthorConversions = (entries) => entries
+  .filter(entry => isLegacyAuthors(entry.authors))
+  .map(entry => ({ entry, authors: cleanAuthorList(entry.authors) }));
+
+const foldName = (value = '') => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+export const firstAuthorFamily = (authors) => {
+  const [first] = toAuthorList(authors);
+  return first ? foldName(first.literal || first.family) : '';
+};
+
+// Every author's family name, or the organisation's name for corporate authors.
+export const authorFamilies = (authors) => toAuthorList(authors).map(name => (name.literal || name.family || '').trim()).filter(Boolean);
+
+// Sorts by family names in order, ignoring case and accents.
+export const authorSortKey = (authors) => toAuthorList(authors).map(name => foldName(name.literal || `${name.family} ${name.given ?? ''}`)).join(' ; ');
@@ -0,0 +1,351 @@
+// ===================================================================================
+// === CITATION FORMATS ==============================================================
+// ===================================================================================
+// Parsers and serializers that map BibTeX, RIS and CSL-JSON records onto the
+// entry shape used by the 'literature' collection, and back again.
+// Authors are read into and written from the structured list described in authors.js.
+// ===================================================================================
+
+import { splitAuthors, parseName, formatName, toAuthorList } from './authors';
+
+export const CITATION_FORMATS = {
+  bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+  ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+  csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' },
+};
+
+// The status is left to the importing project's workflow (see handleImport in App.jsx).
+export const emptyEntry = () => ({
+  title: '', authors: [], year: '', publication: '',
+  topic: '', data: '', unitOfObservations: '', pic: '',
+  summary: '', findings: '', method: '', contributions: '',
+  relevance: 2, link: '', doi: ''
+});
+
+// --- Shared Helpers ---
+
+const extractYear = (value) => {
+  const match = String(value ?? '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : '';
+};
+
+const doiFromLink = (link = '') => {
+  const match = String(link).match(/10\.\d{4,9}\/\S+/);
+  return match ? match[0] : '';
+};
+
+const normalizeDoi = (doi = '') => String(doi).trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '');
+
+// Fills the remaining entry fields and reports what is missing or malformed.
+const finalizeRow = (fields, source) => {
+  const entry = { ...emptyEntry(), ...fields };
+  entry.doi = normalizeDoi(entry.doi) || doiFromLink(entry.link);
+  if (!entry.link && entry.doi) entry.link = `https://doi.org/${entry.doi}`;
+  const errors = [];
+  if (!entry.title) errors.push('Missing title');
+  if (entry.authors.length === 0) errors.push('Missing authors');
+  if (entry.year === '' || Number.isNaN(entry.year)) errors.push('Missing or invalid year');
+  return { entry, errors, source };
+};
+
+// --- BibTeX ---
+
+const LATEX_ACCENTS = {
+  '"': { a: 'ä', o: 'ö', u: 'ü', e: 'ë', i: 'ï', A: 'Ä', O: 'Ö', U: 'Ü' },
+  "'": { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú', A: 'Á', E: 'É', I: 'Í', O: 'Ó', U: 'Ú' },
+  '`': { a: 'à', e: 'è', i: 'ì', o: 'ò', u: 'ù' },
+  '^': { a: 'â', e: 'ê', i: 'î', o: 'ô', u: 'û' },
+  '~': { n: 'ñ', a: 'ã', o: 'õ', N: 'Ñ' },
+  '=': { a: 'ā', e: 'ē', i: 'ī', o: 'ō', u: 'ū' },
+};
+
+const cleanLatex = (value) => String(value)
+  .replace(/\\([`'"^~=])\{?\\?([a-zA-Z])\}?/g, (match, accent, letter) => LATEX_ACCENTS[accent]?.[letter] ?? letter)
+  .replace(/\\([&%$#_])/g, '$1')
+  .replace(/\\textendash\b|--/g, '–')
+  .replace(/[{}]/g, '')
+  .replace(/~/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Reads a braced or quoted value starting at text[start]; returns [value, nextIndex].
+const readDelimited = (text, start) => {
+  const open = text[start];
+  const close = { '{': '}', '(': ')' }[open] ?? '"';
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') { i++; continue; }
+    if (open !== '"') {
+      if (ch === open) depth++;
+      else if (ch === close && --depth === 0) return [text.slice(start + 1, i), i + 1];
+    } else if (i > start) {
+      if (ch === '{') depth++;
+      else if (ch === '}') depth--;
+      else if (ch === close && depth === 0) return [text.slice(start + 1, i), i + 1];
+    }
+  }
+  throw new Error('Unbalanced braces or quotes');
+};
+
+const parseBibFields = (body, strings) => {
+  const fields = {};
+  let i = 0;
+  while (i < body.length) {
+    const nameMatch = /^[\s,]*([A-Za-z][\w-]*)\s*=\s*/.exec(body.slice(i));
+    if (!nameMatch) break;
+    const name = nameMatch[1].toLowerCase();
+    i += nameMatch[0].length;
+    const parts = [];
+    // A value may be several pieces joined with '#'.
+    for (;;) {
+      while (/\s/.test(body[i])) i++;
+      if (body[i] === '{' || body[i] === '"') {
+        const [value, next] = readDelimited(body, i);
+        parts.push(value);
+        i = next;
+      } else {
+        const bare = /^[^\s,#}]+/.exec(body.slice(i));
+        if (!bare) break;
+        parts.push(strings[bare[0].toLowerCase()] ?? bare[0]);
+        i += bare[0].length;
+      }
+      while (/\s/.test(body[i])) i++;
+      if (body[i] !== '#') break;
+      i++;
+    }
+    fields[name] = parts.join('');
+  }
+  return fields;
+};
+
+export const parseBibTeX = (text) => {
+  const rows = [];
+  const strings = {};
+  const entryStart = /@(\w+)\s*[{(]/g;
+  let match;
+  while ((match = entryStart.exec(text)) !== null) {
+    const type = match[1].toLowerCase();
+    const openIndex = match.index + match[0].length - 1;
+    let body;
+    try {
+      [body] = readDelimited(text, openIndex);
+    } catch (error) {
+      rows.push({ entry: emptyEntry(), errors: [`@${type}: ${error.message}`], source: match[0] });
+      break;
+    }
+    entryStart.lastIndex = openIndex + body.length + 2;
+    if (type === 'comment' || type === 'preamble') continue;
+    if (type === 'string') {
+      Object.entries(parseBibFields(body, strings)).forEach(([k, v]) => { strings[k] = v; });
+      continue;
+    }
+    const comma = body.indexOf(',');
+    const key = comma === -1 ? body.trim() : body.slice(0, comma).trim();
+    let fields;
+    try {
+      fields = parseBibFields(comma === -1 ? '' : body.slice(comma + 1), strings);
+    } catch (error) {
+      rows.push({ entry: emptyEntry(), errors: [`${key}: ${error.message}`], source: key });
+      continue;
+    }
+    rows.push(finalizeRow({
+      title: cleanLatex(fields.title ?? ''),
+      authors: splitAuthors(cleanLatex(fields.author ?? fields.editor ?? '')).map(parseName),
+      year: extractYear(fields.year ?? fields.date),
+      publication: cleanLatex(fields.journal ?? fields.journaltitle ?? fields.booktitle ?? fields.publisher ?? fields.school ?? ''),
+      link: (fields.url ?? '').trim(),
+      doi: (fields.doi ?? '').trim(),
+      summary: cleanLatex(fields.abstract ?? ''),
+      topic: cleanLatex(fields.keywords ?? ''),
+    }, key));
+  }
+  return rows;
+};
+
+const VERBATIM_BIB_FIELDS = new Set(['doi', 'url']);
+
+const escapeBibValue = (value) => String(value).replace(/([&%$#_])/g, '\\$1');
+
+const citationKey = (entry, usedKeys) => {
+  const [first] = toAuthorList(entry.authors);
+  const family = first ? first.literal || first.family : 'anon';
+  const word = (String(entry.title).match(/[A-Za-z]{4,}/) ?? ['untitled'])[0];
+  const base = `${family}${entry.year || ''}${word}`.normalize('NFD').replace(/[^\w]/g, '').toLowerCase();
+  let key = base;
+  for (let n = 1; usedKeys.has(key); n++) key = `${base}${String.fromCharCode(96 + n)}`;
+  usedKeys.add(key);
+  return key;
+};
+
+export const toBibTeX = (entries) => {
+  const usedKeys = new Set();
+  return entries.map((entry) => {
+    const fields = [
+      ['title', entry.title && `{${entry.title}}`],
+      ['author', toAuthorList(entry.authors).map(name => (name.literal ? `{${name.literal}}` : formatName(name))).join(' and ')],
+      ['year', entry.year],
+      ['journal', entry.publication],
+      ['doi', entry.doi],
+      ['url', entry.link],
+      ['abstract', entry.summary],
+      ['keywords', entry.topic],
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+    const lines = fields.map(([name, value]) =>
+      `  ${name} = {${VERBATIM_BIB_FIELDS.has(name) ? value : escapeBibValue(value)}}`);
+    const type = entry.publication ? 'article' : 'misc';
+    return `@${type}{${citationKey(entry, usedKeys)},\n${lines.join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+};
+
+// --- RIS ---
+
+const RIS_LINE = /^([A-Z][A-Z0-9])  -\s?(.*)$/;
+
+export const parseRIS = (text) => {
+  const rows = [];
+  let tags = null;
+  let lastTag = null;
+  text.split(/\r?\n/).forEach((line) => {
+    const match = RIS_LINE.exec(line);
+    if (!match) {
+      if (tags && lastTag && line.trim()) tags[lastTag][tags[lastTag].length - 1] += ` ${line.trim()}`;
+      return;
+    }
+    const [, tag, value] = match;
+    if (tag === 'TY') { tags = { TY: [value.trim()] }; lastTag = 'TY'; return; }
+    if (!tags) return;
+    if (tag === 'ER') {
+      const first = (...names) => names.map(n => tags[n]?.[0]).find(Boolean) ?? '';
+      rows.push(finalizeRow({
+        title: first('TI', 'T1', 'CT'),
+        authors: [...(tags.AU ?? []), ...(tags.A1 ?? [])].map(parseName),
+        year: extractYear(first('PY', 'Y1', 'DA')),
+        publication: first('JO', 'JF', 'T2', 'BT', 'JA', 'PB'),
+        link: first('UR', 'L2'),
+        doi: first('DO'),
+        summary: first('AB', 'N2'),
+        topic: (tags.KW ?? []).join(', '),
+      }, first('ID') || first('TI', 'T1')));
+      tags = null;
+      lastTag = null;
+      return;
+    }
+    (tags[tag] ??= []).push(value.trim());
+    lastTag = tag;
+  });
+  if (tags) rows.push({ entry: emptyEntry(), errors: ['Record is missing its closing "ER  -" line'], source: tags.TI?.[0] ?? '' });
+  return rows;
+};
+
+export const toRIS = (entries) => entries.map((entry) => {
+  const lines = [`TY  - ${entry.publication ? 'JOUR' : 'GEN'}`];
+  if (entry.title) lines.push(`TI  - ${entry.title}`);
+  toAuthorList(entry.authors).forEach(name => lines.push(`AU  - ${formatName(name)}`));
+  if (entry.year) lines.push(`PY  - ${entry.year}`);
+  if (entry.publication) lines.push(`JO  - ${entry.publication}`);
+  if (entry.doi) lines.push(`DO  - ${entry.doi}`);
+  if (entry.link) lines.push(`UR  - ${entry.link}`);
+  if (entry.summary) lines.push(`AB  - ${entry.summary.replace(/\s*\n\s*/g, ' ')}`);
+  String(entry.topic || '').split(/\s*[,;]\s*/).filter(Boolean).forEach(kw => lines.push(`KW  - ${kw}`));
+  lines.push('ER  - ');
+  return lines.join('\n');
+}).join('\n\n') + '\n';
+
+// --- CSL-JSON ---
+
+const isNameObject = (name) => name !== null && typeof name === 'object' && !Array.isArray(name);
+
+// CSL name objects as authors; anything else in the list is left out.
+const cslNames = (names) => (Array.isArray(names) ? names : []).filter(isNameObject)
+  .map(({ family, given, literal }) => (literal ? { literal: String(literal) } : { family: String(family ?? ''), given: String(given ?? '') }));
+
+export const parseCSLJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return [{ entry: emptyEntry(), errors: [`Invalid JSON: ${error.message}`], source: '' }];
+  }
+  const items = Array.isArray(data) ? data : [data];
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      return { entry: emptyEntry(), errors: ['Item is not an object'], source: `#${index + 1}` };
+    }
+    const issued = item.issued?.['date-parts']?.[0]?.[0] ?? item.issued?.raw ?? item.issued?.literal;
+    const keywords = Array.isArray(item.keyword) ? item.keyword.join(', ') : item.keyword;
+    const names = item.author ?? item.editor ?? [];
+    const row = finalizeRow({
+      title: item.title ?? '',
+      authors: cslNames(names),
+      year: extractYear(issued),
+      publication: item['container-title'] ?? item.publisher ?? '',
+      link: item.URL ?? '',
+      doi: item.DOI ?? '',
+      summary: item.abstract ?? '',
+      topic: keywords ?? '',
+    }, item.id ?? `#${index + 1}`);
+    if (!Array.isArray(names) || !names.every(isNameObject)) row.errors.push('Some author names could not be read');
+    return row;
+  });
+};
+
+export const toCSLJSON = (entries) => {
+  const usedKeys = new Set();
+  const items = entries.map((entry) => {
+    const item = {
+      id: citationKey(entry, usedKeys),
+      type: entry.publication ? 'article-journal' : 'document',
+      title: entry.title,
+      author: toAuthorList(entry.authors),
+    };
+    if (entry.year) item.issued = { 'date-parts': [[Number(entry.year)]] };
+    if (entry.publication) item['container-title'] = entry.publication;
+    if (entry.doi) item.DOI = entry.doi;
+    if (entry.link) item.URL = entry.link;
+    if (entry.summary) item.abstract = entry.summary;
+    if (entry.topic) item.keyword = entry.topic;
+    return item;
+  });
+  return JSON.stringify(items, null, 2) + '\n';
+};
+
+// --- Format Dispatch ---
+
+export const detectFormat = (text, fileName = '') => {
+  const ext = fileName.split('.').pop().toLowerCase();
+  if (ext === 'bib' || ext === 'bibtex') return 'bibtex';
+  if (ext === 'ris') return 'ris';
+  if (ext === 'json') return 'csl';
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'csl';
+  if (/^TY  - /m.test(trimmed)) return 'ris';
+  return 'bibtex';
+};
+
+const PARSERS = { bibtex: parseBibTeX, ris: parseRIS, csl: parseCSLJSON };
+const SERIALIZERS = { bibtex: toBibTeX, ris: toRIS, csl: toCSLJSON };
+
+export const parseCitations = (text, format) => PARSERS[format](text);
+
+export const serializeCitations = (entries, format) => SERIALIZERS[format](entries);
+
+// Some browsers start the download only after click() returns, so the URL is kept a little longer.
+const REVOKE_DELAY_MS = 10000;
+
+// Saves `blob` as a file through a temporary link.
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+export const downloadCitations = (entries, format, baseName = 'literature') => {
+  const { extension, mimeType } = CITATION_FORMATS[format];
+  downloadBlob(new Blob([serializeCitations(entries, format)], { type: `${mimeType};charset=utf-8` }), `${baseName}.${extension}`);
+};
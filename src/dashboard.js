@@ -0,0 +1,148 @@
+// ===================================================================================
+// === DASHBOARD =====================================================================
+// ===================================================================================
+// Figures for the progress dashboard and the meeting report, computed from the
+// project's entries and its change log. Status transitions come from history
+// records whose `changes` include `status` (see audit.js).
+// ===================================================================================
+
+import { aggregateRatings } from './ratings';
+
+const UNASSIGNED = 'Unassigned';
+const UNRATED = 'Unrated';
+
+// How far back the meeting report looks by default.
+export const REPORT_PERIOD_DAYS = 14;
+
+const TOPIC_SEPARATOR = /\s*[,;]\s*/;
+
+// An entry's topic field may list several topics separated by commas or semicolons.
+export const splitTopics = (entry) => String(entry.topic ?? '').trim().split(TOPIC_SEPARATOR).filter(Boolean);
+
+const toDate = (timestamp) => timestamp?.toDate?.() ?? (timestamp instanceof Date ? timestamp : null);
+
+// --- Snapshot of the entries ---
+
+// { rows: [{ pic, counts: { status: n }, total }], totals: { status: n }, total } with one
+// row per team PIC (including those with no entries) and one for entries without a known PIC.
+export const statusByPic = (entries, statuses, picOptions) => {
+  const emptyCounts = () => Object.fromEntries(statuses.map(status => [status, 0]));
+  const rows = [...picOptions, UNASSIGNED].map(pic => ({ pic, counts: emptyCounts(), total: 0 }));
+  const totals = emptyCounts();
+  entries.forEach((entry) => {
+    const row = rows.find(r => r.pic === entry.pic) ?? rows[rows.length - 1];
+    row.counts[entry.status] = (row.counts[entry.status] ?? 0) + 1;
+    row.total += 1;
+    totals[entry.status] = (totals[entry.status] ?? 0) + 1;
+  });
+  return { rows: rows.filter(row => row.pic !== UNASSIGNED || row.total > 0), totals, total: entries.length };
+};
+
+// [{ label, count }] for each rounded relevance from 3 down to 1, then unrated entries.
+export const relevanceDistribution = (entries) => {
+  const counts = { 3: 0, 2: 0, 1: 0, 0: 0 };
+  entries.forEach((entry) => { counts[Math.round(aggregateRatings(entry).average)] += 1; });
+  return [3, 2, 1].map(value => ({ value, label: `${value} ★`, count: counts[value] }))
+    .concat({ value: 0, label: UNRATED, count: counts[0] });
+};
+
+// [{ year, count }] from the oldest to the newest year, with empty years kept so gaps show.
+export const yearHistogram = (entries) => {
+  const years = entries.map(entry => parseInt(entry.year, 10)).filter(year => year > 0);
+  if (years.length === 0) return [];
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  const buckets = Array.from({ length: last - first + 1 }, (_, i) => ({ year: first + i, count: 0 }));
+  years.forEach((year) => { buckets[year - first].count += 1; });
+  return buckets;
+};
+
+// { topics: [{ topic, count }], otherCount } for the `limit` most frequent topics.
+// Topics differing only in case are counted together under their first spelling.
+export const topicBreakdown = (entries, limit = 10) => {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    const topics = splitTopics(entry);
+    new Set(topics.map(topic => topic.toLowerCase())).forEach((key) => {
+      const current = counts.get(key) ?? { topic: topics.find(topic => topic.toLowerCase() === key), count: 0 };
+      counts.set(key, { ...current, count: current.count + 1 });
+    });
+  });
+  const sorted = [...counts.values()].sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic));
+  return {
+    topics: sorted.slice(0, limit),
+    otherCount: sorted.slice(limit).reduce((sum, { count }) => sum + count, 0),
+  };
+};
+
+// --- Status transitions ---
+
+// [{ entryId, at, from, to, byName }] from history records, oldest first.
+// Each record needs the id of its entry, i.e. the parent of its 'history' collection.
+export const statusTransitions = (records) => records
+  .filter(record => record.changes?.status && toDate(record.at))
+  .map(record => ({
+    entryId: record.entryId,
+    at: toDate(record.at),
+    from: record.changes.status.from,
+    to: record.changes.status.to,
+    byName: record.byName ?? '',
+  }))
+  .sort((a, b) => a.at - b.at);
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// [{ month, label, counts: { status: n }, total }] for the last `months` months up to `now`,
+// counting transitions by the status entries moved into.
+export const transitionsByMonth = (transitions, statuses, months = 6, now = new Date()) => {
+  const buckets = Array.from({ length: months }, (_, i) => {
+    const date = new Date(now.getFullYear(), now.getMonth() - (months - 1 - i), 1);
+    return {
+      month: monthKey(date),
+      label: date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+      counts: Object.fromEntries(statuses.map(status => [status, 0])),
+      total: 0,
+    };
+  });
+  transitions.forEach((transition) => {
+    const bucket = buckets.find(b => b.month === monthKey(transition.at));
+    if (!bucket || !(transition.to in bucket.counts)) return;
+    bucket.counts[transition.to] += 1;
+    bucket.total += 1;
+  });
+  return buckets;
+};
+
+// --- Meeting report ---
+
+// The status that marks a benchmark candidate: the one named like "Suggested…", else the
+// status just before the first restricted one (in the default workflow, both give
+// "Suggested for Benchmark").
+export const candidateStatus = (workflow) => {
+  const { statuses } = workflow;
+  const suggested = statuses.find(status => /suggest/i.test(status.name));
+  if (suggested) return suggested.name;
+  const firstRestricted = statuses.findIndex(status => status.restricted);
+  return statuses[firstRestricted > 0 ? firstRestricted - 1 : statuses.length - 1]?.name ?? '';
+};
+
+// [{ entry, at, byName }] for entries currently in `status` that moved into it on or after
+// `since`, newest first. Entries created directly in the status count from their creation.
+export const enteredStatusSince = (entries, transitions, status, since) => {
+  const latestMove = new Map();
+  transitions.filter(t => t.to === status).forEach((t) => { latestMove.set(t.entryId, t); });
+  return entries
+    .filter(entry => entry.status === status)
+    .map((entry) => {
+      const move = latestMove.get(entry.id);
+      if (move) return { entry, at: move.at, byName: move.byName };
+      return { entry, at: toDate(entry.createdAt), byName: entry.createdByName ?? '' };
+    })
+    .filter(({ at }) => at && at >= since)
+    .sort((a, b) => b.at - a.at);
+};
+
+// { status: n } transitions into each status on or after `since`.
+export const transitionCountsSince = (transitions, since) => transitions
+  .filter(t => t.at >= since)
+  .reduce((counts, t) => ({ ...counts, [t.to]: (counts[t.to] ?? 0) + 1 }), {});
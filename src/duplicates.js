@@ -0,0 +1,251 @@
+// ===================================================================================
+// === DUPLICATE DETECTION ===========================================================
+// ===================================================================================
+// Fuzzy matching of literature entries on normalized title, DOI/link, first
+// author and year, plus the defaults used when two entries are merged.
+// ===================================================================================
+
+import { firstAuthorFamily, toAuthorList } from './authors';
+
+const TITLE_THRESHOLD = 0.85;
+const STRONG_TITLE_THRESHOLD = 0.95;
+
+export const MERGE_FIELDS = [
+  'title', 'authors', 'year', 'publication', 'link', 'doi',
+  'topic', 'data', 'unitOfObservations', 'pic',
+  'summary', 'findings', 'method', 'contributions',
+  'status'
+];
+
+const normalizeText = (value = '') => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+export const normalizeTitle = normalizeText;
+
+const normalizeLink = (link = '') => String(link)
+  .trim()
+  .toLowerCase()
+  .replace(/^https?:\/\/(www\.)?/, '')
+  .replace(/[?#].*$/, '')
+  .replace(/\/+$/, '');
+
+const normalizeDoi = (entry) => {
+  const source = entry.doi || entry.link || '';
+  const match = String(source).match(/10\.\d{4,9}\/\S+/);
+  return match ? match[0].toLowerCase().replace(/[.,;]+$/, '') : '';
+};
+
+const firstAuthor = (authors) => normalizeText(firstAuthorFamily(authors));
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) ?? 0) + 1);
+  }
+  return grams;
+};
+
+const titleKeys = (value) => {
+  const title = normalizeTitle(value);
+  const grams = bigrams(title);
+  let gramCount = 0;
+  grams.forEach(count => { gramCount += count; });
+  return { title, grams, gramCount };
+};
+
+// Sørensen–Dice coefficient over character bigrams of two titleKeys results.
+const diceSimilarity = (a, b) => {
+  if (!a.title || !b.title) return 0;
+  if (a.title === b.title) return 1;
+  let overlap = 0;
+  a.grams.forEach((count, gram) => {
+    overlap += Math.min(count, b.grams.get(gram) ?? 0);
+  });
+  const total = a.gramCount + b.gramCount;
+  return total === 0 ? 0 : (2 * overlap) / total;
+};
+
+// Sørensen–Dice coefficient over character bigrams, 0 (unrelated) to 1 (identical).
+export const titleSimilarity = (a, b) => diceSimilarity(titleKeys(a), titleKeys(b));
+
+// Everything compareKeys needs from an entry, normalized once per entry object
+// (snapshots hand out new objects whenever an entry changes).
+const keyCache = new WeakMap();
+const duplicateKeys = (entry) => {
+  if (keyCache.has(entry)) return keyCache.get(entry);
+  const title = titleKeys(entry.title);
+  const words = title.title.split(' ').filter(word => word.length > 3);
+  const keys = {
+    ...title,
+    doi: normalizeDoi(entry),
+    link: normalizeLink(entry.link),
+    author: firstAuthor(entry.authors),
+    year: entry.year === '' || entry.year === undefined || entry.year === null ? '' : String(entry.year),
+    titleHead: words.slice(0, 3).join(' '),
+    titleTail: words.slice(-3).join(' '),
+  };
+  keyCache.set(entry, keys);
+  return keys;
+};
+
+const compareKeys = (a, b) => {
+  const reasons = [];
+  const sameDoi = a.doi !== '' && a.doi === b.doi;
+  if (sameDoi) reasons.push('Same DOI');
+  if (a.link && a.link === b.link && !reasons.length) reasons.push('Same link');
+
+  const similarity = diceSimilarity(a, b);
+  const sameAuthor = a.author !== '' && a.author === b.author;
+  const sameYear = a.year !== '' && a.year === b.year;
+  const titleMatches = similarity >= STRONG_TITLE_THRESHOLD || (similarity >= TITLE_THRESHOLD && (sameAuthor || sameYear));
+  if (titleMatches) reasons.push(similarity === 1 ? 'Same title' : `Similar title (${Math.round(similarity * 100)}%)`);
+
+  if (!reasons.length) return null;
+  if (sameAuthor) reasons.push('Same first author');
+  if (sameYear) reasons.push('Same year');
+  const score = Math.min(1, (sameDoi ? 0.6 : 0) + similarity * 0.4 + (sameAuthor ? 0.1 : 0) + (sameYear ? 0.1 : 0));
+  return { score, reasons };
+};
+
+// Compares two entries; returns null or { score, reasons } when they look like the same paper.
+export const compareEntries = (a, b) => compareKeys(duplicateKeys(a), duplicateKeys(b));
+
+// Pairs a reviewer marked as "not a duplicate" are never reported again.
+const isDismissed = (a, b) =>
+  (a.notDuplicateOf ?? []).includes(b.id) || (b.notDuplicateOf ?? []).includes(a.id);
+
+const byScore = (x, y) => y.score - x.score;
+
+// Entries in `literature` that look like `candidate`, best match first.
+export const findDuplicates = (candidate, literature, excludeId = candidate.id) => {
+  const keys = duplicateKeys(candidate);
+  return literature
+    .filter(item => item.id !== excludeId && !isDismissed(candidate, item))
+    .map(item => ({ item, match: compareKeys(keys, duplicateKeys(item)) }))
+    .filter(({ match }) => match)
+    .map(({ item, match }) => ({ entry: item, ...match }))
+    .sort(byScore);
+};
+
+// Only entries that share a block are compared when scanning many entries at once:
+// the DOI, the link, the first author, the year, or the first or last three longer
+// words of the title. A pair that shares none of these is not reported, which
+// could only be a near-identical title whose start and end both differ.
+const BLOCK_KEYS = ['doi', 'link', 'author', 'year', 'titleHead', 'titleTail'];
+
+const blocksOf = (keys) => BLOCK_KEYS.filter(name => keys[name]).map(name => `${name}:${keys[name]}`);
+
+const buildBlocks = (keyList) => {
+  const blocks = new Map();
+  keyList.forEach((keys, index) => {
+    blocksOf(keys).forEach((block) => {
+      if (!blocks.has(block)) blocks.set(block, []);
+      blocks.get(block).push(index);
+    });
+  });
+  return blocks;
+};
+
+// Indices of the entries before `index` that share a block with it.
+const earlierInBlocks = (keyList, blocks, index) => {
+  const candidates = new Set();
+  blocksOf(keyList[index]).forEach((block) => {
+    for (const other of blocks.get(block)) {
+      if (other >= index) break;
+      candidates.add(other);
+    }
+  });
+  return candidates;
+};
+
+// Every pair of entries in the collection that looks like the same paper.
+export const findDuplicatePairs = (literature) => {
+  const keyList = literature.map(duplicateKeys);
+  const blocks = buildBlocks(keyList);
+  const pairs = [];
+  literature.forEach((b, j) => {
+    earlierInBlocks(keyList, blocks, j).forEach((i) => {
+      const a = literature[i];
+      if (isDismissed(a, b)) return;
+      const match = compareKeys(keyList[i], keyList[j]);
+      if (match) pairs.push({ a, b, ...match });
+    });
+  });
+  return pairs.sort(byScore);
+};
+
+// For each of `entries` (the rows of an import), the entries of `literature` and
+// the earlier rows that look like it, best match first. A match with an earlier
+// row carries that row's index as `row`.
+export const findImportDuplicates = (entries, literature) => {
+  const pool = [...literature, ...entries];
+  const keyList = pool.map(duplicateKeys);
+  const blocks = buildBlocks(keyList);
+  return entries.map((entry, row) => {
+    const index = literature.length + row;
+    return [...earlierInBlocks(keyList, blocks, index)]
+      .filter(other => !isDismissed(entry, pool[other]))
+      .map(other => ({ other, match: compareKeys(keyList[index], keyList[other]) }))
+      .filter(({ match }) => match)
+      .map(({ other, match }) => ({
+        entry: pool[other],
+        ...match,
+        ...(other >= literature.length && { row: other - literature.length }),
+      }))
+      .sort(byScore);
+  });
+};
+
+// Custom extraction fields (see reviewTemplate.js) are chosen one by one too, as
+// "extraction.<key>"; quotes are not chosen but kept from both entries.
+const EXTRACTION_PREFIX = 'extraction.';
+
+export const mergeFields = (a, b) => [
+  ...MERGE_FIELDS,
+  ...[...new Set([...Object.keys(a.extraction ?? {}), ...Object.keys(b.extraction ?? {})])].map(key => `${EXTRACTION_PREFIX}${key}`),
+];
+
+export const mergeFieldValue = (entry, field) => (field.startsWith(EXTRACTION_PREFIX)
+  ? entry.extraction?.[field.slice(EXTRACTION_PREFIX.length)]
+  : entry[field]);
+
+// The quotes of both entries, without the ones that appear in both.
+export const mergedQuotes = (a, b) => {
+  const quotes = a.quotes ?? [];
+  return [...quotes, ...(b.quotes ?? []).filter(quote => !quotes.some(other => other.id === quote.id || other.text === quote.text))];
+};
+
+// Picks, per field, which side ('a' or 'b') a merge should keep by default:
+// the longer text and the further-along status. Ratings are not chosen but combined
+// (see mergedRatings in ratings.js).
+export const defaultMergeChoices = (a, b, statusOptions) => {
+  const choices = {};
+  mergeFields(a, b).forEach((field) => {
+    const left = mergeFieldValue(a, field);
+    const right = mergeFieldValue(b, field);
+    if (field === 'status') choices[field] = statusOptions.indexOf(right) > statusOptions.indexOf(left) ? 'b' : 'a';
+    else if (left === undefined || left === null || left === '') choices[field] = 'b';
+    else if (field === 'authors') choices[field] = toAuthorList(right).length > toAuthorList(left).length ? 'b' : 'a';
+    else if (typeof left === 'string' && typeof right === 'string' && right.length > left.length && field !== 'pic') choices[field] = 'b';
+    else choices[field] = 'a';
+  });
+  return choices;
+};
+
+export const mergeEntries = (a, b, choices) => {
+  const merged = {};
+  mergeFields(a, b).forEach((field) => {
+    const value = mergeFieldValue(choices[field] === 'b' ? b : a, field);
+    if (value === undefined) return;
+    if (field.startsWith(EXTRACTION_PREFIX)) merged.extraction = { ...merged.extraction, [field.slice(EXTRACTION_PREFIX.length)]: value };
+    else merged[field] = value;
+  });
+  if (a.quotes || b.quotes) merged.quotes = mergedQuotes(a, b);
+  return merged;
+};
@@ -0,0 +1,46 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+
+// ===================================================================================
+// === CONFIGURATION =================================================================
+// ===================================================================================
+// These variables are now read securely from your Netlify Environment Variables.
+// Go to your Netlify Site -> Site settings -> Build & deploy -> Environment
+//
+// Set VITE_USE_FIREBASE_EMULATORS=true locally to run against the emulators
+// started with `npx firebase-tools emulators:start` (see firebase.json).
+//
+// Firestore data is cached in IndexedDB and shared between open tabs, so the app
+// also opens and accepts edits offline (see sync.js).
+//
+// PDFs attached to entries are kept in Cloud Storage (see attachments.js).
+// ===================================================================================
+
+const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID
+};
+
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true';
+
+// ===================================================================================
+
+export const isFirebaseConfigured = Boolean(firebaseConfig.apiKey);
+
+const app = isFirebaseConfigured ? initializeApp(firebaseConfig) : null;
+
+export const auth = app ? getAuth(app) : null;
+export const db = app ? initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) }) : null;
+export const storage = app ? getStorage(app) : null;
+
+if (app && useEmulators) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
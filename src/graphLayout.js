@@ -0,0 +1,74 @@
+// ===================================================================================
+// === GRAPH LAYOUT ==================================================================
+// ===================================================================================
+// Force-directed placement (Fruchterman–Reingold) of the nodes of the related-papers
+// graph: linked nodes pull together, all nodes push apart, and a weak pull to the
+// centre keeps separate clusters on screen. Starting positions are fixed, so the
+// same graph is always drawn the same way.
+// ===================================================================================
+
+const ITERATIONS = 300;
+// Keeps large graphs quick to lay out: fewer rounds as the number of node pairs grows.
+const MAX_PAIR_STEPS = 20000000;
+const GRAVITY = 0.02;
+const MARGIN = 40;
+// Ideal edge length; small graphs would otherwise be pushed out to the borders.
+const MAX_DISTANCE = 120;
+
+// { [id]: { x, y } } for `ids` inside a width × height area.
+export const layoutGraph = (ids, edges, width, height) => {
+  const count = ids.length;
+  if (count === 0) return {};
+  const centerX = width / 2;
+  const centerY = height / 2;
+  // Spread over a sunflower spiral to begin with.
+  const nodes = ids.map((id, i) => {
+    const radius = Math.sqrt((i + 0.5) / count) * Math.min(width, height) * 0.4;
+    const angle = i * Math.PI * (3 - Math.sqrt(5));
+    return { id, x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) };
+  });
+  if (count === 1) return { [ids[0]]: { x: centerX, y: centerY } };
+
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const links = edges.filter(edge => index.has(edge.source) && index.has(edge.target) && edge.source !== edge.target)
+    .map(edge => [index.get(edge.source), index.get(edge.target)]);
+  const k = Math.min(MAX_DISTANCE, Math.sqrt((width * height) / count) * 0.6);
+  const iterations = Math.max(30, Math.min(ITERATIONS, Math.floor(MAX_PAIR_STEPS / (count * count))));
+
+  for (let step = 0; step < iterations; step++) {
+    const temperature = (width / 10) * (1 - step / iterations);
+    const dx = new Float64Array(count);
+    const dy = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        let x = nodes[i].x - nodes[j].x;
+        let y = nodes[i].y - nodes[j].y;
+        // Nodes on the same spot are nudged apart in a fixed direction.
+        if (x === 0 && y === 0) { x = 0.01 * (i - j); y = 0.01; }
+        const distance = Math.sqrt(x * x + y * y);
+        const force = (k * k) / distance;
+        dx[i] += (x / distance) * force; dy[i] += (y / distance) * force;
+        dx[j] -= (x / distance) * force; dy[j] -= (y / distance) * force;
+      }
+    }
+    links.forEach(([i, j]) => {
+      const x = nodes[i].x - nodes[j].x;
+      const y = nodes[i].y - nodes[j].y;
+      const distance = Math.sqrt(x * x + y * y) || 0.01;
+      const force = (distance * distance) / k;
+      dx[i] -= (x / distance) * force; dy[i] -= (y / distance) * force;
+      dx[j] += (x / distance) * force; dy[j] += (y / distance) * force;
+    });
+    nodes.forEach((node, i) => {
+      dx[i] += (centerX - node.x) * GRAVITY * k / 10;
+      dy[i] += (centerY - node.y) * GRAVITY * k / 10;
+      const length = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]);
+      if (length > 0) {
+        const move = Math.min(length, temperature);
+        node.x = Math.min(width - MARGIN, Math.max(MARGIN, node.x + (dx[i] / length) * move));
+        node.y = Math.min(height - MARGIN, Math.max(MARGIN, node.y + (dy[i] / length) * move));
+      }
+    });
+  }
+  return Object.fromEntries(nodes.map(({ id, x, y }) => [id, { x, y }]));
+};
@@ -0,0 +1,35 @@
+// ===================================================================================
+// === ROLES AND PERMISSIONS =========================================================
+// ===================================================================================
+// A team member's role is stored per project, on the project document (see projects.js);
+// `user` here is the signed-in user as seen from the current project (projectUser).
+// These checks drive the UI; firestore.rules enforces the same rules on the server,
+// so keep the two in sync when changing either.
+// ===================================================================================
+
+import { isRestrictedStatus } from './workflow';
+
+export const ROLES = {
+  owner: { label: 'Professor (Owner)', description: 'Can do everything, including promoting papers to Benchmark, deleting entries and managing roles.' },
+  assistant: { label: 'Assistant', description: 'Can add, import and edit entries and suggest papers for Benchmark.' },
+  viewer: { label: 'Viewer', description: 'Can read the collection but not change it.' },
+};
+
+// Members without a role get the least privileged one.
+export const roleOf = (user) => (ROLES[user?.role] ? user.role : 'viewer');
+
+export const isOwner = (user) => roleOf(user) === 'owner';
+
+export const canEdit = (user) => ['owner', 'assistant'].includes(roleOf(user));
+
+export const canDelete = (user) => isOwner(user);
+
+export const canManageMembers = (user) => isOwner(user);
+
+// Restricted statuses (e.g. "Benchmark") can only be entered or left by the owner.
+export const canSetStatus = (user, fromStatus, toStatus, workflow) => {
+  if (!canEdit(user)) return false;
+  if (fromStatus === toStatus) return true;
+  const touchesRestricted = isRestrictedStatus(workflow, fromStatus) || isRestrictedStatus(workflow, toStatus);
+  return !touchesRestricted || isOwner(user);
+};
@@ -0,0 +1,150 @@
+// ===================================================================================
+// === PRISMA FLOW DIAGRAM ===========================================================
+// ===================================================================================
+// Counts for the PRISMA 2020 flow diagram (new reviews, databases and registers
+// only), taken from the screening decisions in screening.js, and the diagram
+// itself as a standalone SVG document so it can be downloaded and used in a paper.
+// Duplicates removed are the merges recorded in the project's history.
+// ===================================================================================
+
+import { stageCounts, exclusionReasons, NOT_RETRIEVED_REASON } from './screening';
+import { downloadBlob } from './citationFormats';
+
+export const prismaCounts = (entries, duplicatesRemoved = 0) => {
+  const titleAbstract = stageCounts(entries, 'titleAbstract');
+  const fullText = stageCounts(entries, 'fullText');
+  const notRetrieved = exclusionReasons(entries, 'fullText').find(({ reason }) => reason === NOT_RETRIEVED_REASON)?.count ?? 0;
+  return {
+    identified: entries.length + duplicatesRemoved,
+    duplicatesRemoved,
+    screened: titleAbstract.total,
+    screeningExcluded: titleAbstract.exclude,
+    screeningPending: titleAbstract.pending + titleAbstract.conflict,
+    sought: fullText.total,
+    notRetrieved,
+    assessed: fullText.total - notRetrieved,
+    assessmentExcluded: exclusionReasons(entries, 'fullText', [NOT_RETRIEVED_REASON]),
+    assessmentPending: fullText.pending + fullText.conflict,
+    included: fullText.include,
+  };
+};
+
+// --- SVG ---
+
+const WIDTH = 780;
+const PHASE_X = 12;
+const PHASE_WIDTH = 28;
+const MAIN_X = 60;
+const MAIN_WIDTH = 310;
+const SIDE_X = 430;
+const SIDE_WIDTH = 330;
+const LINE_HEIGHT = 17;
+const PADDING = 12;
+const ROW_GAP = 36;
+const FONT_FAMILY = 'font-family="Arial, Helvetica, sans-serif"';
+const FONT = `${FONT_FAMILY} font-size="13"`;
+const CHAR_WIDTH = 6.8;
+
+const escapeXml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Greedy word wrap; SVG text does not wrap by itself.
+const wrap = (text, width) => {
+  const maxChars = Math.floor((width - 2 * PADDING) / CHAR_WIDTH);
+  return text.split(/\s+/).reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && `${last} ${word}`.length <= maxChars) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+    return lines;
+  }, []);
+};
+
+const boxHeight = (lines) => lines.length * LINE_HEIGHT + 2 * PADDING;
+
+const box = (x, y, width, height, lines) => [
+  `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#ffffff" stroke="#1f2937" stroke-width="1.2"/>`,
+  ...lines.map((line, i) => `<text x="${x + PADDING}" y="${y + PADDING + (i + 0.8) * LINE_HEIGHT}" ${FONT} fill="#111827">${escapeXml(line)}</text>`),
+].join('\n');
+
+const arrow = (x1, y1, x2, y2) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#1f2937" stroke-width="1.2" marker-end="url(#arrow)"/>`;
+
+const phase = (label, top, bottom) => {
+  const middle = (top + bottom) / 2;
+  return [
+    `<rect x="${PHASE_X}" y="${top}" width="${PHASE_WIDTH}" height="${bottom - top}" rx="6" fill="#bfdbfe"/>`,
+    `<text x="${PHASE_X + PHASE_WIDTH / 2}" y="${middle}" ${FONT} font-weight="bold" fill="#1e3a8a" text-anchor="middle" dominant-baseline="central" transform="rotate(-90 ${PHASE_X + PHASE_WIDTH / 2} ${middle})">${escapeXml(label)}</text>`,
+  ].join('\n');
+};
+
+// Lines of a box: wrapped text, with "(n = …)" on its own line.
+const lines = (width, ...parts) => parts.flatMap(part => (typeof part === 'number' ? [`(n = ${part})`] : wrap(part, width)));
+
+export const prismaSvg = (counts, title = '') => {
+  const rows = [
+    {
+      main: lines(MAIN_WIDTH, 'Records identified from databases and registers', counts.identified),
+      side: lines(SIDE_WIDTH, 'Records removed before screening:', 'Duplicate records removed', counts.duplicatesRemoved),
+    },
+    {
+      main: lines(MAIN_WIDTH, 'Records screened', counts.screened),
+      side: lines(SIDE_WIDTH, 'Records excluded', counts.screeningExcluded),
+    },
+    {
+      main: lines(MAIN_WIDTH, 'Reports sought for retrieval', counts.sought),
+      side: lines(SIDE_WIDTH, 'Reports not retrieved', counts.notRetrieved),
+    },
+    {
+      main: lines(MAIN_WIDTH, 'Reports assessed for eligibility', counts.assessed),
+      side: [
+        ...lines(SIDE_WIDTH, 'Reports excluded:'),
+        ...(counts.assessmentExcluded.length === 0 ? ['(n = 0)'] : counts.assessmentExcluded.flatMap(({ reason, count }) => wrap(`${reason} (n = ${count})`, SIDE_WIDTH))),
+      ],
+    },
+    {
+      main: lines(MAIN_WIDTH, 'Studies included in review', counts.included),
+      side: null,
+    },
+  ];
+
+  const parts = [];
+  let y = title ? 44 : 16;
+  if (title) parts.push(`<text x="${MAIN_X}" y="26" ${FONT_FAMILY} font-size="16" font-weight="bold" fill="#111827">${escapeXml(title)}</text>`);
+  const layout = rows.map((row) => {
+    const height = Math.max(boxHeight(row.main), row.side ? boxHeight(row.side) : 0);
+    const placed = { ...row, y, height };
+    y += height + ROW_GAP;
+    return placed;
+  });
+  layout.forEach((row, i) => {
+    parts.push(box(MAIN_X, row.y, MAIN_WIDTH, row.height, row.main));
+    if (row.side) {
+      parts.push(box(SIDE_X, row.y, SIDE_WIDTH, row.height, row.side));
+      parts.push(arrow(MAIN_X + MAIN_WIDTH, row.y + row.height / 2, SIDE_X - 2, row.y + row.height / 2));
+    }
+    const next = layout[i + 1];
+    if (next) parts.push(arrow(MAIN_X + MAIN_WIDTH / 2, row.y + row.height, MAIN_X + MAIN_WIDTH / 2, next.y - 2));
+  });
+  const [identification, screenedRow, , , includedRow] = layout;
+  parts.push(phase('Identification', identification.y, identification.y + identification.height));
+  parts.push(phase('Screening', screenedRow.y, layout[3].y + layout[3].height));
+  parts.push(phase('Included', includedRow.y, includedRow.y + includedRow.height));
+
+  let height = y - ROW_GAP + 16;
+  const pending = [
+    counts.screeningPending > 0 && `${counts.screeningPending} awaiting title/abstract screening`,
+    counts.assessmentPending > 0 && `${counts.assessmentPending} awaiting full-text screening`,
+  ].filter(Boolean);
+  if (pending.length > 0) {
+    parts.push(`<text x="${MAIN_X}" y="${height + 4}" ${FONT_FAMILY} font-size="11" fill="#6b7280">${escapeXml(`Not yet counted: ${pending.join('; ')}.`)}</text>`);
+    height += 20;
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}">`,
+    '<defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0 0L10 5L0 10z" fill="#1f2937"/></marker></defs>',
+    `<rect width="${WIDTH}" height="${height}" fill="#ffffff"/>`,
+    ...parts,
+    '</svg>',
+  ].join('\n');
+};
+
+export const downloadSvg = (svg, baseName = 'prisma-flow') => downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), `${baseName}.svg`);
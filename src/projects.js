@@ -0,0 +1,143 @@
+// ===================================================================================
+// === PROJECTS ======================================================================
+// ===================================================================================
+// Each literature review is a project: a document in 'projects' with its own
+// title, member roles and, below it, the 'literature', 'settings' and
+// 'savedViews' collections. Components build their paths from the project's
+// document reference instead of the database root.
+// Member roles are kept on the project document as roles.<uid>, and memberIds
+// lists the same uids so a member's projects can be queried.
+// The lab owner (role "owner" on their 'members' profile) can create projects
+// and is treated as an owner of every project.
+// ===================================================================================
+
+import { collection, doc, getDoc, getDocs, writeBatch, query, where, arrayUnion } from 'firebase/firestore';
+import { stampCreate } from './audit';
+
+export const projectsCollection = (db) => collection(db, 'projects');
+
+export const projectRefOf = (db, projectId) => doc(db, 'projects', projectId);
+
+export const isLabOwner = (profile) => profile?.role === 'owner';
+
+// The lab owner sees every project; everyone else only the ones they belong to.
+export const projectsQuery = (db, profile) => (isLabOwner(profile)
+  ? projectsCollection(db)
+  : query(projectsCollection(db), where('memberIds', 'array-contains', profile.uid)));
+
+export const projectRole = (project, profile) => (isLabOwner(profile) ? 'owner' : project.roles?.[profile.uid] ?? 'viewer');
+
+// The signed-in user as seen from one project: their role there replaces their lab role.
+export const projectUser = (project, profile) => ({ ...profile, labRole: profile.role, role: projectRole(project, profile) });
+
+// Queues the new project and returns its id straight away, so it also works offline,
+// with the pending write so the caller can report a rejection.
+// Its history records all carry its id, so it never needs stampProjectHistory (see audit.js).
+export const createProject = (db, { title, description }, profile) => {
+  const projectRef = doc(projectsCollection(db));
+  const batch = writeBatch(db);
+  batch.set(projectRef, stampCreate({ title, description, roles: { [profile.uid]: 'owner' }, memberIds: [profile.uid], historyStamped: true }, profile));
+  return { projectId: projectRef.id, write: batch.commit() };
+};
+
+// --- Copying and linking entries between projects ---
+
+// Copied along when an entry is linked: the paper itself, not this project's reading of it.
+export const BIBLIOGRAPHIC_FIELDS = ['title', 'authors', 'year', 'publication', 'link', 'doi'];
+
+// Never copied: per-project reviewing state and bookkeeping. The PDF stays in the
+// source project's storage, which the other project's team may not be able to read.
+const PROJECT_ONLY_FIELDS = [
+  'id', 'status', 'ratings', 'relevance', 'commentCount', 'revision', 'notDuplicateOf', 'linkedFrom', 'linkedTo', 'relations', 'pdf', 'annotations',
+  'titleScreening', 'fullTextScreening', 'screeningResolutions',
+  'createdBy', 'createdByName', 'createdAt', 'updatedBy', 'updatedByName', 'updatedAt',
+  'deletedBy', 'deletedByName', 'deletedAt',
+];
+
+// mode 'copy' takes the notes along; mode 'link' takes only the bibliographic fields
+// and keeps a reference in both entries, so either can be opened from the other.
+export const entryForProject = (entry, mode) => (mode === 'link'
+  ? Object.fromEntries(BIBLIOGRAPHIC_FIELDS.filter(field => field in entry).map(field => [field, entry[field]]))
+  : Object.fromEntries(Object.entries(entry).filter(([field]) => !PROJECT_ONLY_FIELDS.includes(field))));
+
+// --- Migration from the single global collection ---
+
+// Firestore rejects batches with more than 500 writes.
+const MIGRATION_BATCH_LIMIT = 400;
+
+const LEGACY_SETTINGS = ['reviewTemplate', 'workflow'];
+
+// Progress is merged into settings/migration with every batch, so a migration that
+// stopped part-way can be run again: entries, settings and roles already copied are
+// not copied over changes made to them since, and only the rest is moved.
+const migrationRef = (projectRef) => doc(projectRef, 'settings', 'migration');
+
+// Packs the steps into batches without splitting one, so a copied record is always
+// deleted in the same batch, and adds each batch's progress to it: the entries it
+// copied (entryId) and the parts it finished (flag).
+const commitSteps = async (db, projectRef, steps) => {
+  const batches = [];
+  steps.forEach((step) => {
+    const last = batches[batches.length - 1];
+    if (last && last.size + step.writes.length <= MIGRATION_BATCH_LIMIT) {
+      last.steps.push(step);
+      last.size += step.writes.length;
+    } else {
+      batches.push({ steps: [step], size: step.writes.length });
+    }
+  });
+  for (const { steps: batchSteps } of batches) {
+    const batch = writeBatch(db);
+    batchSteps.forEach(step => step.writes.forEach(write => write(batch)));
+    const entries = batchSteps.filter(step => step.entryId).map(step => step.entryId);
+    const flags = Object.fromEntries(batchSteps.filter(step => step.flag).map(step => [step.flag, true]));
+    batch.set(migrationRef(projectRef), { ...flags, ...(entries.length > 0 && { entries: arrayUnion(...entries) }) }, { merge: true });
+    await batch.commit();
+  }
+};
+
+// Moves everything stored before projects existed into `projectRef`: entries with
+// their history and comments, the review template, the workflow and saved views.
+// Member roles from the 'members' profiles become the project's roles.
+export const migrateLegacyData = async (db, projectRef) => {
+  const progressDoc = await getDoc(migrationRef(projectRef));
+  const progress = progressDoc.exists() ? progressDoc.data() : {};
+  const copiedEntries = progress.entries ?? [];
+  const steps = [];
+  const entries = await getDocs(collection(db, 'literature'));
+  for (const entryDoc of entries.docs) {
+    if (!copiedEntries.includes(entryDoc.id)) {
+      steps.push({ writes: [batch => batch.set(doc(projectRef, 'literature', entryDoc.id), entryDoc.data())], entryId: entryDoc.id });
+    }
+    for (const sub of ['history', 'comments']) {
+      const records = await getDocs(collection(entryDoc.ref, sub));
+      records.docs.forEach(record => {
+        const data = sub === 'history' ? { ...record.data(), projectId: projectRef.id } : record.data();
+        steps.push({ writes: [batch => batch.set(doc(projectRef, 'literature', entryDoc.id, sub, record.id), data), batch => batch.delete(record.ref)] });
+      });
+    }
+    steps.push({ writes: [batch => batch.delete(entryDoc.ref)] });
+  }
+  if (!progress.settings) {
+    const settings = await getDocs(collection(db, 'settings'));
+    steps.push({
+      writes: settings.docs.filter(setting => LEGACY_SETTINGS.includes(setting.id)).map(setting => batch => batch.set(doc(projectRef, 'settings', setting.id), setting.data())),
+      flag: 'settings',
+    });
+  }
+  const views = await getDocs(collection(db, 'savedViews'));
+  views.docs.forEach(view => {
+    steps.push({ writes: [batch => batch.set(doc(projectRef, 'savedViews', view.id), view.data()), batch => batch.delete(view.ref)] });
+  });
+  if (!progress.roles) {
+    const members = await getDocs(collection(db, 'members'));
+    const roles = Object.fromEntries(members.docs.filter(member => member.data().role).map(member => [member.id, member.data().role]));
+    steps.push({
+      writes: Object.keys(roles).length > 0 ? [batch => batch.set(projectRef, { roles, memberIds: arrayUnion(...Object.keys(roles)) }, { merge: true })] : [],
+      flag: 'roles',
+    });
+  }
+
+  await commitSteps(db, projectRef, steps);
+  return entries.size;
+};
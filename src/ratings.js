@@ -0,0 +1,41 @@
+// ===================================================================================
+// === REVIEWER RATINGS ==============================================================
+// ===================================================================================
+// Each team member rates an entry on their own, stored as ratings.<uid>.
+// The entry's `relevance` field holds the rounded average so sorting and
+// exports keep working; entries rated before this existed only have `relevance`.
+// ===================================================================================
+
+// Ratings this far apart (on the 1–3 scale) are flagged as a disagreement. On this
+// scale that is only a 1 next to a 3; neighbouring ratings are not flagged.
+export const DISAGREEMENT_SPREAD = 2;
+
+export const ratingList = (entry) => Object.entries(entry.ratings ?? {})
+  .map(([uid, rating]) => ({ uid, ...rating }))
+  .filter(rating => rating.value > 0)
+  .sort((a, b) => (a.name ?? '').localeCompare(b.name ?? ''));
+
+export const aggregateRatings = (entry) => {
+  const ratings = ratingList(entry);
+  if (ratings.length === 0) {
+    return { average: Number(entry.relevance) || 0, count: 0, spread: 0, isDisagreement: false, ratings };
+  }
+  const values = ratings.map(r => r.value);
+  const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const spread = Math.max(...values) - Math.min(...values);
+  return { average, count: ratings.length, spread, isDisagreement: spread >= DISAGREEMENT_SPREAD, ratings };
+};
+
+export const relevanceFromRatings = (ratings) => {
+  const values = Object.values(ratings).map(r => r.value).filter(v => v > 0);
+  if (values.length === 0) return 0;
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+};
+
+// Ratings for the kept entry when duplicates are merged: one per reviewer, the kept
+// entry's where a reviewer rated both. Null when the removed entry adds no reviewer.
+export const mergedRatings = (kept = {}, removed = {}) => {
+  const ratings = { ...removed.ratings, ...kept.ratings };
+  if (Object.keys(ratings).length === Object.keys(kept.ratings ?? {}).length) return null;
+  return { ratings, relevance: relevanceFromRatings(ratings) };
+};
@@ -0,0 +1,152 @@
+// ===================================================================================
+// === RELATED PAPERS ================================================================
+// ===================================================================================
+// Typed links between entries of the same project, and suggestions of entries
+// that may be related. A link is stored on the entry it starts from, e.g.
+//   relations: [{ entryId: 'abc123', type: 'extends' }]
+// reads "this paper extends abc123"; abc123 shows it as "Extended by". Links to
+// entries in the Trash or outside the current view are skipped, not removed, so
+// they come back with the entry.
+// ===================================================================================
+
+import { authorFamilies } from './authors';
+import { splitTopics } from './dashboard';
+
+// color: the edge colour in the graph view; dash: its SVG stroke-dasharray.
+export const RELATION_TYPES = {
+  cites: { label: 'Cites', inverseLabel: 'Cited by', color: '#6b7280', dash: '' },
+  extends: { label: 'Extends', inverseLabel: 'Extended by', color: '#2563eb', dash: '' },
+  critiques: { label: 'Critiques', inverseLabel: 'Critiqued by', color: '#dc2626', dash: '6 4' },
+  replicates: { label: 'Replicates', inverseLabel: 'Replicated by', color: '#059669', dash: '2 4' },
+};
+
+export const RELATION_TYPE_IDS = Object.keys(RELATION_TYPES);
+
+export const DEFAULT_RELATION_TYPE = 'cites';
+
+// The stored links without unknown types, links to itself and repeats.
+export const toRelations = (relations, ownId) => {
+  const seen = new Set();
+  return (relations ?? []).filter(({ entryId, type }) => {
+    const key = `${type}/${entryId}`;
+    if (!entryId || entryId === ownId || !RELATION_TYPES[type] || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).map(({ entryId, type }) => ({ entryId, type }));
+};
+
+// Every link between two of `entries`, as { source, target, type } ids.
+export const relationEdges = (entries) => {
+  const ids = new Set(entries.map(entry => entry.id));
+  return entries.flatMap(entry => toRelations(entry.relations, entry.id)
+    .filter(({ entryId }) => ids.has(entryId))
+    .map(({ entryId, type }) => ({ source: entry.id, target: entryId, type })));
+};
+
+// The entry's links in both directions to entries in `entries`, as
+// { entry, type, label, isIncoming }, outgoing ones first.
+export const entryRelations = (entry, entries) => {
+  const byId = new Map(entries.map(other => [other.id, other]));
+  const outgoing = toRelations(entry.relations, entry.id)
+    .filter(({ entryId }) => byId.has(entryId))
+    .map(({ entryId, type }) => ({ entry: byId.get(entryId), type, label: RELATION_TYPES[type].label, isIncoming: false }));
+  const incoming = entries
+    .filter(other => other.id !== entry.id)
+    .flatMap(other => toRelations(other.relations, other.id)
+      .filter(({ entryId }) => entryId === entry.id)
+      .map(({ type }) => ({ entry: other, type, label: RELATION_TYPES[type].inverseLabel, isIncoming: true })));
+  return [...outgoing, ...incoming];
+};
+
+// --- Merging duplicates ---
+
+// The kept entry's links once `removed` is merged into it: both entries' links,
+// without the ones between the two.
+export const mergedRelations = (kept, removed) => toRelations(
+  [...(kept.relations ?? []), ...(removed.relations ?? [])].filter(({ entryId }) => entryId !== removed.id),
+  kept.id
+);
+
+// Other entries whose links point at `removedId`, with those links moved to `keptId`,
+// as [{ entry, relations }].
+export const redirectedRelations = (entries, removedId, keptId) => entries
+  .filter(entry => entry.id !== removedId && (entry.relations ?? []).some(({ entryId }) => entryId === removedId))
+  .map(entry => ({
+    entry,
+    relations: toRelations(entry.relations.map(relation => (relation.entryId === removedId ? { ...relation, entryId: keptId } : relation)), entry.id),
+  }));
+
+// --- Suggestions ---
+
+// Weights of the three signals; each signal is between 0 and 1.
+const TOPIC_WEIGHT = 0.4;
+const AUTHOR_WEIGHT = 0.3;
+const TEXT_WEIGHT = 0.3;
+const MIN_SCORE = 0.1;
+const MIN_TEXT_SIMILARITY = 0.15;
+
+const STOP_WORDS = new Set(('about also among and are based been between both but can data did does for from had has have how into its more most not '
+  + 'our over paper results show shows such than that the their them then there these they this those through use used using was were what when '
+  + 'where which while who will with within would').split(' '));
+
+const fold = (text) => String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+const words = (text) => fold(text)
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(item => b.has(item)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+// TF-IDF vectors of the summaries, with the document frequencies taken from `entries`.
+const summaryVectors = (entries) => {
+  const counts = new Map(entries.map(entry => [entry.id, words(entry.summary).reduce((map, word) => map.set(word, (map.get(word) ?? 0) + 1), new Map())]));
+  const documentFrequency = new Map();
+  counts.forEach(wordCounts => wordCounts.forEach((_, word) => documentFrequency.set(word, (documentFrequency.get(word) ?? 0) + 1)));
+  const vectors = new Map();
+  counts.forEach((wordCounts, id) => {
+    const vector = new Map();
+    wordCounts.forEach((count, word) => vector.set(word, count * Math.log(entries.length / documentFrequency.get(word))));
+    const length = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    vectors.set(id, { vector, length });
+  });
+  return vectors;
+};
+
+const cosine = (a, b) => {
+  if (!a || !b || a.length === 0 || b.length === 0) return 0;
+  let dot = 0;
+  a.vector.forEach((weight, word) => { dot += weight * (b.vector.get(word) ?? 0); });
+  return dot / (a.length * b.length);
+};
+
+// Entries ranked by how likely they are related to `entry`, best first:
+// [{ entry, score, reasons }], where reasons explain the score in words.
+// Entries it is already linked with, either way, are left out.
+export const suggestRelated = (entry, entries, limit = 5) => {
+  const linked = new Set(entryRelations(entry, entries).map(relation => relation.entry.id));
+  const others = entries.filter(other => other.id !== entry.id && !linked.has(other.id));
+  const vectors = summaryVectors([entry, ...others]);
+  const ownTopics = new Set(splitTopics(entry).map(fold));
+  const ownAuthors = new Set(authorFamilies(entry.authors).map(fold));
+  return others.map((other) => {
+    const topics = new Set(splitTopics(other).map(fold));
+    const authors = new Set(authorFamilies(other.authors).map(fold));
+    const textSimilarity = cosine(vectors.get(entry.id), vectors.get(other.id));
+    const sharedTopics = splitTopics(other).filter(topic => ownTopics.has(fold(topic)));
+    const sharedAuthors = [...new Set(authorFamilies(other.authors).filter(name => ownAuthors.has(fold(name))))];
+    const reasons = [
+      sharedTopics.length > 0 && `Topic: ${sharedTopics.join(', ')}`,
+      sharedAuthors.length > 0 && `${sharedAuthors.length === 1 ? 'Author' : 'Authors'}: ${sharedAuthors.join(', ')}`,
+      textSimilarity >= MIN_TEXT_SIMILARITY && `Similar summary (${Math.round(textSimilarity * 100)}%)`,
+    ].filter(Boolean);
+    const score = TOPIC_WEIGHT * jaccard(ownTopics, topics) + AUTHOR_WEIGHT * jaccard(ownAuthors, authors) + TEXT_WEIGHT * textSimilarity;
+    return { entry: other, score, reasons };
+  })
+    .filter(({ score, reasons }) => score >= MIN_SCORE && reasons.length > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
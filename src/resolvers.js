@@ -0,0 +1,161 @@
+// ===================================================================================
+// === METADATA RESOLVERS ============================================================
+// ===================================================================================
+// Turns a pasted DOI, arXiv ID or article URL into the bibliographic fields of
+// an entry. Each resolver is a plain object:
+//   { name, canResolve(identifier), resolve(identifier) }
+// where resolve() returns a promise of the fields below, or null when the
+// service does not know the identifier. Resolvers are tried in order, so the
+// list can be reordered or extended (e.g. with a DataCite or PubMed adapter)
+// without touching the form.
+// Set VITE_METADATA_RESOLVER=fixtures to resolve from FIXTURE_RECORDS instead of
+// the network, e.g. when working against the emulators.
+// ===================================================================================
+
+import { parseName } from './authors';
+
+// --- Identifiers ---
+
+const DOI_PATTERN = /10\.\d{4,9}\/[^\s"<>]+/;
+const ARXIV_URL_PATTERN = /arxiv\.org\/(?:abs|pdf)\/([^\s?#]+?)(?:v\d+)?(?:\.pdf)?(?:[?#].*)?$/i;
+// New-style (2101.00001) and old-style (hep-th/9901001) arXiv IDs.
+const ARXIV_ID_PATTERN = /^(?:arxiv:\s*)?(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?$/i;
+
+const decode = (value) => {
+  try { return decodeURIComponent(value); } catch { return value; }
+};
+
+// { type: 'doi' | 'arxiv' | 'url', id } for the pasted text, or null if it is none of these.
+export const parseIdentifier = (text = '') => {
+  const value = text.trim();
+  if (!value) return null;
+  const arxivUrl = ARXIV_URL_PATTERN.exec(value);
+  if (arxivUrl) return { type: 'arxiv', id: arxivUrl[1] };
+  const arxivId = ARXIV_ID_PATTERN.exec(value);
+  if (arxivId) return { type: 'arxiv', id: arxivId[1] };
+  const doi = DOI_PATTERN.exec(decode(value));
+  if (doi) return { type: 'doi', id: doi[0].replace(/[.,;]+$/, '') };
+  if (/^https?:\/\/\S+$/i.test(value)) return { type: 'url', id: value };
+  return null;
+};
+
+const identifierKey = ({ type, id }) => `${type}:${id.toLowerCase()}`;
+
+const extractYear = (value) => {
+  const match = String(value ?? '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : '';
+};
+
+const stripTags = (html = '') => html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const fetchOrThrow = async (url, options) => {
+  const response = await fetch(url, options);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`${new URL(url).hostname} answered ${response.status}`);
+  return response;
+};
+
+// --- Crossref ---
+
+export const crossrefResolver = {
+  name: 'Crossref',
+  canResolve: ({ type }) => type === 'doi',
+  resolve: async ({ id }) => {
+    const response = await fetchOrThrow(`https://api.crossref.org/works/${encodeURIComponent(id)}`);
+    if (!response) return null;
+    const { message: work } = await response.json();
+    const issued = work.issued?.['date-parts']?.[0]?.[0] ?? work.published?.['date-parts']?.[0]?.[0];
+    return {
+      title: stripTags(work.title?.[0] ?? ''),
+      authors: (work.author ?? []).map(({ family, given, name }) => (name ? { literal: name } : { family: family ?? '', given: given ?? '' })),
+      year: extractYear(issued),
+      publication: work['container-title']?.[0] ?? work.publisher ?? '',
+      doi: work.DOI ?? id,
+      link: work.URL ?? `https://doi.org/${id}`,
+      summary: stripTags(work.abstract ?? ''),
+    };
+  },
+};
+
+// --- arXiv ---
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const ARXIV_NS = 'http://arxiv.org/schemas/atom';
+
+export const arxivResolver = {
+  name: 'arXiv',
+  canResolve: ({ type }) => type === 'arxiv',
+  resolve: async ({ id }) => {
+    const response = await fetchOrThrow(`https://export.arxiv.org/api/query?id_list=${encodeURIComponent(id)}`);
+    if (!response) return null;
+    const feed = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    const entry = feed.getElementsByTagNameNS(ATOM_NS, 'entry')[0];
+    // Unknown IDs come back as an entry without a title.
+    const text = (parent, ns, tag) => parent.getElementsByTagNameNS(ns, tag)[0]?.textContent.replace(/\s+/g, ' ').trim() ?? '';
+    if (!entry || !text(entry, ATOM_NS, 'title')) return null;
+    const doi = text(entry, ARXIV_NS, 'doi');
+    return {
+      title: text(entry, ATOM_NS, 'title'),
+      authors: Array.from(entry.getElementsByTagNameNS(ATOM_NS, 'author')).map(author => parseName(text(author, ATOM_NS, 'name'))),
+      year: extractYear(text(entry, ATOM_NS, 'published')),
+      publication: text(entry, ARXIV_NS, 'journal_ref') || 'arXiv',
+      doi,
+      link: `https://arxiv.org/abs/${id}`,
+      summary: text(entry, ATOM_NS, 'summary'),
+    };
+  },
+};
+
+// --- Fixtures ---
+
+// Known records, keyed like identifierKey(), so the form can be filled without a network.
+export const FIXTURE_RECORDS = {
+  'doi:10.1038/nature14539': {
+    title: 'Deep learning',
+    authors: [{ family: 'LeCun', given: 'Yann' }, { family: 'Bengio', given: 'Yoshua' }, { family: 'Hinton', given: 'Geoffrey' }],
+    year: 2015,
+    publication: 'Nature',
+    doi: '10.1038/nature14539',
+    link: 'https://doi.org/10.1038/nature14539',
+    summary: '',
+  },
+  'arxiv:1706.03762': {
+    title: 'Attention Is All You Need',
+    authors: [
+      { family: 'Vaswani', given: 'Ashish' }, { family: 'Shazeer', given: 'Noam' }, { family: 'Parmar', given: 'Niki' },
+      { family: 'Uszkoreit', given: 'Jakob' }, { family: 'Jones', given: 'Llion' }, { family: 'Gomez', given: 'Aidan N.' },
+      { family: 'Kaiser', given: 'Lukasz' }, { family: 'Polosukhin', given: 'Illia' },
+    ],
+    year: 2017,
+    publication: 'arXiv',
+    doi: '',
+    link: 'https://arxiv.org/abs/1706.03762',
+    summary: '',
+  },
+};
+
+export const createFixtureResolver = (records = FIXTURE_RECORDS) => ({
+  name: 'Fixtures',
+  canResolve: () => true,
+  resolve: async (identifier) => records[identifierKey(identifier)] ?? null,
+});
+
+// --- Resolving ---
+
+export const DEFAULT_RESOLVERS = import.meta.env.VITE_METADATA_RESOLVER === 'fixtures'
+  ? [createFixtureResolver()]
+  : [crossrefResolver, arxivResolver];
+
+// { identifier, source, fields } from the first resolver that knows the identifier.
+// Throws with a message for the form when the text is not an identifier or nobody knows it.
+export const resolveMetadata = async (text, resolvers = DEFAULT_RESOLVERS) => {
+  const identifier = parseIdentifier(text);
+  if (!identifier) throw new Error('Paste a DOI (10.xxxx/…), an arXiv ID or an article URL.');
+  const candidates = resolvers.filter(resolver => resolver.canResolve(identifier));
+  if (candidates.length === 0) throw new Error('No metadata source for this URL. Paste its DOI or arXiv ID instead.');
+  for (const resolver of candidates) {
+    const fields = await resolver.resolve(identifier);
+    if (fields) return { identifier, source: resolver.name, fields };
+  }
+  throw new Error(`Nothing found for ${identifier.id}.`);
+};
@@ -0,0 +1,44 @@
+// ===================================================================================
+// === REVIEW TEMPLATE ===============================================================
+// ===================================================================================
+// The review template lists the extraction fields shown on the entry detail page
+// and which of them must be filled before a paper can move to a status that
+// requires a complete review (see workflow.js).
+// It is stored in the 'settings/reviewTemplate' document and edited by the owner.
+// Built-in fields live at the top level of an entry; custom fields added through
+// the template live under entry.extraction.
+// ===================================================================================
+
+export const BUILT_IN_FIELDS = ['topic', 'data', 'unitOfObservations', 'summary', 'findings', 'method', 'contributions'];
+
+export const DEFAULT_TEMPLATE = {
+  fields: [
+    { key: 'topic', label: 'Topic', multiline: false, required: false },
+    { key: 'data', label: 'Data Source', multiline: false, required: false },
+    { key: 'unitOfObservations', label: 'Unit of Observations', multiline: false, required: false },
+    { key: 'summary', label: 'Summary', multiline: true, required: true },
+    { key: 'findings', label: 'Findings', multiline: true, required: true },
+    { key: 'method', label: 'Method', multiline: true, required: true },
+    { key: 'contributions', label: 'Contributions', multiline: true, required: false },
+  ],
+};
+
+const isBuiltIn = (key) => BUILT_IN_FIELDS.includes(key);
+
+export const fieldValue = (entry, key) => (isBuiltIn(key) ? entry[key] : entry.extraction?.[key]) ?? '';
+
+export const withFieldValue = (entry, key, value) => (isBuiltIn(key)
+  ? { ...entry, [key]: value }
+  : { ...entry, extraction: { ...entry.extraction, [key]: value } });
+
+export const missingRequiredFields = (entry, template) => template.fields
+  .filter(field => field.required && !String(fieldValue(entry, field.key)).trim())
+  .map(field => field.label);
+
+// Lower-camel key for a custom field label, e.g. "Sample size" -> "sampleSize".
+export const fieldKeyFromLabel = (label) => {
+  const words = label.normalize('NFD').replace(/[^\w\s]/g, '').trim().split(/\s+/).filter(Boolean);
+  return words.map((word, index) => (index === 0
+    ? word.toLowerCase()
+    : word[0].toUpperCase() + word.slice(1).toLowerCase())).join('');
+};
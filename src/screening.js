@@ -0,0 +1,152 @@
+// ===================================================================================
+// === SYSTEMATIC-REVIEW SCREENING ===================================================
+// ===================================================================================
+// Screening runs in two stages on the project's entries: title/abstract, then
+// full text for the entries included at the first stage. At each stage two
+// reviewers decide independently; each decision is stored under the reviewer's
+// uid, e.g. titleScreening.<uid> = { decision: 'exclude', reason, note, name, at },
+// so firestore.rules can let reviewers change only their own. When the two
+// disagree the owner resolves the conflict, stored as screeningResolutions.<stage>.
+// Exclusion reasons are per project, in the 'settings/screening' document.
+// ===================================================================================
+
+export const REVIEWERS_PER_STAGE = 2;
+
+export const SCREENING_STAGES = {
+  titleAbstract: { label: 'Title/abstract screening', shortLabel: 'Title/abstract', field: 'titleScreening' },
+  fullText: { label: 'Full-text screening', shortLabel: 'Full text', field: 'fullTextScreening' },
+};
+
+export const STAGE_IDS = Object.keys(SCREENING_STAGES);
+
+export const DECISIONS = {
+  include: { label: 'Include' },
+  exclude: { label: 'Exclude' },
+};
+
+// Counted as "Reports not retrieved" in the PRISMA diagram rather than as an exclusion.
+export const NOT_RETRIEVED_REASON = 'Full text not available';
+
+export const DEFAULT_SCREENING_SETTINGS = {
+  reasons: {
+    titleAbstract: ['Not relevant to the research question', 'Wrong study design', 'Wrong population or setting', 'Not a primary study', 'Not in a language we review'],
+    fullText: [NOT_RETRIEVED_REASON, 'Wrong study design', 'Wrong population or setting', 'Wrong outcome', 'Insufficient data', 'Duplicate publication'],
+  },
+};
+
+// Reads the settings document, falling back to the defaults for anything missing.
+export const toScreeningSettings = (data) => ({
+  reasons: Object.fromEntries(STAGE_IDS.map(stageId => [stageId, data?.reasons?.[stageId]?.length ? data.reasons[stageId] : DEFAULT_SCREENING_SETTINGS.reasons[stageId]])),
+});
+
+// Message for an incomplete decision, or '' if it can be saved.
+export const decisionError = ({ decision, reason }) => {
+  if (!DECISIONS[decision]) return 'Choose include or exclude.';
+  if (decision === 'exclude' && !reason?.trim()) return 'Choose a reason for excluding this entry.';
+  return '';
+};
+
+const millis = (timestamp) => timestamp?.toMillis?.() ?? 0;
+
+// [{ uid, decision, reason, note, name, at }] in the order they were made.
+export const stageDecisions = (entry, stageId) => Object.entries(entry[SCREENING_STAGES[stageId].field] ?? {})
+  .map(([uid, decision]) => ({ uid, ...decision }))
+  .filter(decision => DECISIONS[decision.decision])
+  .sort((a, b) => millis(a.at) - millis(b.at));
+
+// Whether the entry takes part in a stage: full text only follows an inclusion on title/abstract.
+export const isInStage = (entry, stageId) => stageId === 'titleAbstract' || stageOutcome(entry, 'titleAbstract').state === 'include';
+
+// { state, reason, isResolved } where state is 'pending', 'conflict', 'include' or 'exclude'.
+// The first two decisions count; if both exclude for different reasons, the first reason is used.
+export const stageOutcome = (entry, stageId) => {
+  const resolution = entry.screeningResolutions?.[stageId];
+  if (resolution && DECISIONS[resolution.decision]) return { state: resolution.decision, reason: resolution.reason ?? '', isResolved: true };
+  const [first, second] = stageDecisions(entry, stageId);
+  if (!second) return { state: 'pending', reason: '', isResolved: false };
+  if (first.decision !== second.decision) return { state: 'conflict', reason: '', isResolved: false };
+  return { state: first.decision, reason: first.reason ?? '', isResolved: false };
+};
+
+// Entries the user still has to screen at a stage: in the stage, not decided by
+// them and still short of reviewers.
+export const needsDecisionFrom = (entry, stageId, uid) => {
+  if (!isInStage(entry, stageId) || entry.screeningResolutions?.[stageId]) return false;
+  const decisions = stageDecisions(entry, stageId);
+  return !decisions.some(decision => decision.uid === uid) && decisions.length < REVIEWERS_PER_STAGE;
+};
+
+// Once both reviewers have decided, neither can change their decision: each has seen
+// the other's by then, and a changed decision would no longer be independent.
+// firestore.rules enforces the same limit.
+export const isDecisionLocked = (entry, stageId) => stageDecisions(entry, stageId).length >= REVIEWERS_PER_STAGE;
+
+// Whether the user can record or change their decision at a stage.
+export const canRecordDecision = (entry, stageId, uid) => {
+  if (entry.screeningResolutions?.[stageId]) return false;
+  const hasDecided = stageDecisions(entry, stageId).some(decision => decision.uid === uid);
+  return hasDecided ? !isDecisionLocked(entry, stageId) : needsDecisionFrom(entry, stageId, uid);
+};
+
+// Reviewers see the other decisions only after making their own, so screening stays
+// independent. The owner sees them to resolve conflicts, except while they could
+// still be one of the two reviewers.
+export const canSeeDecisions = (entry, stageId, user, canResolve) => stageDecisions(entry, stageId).some(decision => decision.uid === user.uid)
+  || (canResolve && !needsDecisionFrom(entry, stageId, user.uid));
+
+// --- Agreement ---
+
+// Cohen's kappa for pairs of decisions [[first, second], ...] on the same items.
+// { kappa, observed, expected, count }; kappa is null when it is undefined
+// (no pairs, or both reviewers always gave the same single answer).
+export const cohensKappa = (pairs) => {
+  const count = pairs.length;
+  if (count === 0) return { kappa: null, observed: null, expected: null, count };
+  const observed = pairs.filter(([a, b]) => a === b).length / count;
+  const expected = Object.keys(DECISIONS).reduce((sum, decision) => {
+    const first = pairs.filter(([a]) => a === decision).length / count;
+    const second = pairs.filter(([, b]) => b === decision).length / count;
+    return sum + first * second;
+  }, 0);
+  const kappa = expected === 1 ? null : (observed - expected) / (1 - expected);
+  return { kappa, observed, expected, count };
+};
+
+// Agreement between the first two reviewers of every entry screened twice at a stage.
+export const stageAgreement = (entries, stageId) => cohensKappa(entries
+  .map(entry => stageDecisions(entry, stageId))
+  .filter(decisions => decisions.length >= REVIEWERS_PER_STAGE)
+  .map(([first, second]) => [first.decision, second.decision]));
+
+// The usual reading of kappa (Landis & Koch).
+export const kappaLabel = (kappa) => {
+  if (kappa === null) return 'n/a';
+  if (kappa < 0) return 'poor';
+  if (kappa <= 0.2) return 'slight';
+  if (kappa <= 0.4) return 'fair';
+  if (kappa <= 0.6) return 'moderate';
+  if (kappa <= 0.8) return 'substantial';
+  return 'almost perfect';
+};
+
+// --- Progress ---
+
+// { total, pending, conflict, include, exclude } for the entries taking part in a stage.
+export const stageCounts = (entries, stageId) => entries
+  .filter(entry => isInStage(entry, stageId))
+  .reduce((counts, entry) => {
+    const { state } = stageOutcome(entry, stageId);
+    return { ...counts, total: counts.total + 1, [state]: counts[state] + 1 };
+  }, { total: 0, pending: 0, conflict: 0, include: 0, exclude: 0 });
+
+// [{ reason, count }] for the entries excluded at a stage, most frequent first.
+export const exclusionReasons = (entries, stageId, ignore = []) => {
+  const counts = {};
+  entries.filter(entry => isInStage(entry, stageId)).forEach((entry) => {
+    const { state, reason } = stageOutcome(entry, stageId);
+    if (state !== 'exclude' || ignore.includes(reason)) return;
+    const key = reason || 'No reason given';
+    counts[key] = (counts[key] ?? 0) + 1;
+  });
+  return Object.entries(counts).map(([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count || a.reason.localeCompare(b.reason));
+};
@@ -0,0 +1,148 @@
+// ===================================================================================
+// === SEARCH AND FILTERS ============================================================
+// ===================================================================================
+// A small query language for the search box, e.g.
+//   author:okada year:>=2020 status:Benchmark topic:"land use" -reading
+// Qualified terms match one field; bare words and "quoted phrases" are matched
+// against the text fields below (including text highlighted in attached PDFs)
+// and ranked by where they occur. A leading "-" excludes entries that match the term.
+// The search box, the multi-select filters, the sort order and the table/board
+// layout together make up a view, which is kept in the URL so it can be shared.
+// ===================================================================================
+
+import { aggregateRatings } from './ratings';
+import { highlightsText } from './attachments';
+import { formatAuthors } from './authors';
+
+// Weight of a free-text hit in each field; a whole-word hit counts double.
+const FULL_TEXT_WEIGHTS = {
+  title: 5, authors: 3, topic: 3, summary: 2, findings: 1, method: 1, contributions: 1, publication: 1, notes: 1, highlights: 1,
+};
+
+const FIELD_ALIASES = {
+  title: 'title', author: 'authors', authors: 'authors', year: 'year', status: 'status', pic: 'pic',
+  topic: 'topic', data: 'data', method: 'method', summary: 'summary', findings: 'findings', contributions: 'contributions',
+  journal: 'publication', venue: 'publication', publication: 'publication', doi: 'doi',
+  relevance: 'relevance', rating: 'relevance', notes: 'notes', highlight: 'highlights', highlights: 'highlights',
+};
+
+const NUMERIC_FIELDS = ['year', 'relevance'];
+const EXACT_FIELDS = ['status', 'pic'];
+
+const fold = (value) => String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const TOKEN_PATTERN = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+
+export const parseQuery = (text = '') => {
+  const terms = [];
+  for (const [, minus, qualifier, quoted, bare] of text.matchAll(TOKEN_PATTERN)) {
+    const field = qualifier ? FIELD_ALIASES[qualifier.toLowerCase()] ?? null : null;
+    // An unknown qualifier (e.g. in "http://...") is searched as plain text.
+    const value = qualifier && !field ? `${qualifier}:${quoted ?? bare}` : (quoted ?? bare);
+    if (!value) continue;
+    terms.push({ field, value, negate: minus === '-' });
+  }
+  return terms;
+};
+
+export const hasFreeText = (terms) => terms.some(term => !term.field && !term.negate);
+
+// Quotes and custom template fields are searched together as "notes".
+const notesText = (entry) => [
+  ...(entry.quotes ?? []).flatMap(quote => [quote.text, quote.note]),
+  ...Object.values(entry.extraction ?? {}),
+].join('\n');
+
+const DERIVED_TEXT = { authors: entry => formatAuthors(entry.authors), notes: notesText, highlights: highlightsText };
+
+const fieldText = (entry, field) => (DERIVED_TEXT[field] ? DERIVED_TEXT[field](entry) : entry[field]);
+
+const fieldNumber = (entry, field) => (field === 'relevance' ? Math.round(aggregateRatings(entry).average) : Number(entry[field]));
+
+const compareNumber = (actual, expression) => {
+  const range = /^(\d+)\.\.(\d+)$/.exec(expression);
+  if (range) return actual >= Number(range[1]) && actual <= Number(range[2]);
+  const match = /^(>=|<=|>|<|=)?(\d+)$/.exec(expression);
+  if (!match) return false;
+  const expected = Number(match[2]);
+  switch (match[1]) {
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    default: return actual === expected;
+  }
+};
+
+const wholeWordPattern = (value) => new RegExp(`(^|[^a-z0-9])${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`);
+
+// Score of one free-text term in an entry; 0 means no match.
+const termScore = (entry, value) => {
+  const needle = fold(value);
+  return Object.entries(FULL_TEXT_WEIGHTS).reduce((score, [field, weight]) => {
+    const haystack = fold(fieldText(entry, field));
+    if (!haystack.includes(needle)) return score;
+    return score + (wholeWordPattern(needle).test(haystack) ? weight * 2 : weight);
+  }, 0);
+};
+
+const termMatches = (entry, term) => {
+  if (!term.field) return termScore(entry, term.value) > 0;
+  if (NUMERIC_FIELDS.includes(term.field)) return compareNumber(fieldNumber(entry, term.field), term.value);
+  if (EXACT_FIELDS.includes(term.field)) return fold(entry[term.field]) === fold(term.value);
+  return fold(fieldText(entry, term.field)).includes(fold(term.value));
+};
+
+export const matchesQuery = (entry, terms) => terms.every(term => termMatches(entry, term) !== term.negate);
+
+export const scoreEntry = (entry, terms) => terms
+  .filter(term => !term.field && !term.negate)
+  .reduce((score, term) => score + termScore(entry, term.value), 0);
+
+// --- Multi-select filters ---
+
+export const EMPTY_FILTERS = { statuses: [], pics: [], ratings: [], yearFrom: '', yearTo: '' };
+
+export const activeFilterCount = (filters) => filters.statuses.length + filters.pics.length + filters.ratings.length
+  + (filters.yearFrom ? 1 : 0) + (filters.yearTo ? 1 : 0);
+
+export const matchesFilters = (entry, filters) => (filters.statuses.length === 0 || filters.statuses.includes(entry.status))
+  && (filters.pics.length === 0 || filters.pics.includes(entry.pic))
+  && (filters.ratings.length === 0 || filters.ratings.includes(Math.round(aggregateRatings(entry).average)))
+  && (!filters.yearFrom || Number(entry.year) >= Number(filters.yearFrom))
+  && (!filters.yearTo || Number(entry.year) <= Number(filters.yearTo));
+
+// --- Views in the URL ---
+
+export const DEFAULT_SORT = { key: 'relevance', direction: 'descending' };
+
+const LAYOUTS = ['table', 'board', 'dashboard', 'screening', 'graph'];
+
+export const viewToParams = ({ query, filters, sortConfig, layout }) => {
+  const params = new URLSearchParams();
+  if (query) params.set('q', query);
+  filters.statuses.forEach(status => params.append('status', status));
+  filters.pics.forEach(pic => params.append('pic', pic));
+  filters.ratings.forEach(rating => params.append('rating', rating));
+  if (filters.yearFrom) params.set('from', filters.yearFrom);
+  if (filters.yearTo) params.set('to', filters.yearTo);
+  if (sortConfig.key !== DEFAULT_SORT.key || sortConfig.direction !== DEFAULT_SORT.direction) params.set('sort', `${sortConfig.key}:${sortConfig.direction}`);
+  if (layout !== 'table') params.set('view', layout);
+  return params;
+};
+
+export const viewFromParams = (params) => {
+  const [sortKey, sortDirection] = (params.get('sort') ?? '').split(':');
+  return {
+    query: params.get('q') ?? '',
+    filters: {
+      statuses: params.getAll('status'),
+      pics: params.getAll('pic'),
+      ratings: params.getAll('rating').map(Number).filter(Boolean),
+      yearFrom: params.get('from') ?? '',
+      yearTo: params.get('to') ?? '',
+    },
+    sortConfig: sortKey ? { key: sortKey, direction: sortDirection === 'ascending' ? 'ascending' : 'descending' } : DEFAULT_SORT,
+    layout: LAYOUTS.includes(params.get('view')) ? params.get('view') : 'table',
+  };
+};
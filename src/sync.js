@@ -0,0 +1,37 @@
+// ===================================================================================
+// === OFFLINE SYNC ==================================================================
+// ===================================================================================
+// Firestore keeps a persistent local cache (see firebase.js), so the app opens
+// and edits while offline. Writes are applied to the cache at once and sent when
+// the connection returns; their commit() promise only settles at that point, so
+// the UI never waits for it.
+// Every content edit carries the entry's next `revision` number, and
+// firestore.rules rejects an edit based on an older revision. The rejected edit
+// is then shown next to the current version so the user can choose per field.
+// ===================================================================================
+
+import { diffEntries } from './audit';
+
+export const SYNC_STATES = {
+  synced: { label: 'All changes saved' },
+  pending: { label: 'Saving changes…' },
+  offline: { label: 'Offline' },
+};
+
+export const syncState = ({ isOnline, fromCache, hasPendingWrites }) => {
+  if (!isOnline || fromCache) return 'offline';
+  return hasPendingWrites ? 'pending' : 'synced';
+};
+
+export const nextRevision = (entry) => (entry?.revision ?? 0) + 1;
+
+// Only the fields the user actually changed, so edits to other fields are not overwritten.
+export const editedFields = (original, edited) => Object.fromEntries(Object.keys(diffEntries(original, edited)).map(field => [field, edited[field]]));
+
+// Fields changed both by the user (relative to the version they started from) and by someone else since.
+export const conflictingFields = (base, mine, theirs) => Object.keys(mine).filter(field => (
+  JSON.stringify(theirs[field] ?? null) !== JSON.stringify(base[field] ?? null)
+  && JSON.stringify(theirs[field] ?? null) !== JSON.stringify(mine[field] ?? null)
+));
+
+export const isRejectedEdit = (error) => error?.code === 'permission-denied';
@@ -0,0 +1,122 @@
+// ===================================================================================
+// === TABLE COLUMNS =================================================================
+// ===================================================================================
+// The columns the literature table can show, how each one sorts and how an inline
+// edit is read back. Which columns are visible, their order and their widths are
+// kept per user in the 'preferences/{uid}' document, e.g.
+//   { table: { columns: [{ key: 'title', width: 280 }, ...], pageSize: 100 } }
+// ===================================================================================
+
+import { doc } from 'firebase/firestore';
+import { aggregateRatings } from './ratings';
+import { authorSortKey, formatAuthors, parseFormattedAuthors, cleanAuthorList } from './authors';
+import { statusNames } from './workflow';
+
+// type:     how values sort ('text', 'number', 'authors', 'relevance', 'status', 'date').
+// editable: 'text', 'number' or 'authors' for an inline input, 'select' for status and PIC.
+export const TABLE_COLUMNS = [
+  { key: 'title', label: 'Title', type: 'text', width: 280, editable: 'text' },
+  { key: 'authors', label: 'Authors', type: 'authors', width: 200, editable: 'authors' },
+  { key: 'year', label: 'Year', type: 'number', width: 80, editable: 'number' },
+  { key: 'publication', label: 'Journal / Conference', type: 'text', width: 180, editable: 'text' },
+  { key: 'topic', label: 'Topic', type: 'text', width: 160, editable: 'text' },
+  { key: 'data', label: 'Data Source', type: 'text', width: 160, editable: 'text' },
+  { key: 'unitOfObservations', label: 'Unit of Observations', type: 'text', width: 160, editable: 'text' },
+  { key: 'summary', label: 'Summary', type: 'text', width: 280, editable: 'text' },
+  { key: 'relevance', label: 'Relevance', type: 'relevance', width: 150, editable: null },
+  { key: 'status', label: 'Status', type: 'status', width: 190, editable: 'select' },
+  { key: 'pic', label: 'PIC', type: 'text', width: 130, editable: 'select' },
+  { key: 'doi', label: 'DOI', type: 'text', width: 170, editable: 'text' },
+  { key: 'link', label: 'Link', type: 'text', width: 70, editable: null },
+  { key: 'updatedAt', label: 'Last Changed', type: 'date', width: 150, editable: null },
+];
+
+const DEFAULT_COLUMN_KEYS = ['title', 'authors', 'year', 'summary', 'relevance', 'status', 'pic', 'link'];
+
+export const MIN_COLUMN_WIDTH = 60;
+
+export const PAGE_SIZES = [50, 100, 250, 500];
+
+export const DEFAULT_TABLE_PREFS = {
+  columns: DEFAULT_COLUMN_KEYS.map(key => ({ key, width: TABLE_COLUMNS.find(c => c.key === key).width })),
+  pageSize: 100,
+};
+
+export const findColumn = (key) => TABLE_COLUMNS.find(column => column.key === key);
+
+export const preferencesRef = (db, uid) => doc(db, 'preferences', uid);
+
+// Stored preferences with unknown columns dropped and missing values filled in.
+export const toTablePrefs = (stored) => {
+  const columns = (stored?.columns ?? [])
+    .filter(({ key }) => findColumn(key))
+    .map(({ key, width }) => ({ key, width: Math.max(MIN_COLUMN_WIDTH, Number(width) || findColumn(key).width) }));
+  return {
+    columns: columns.length > 0 ? columns : DEFAULT_TABLE_PREFS.columns,
+    pageSize: PAGE_SIZES.includes(stored?.pageSize) ? stored.pageSize : DEFAULT_TABLE_PREFS.pageSize,
+  };
+};
+
+// --- Sorting ---
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+const isMissing = (value) => value === null || value === undefined || value === '' || Number.isNaN(value);
+
+// The value an entry sorts by in a column; null when it has none.
+const sortValue = (entry, key, workflow) => {
+  switch (findColumn(key)?.type) {
+    case 'number': {
+      const number = parseFloat(entry[key]);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'authors': return authorSortKey(entry.authors) || null;
+    case 'relevance': return aggregateRatings(entry).average || null;
+    case 'status': {
+      const index = statusNames(workflow).indexOf(entry.status);
+      return index === -1 ? null : index;
+    }
+    case 'date': return entry[key]?.toMillis?.() ?? null;
+    default: return isMissing(entry[key]) ? null : String(entry[key]).trim() || null;
+  }
+};
+
+const compareValues = (a, b) => (typeof a === 'number' && typeof b === 'number' ? a - b : collator.compare(String(a), String(b)));
+
+// A comparator for Array.sort. Numbers compare as numbers, text ignores case and
+// accents, statuses follow the workflow order, and entries without a value come
+// last in either direction. Ties are broken by title.
+export const compareEntries = (sortConfig, workflow) => (a, b) => {
+  const valueA = sortValue(a, sortConfig.key, workflow);
+  const valueB = sortValue(b, sortConfig.key, workflow);
+  if (valueA === null || valueB === null) {
+    if (valueA !== valueB) return valueA === null ? 1 : -1;
+  } else {
+    const order = compareValues(valueA, valueB);
+    if (order !== 0) return sortConfig.direction === 'ascending' ? order : -order;
+  }
+  return collator.compare(a.title ?? '', b.title ?? '');
+};
+
+// --- Inline editing ---
+
+// The text shown in an inline editor for a cell.
+export const cellText = (entry, key) => (key === 'authors' ? formatAuthors(entry.authors) : String(entry[key] ?? ''));
+
+// { value } to store for the edited text, or { error } if it cannot be saved.
+// `entry` is the entry being edited, whose organisations stay organisations.
+export const parseCellText = (key, text, entry = {}) => {
+  const column = findColumn(key);
+  const trimmed = text.trim();
+  if (column.editable === 'number') {
+    if (!trimmed) return { value: '' };
+    const number = parseInt(trimmed, 10);
+    return Number.isFinite(number) && String(number) === trimmed ? { value: number } : { error: 'Enter a whole number.' };
+  }
+  if (column.editable === 'authors') {
+    const authors = cleanAuthorList(parseFormattedAuthors(trimmed, entry.authors));
+    return authors.length > 0 ? { value: authors } : { error: 'Enter at least one author.' };
+  }
+  if (key === 'title' && !trimmed) return { error: 'The title cannot be empty.' };
+  return { value: trimmed };
+};
@@ -0,0 +1,49 @@
+// ===================================================================================
+// === STATUS WORKFLOW ===============================================================
+// ===================================================================================
+// The ordered list of statuses every entry moves through. It is stored in the
+// 'settings/workflow' document and edited by the owner, so a project can add
+// stages such as "Full-text screening" or "Excluded".
+//   restricted:     only the owner may move entries into or out of this status.
+//   requiresReview: the review template's required fields must be filled in.
+//   wipLimit:       the board highlights the column when it holds more entries.
+// ===================================================================================
+
+export const STATUS_COLORS = ['gray', 'blue', 'green', 'amber', 'purple', 'red', 'teal'];
+
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: 'To Read', color: 'gray', restricted: false, requiresReview: false, wipLimit: null },
+    { name: 'Reading', color: 'blue', restricted: false, requiresReview: false, wipLimit: null },
+    { name: 'Completed', color: 'green', restricted: false, requiresReview: true, wipLimit: null },
+    { name: 'Suggested for Benchmark', color: 'amber', restricted: false, requiresReview: true, wipLimit: null },
+    { name: 'Benchmark', color: 'purple', restricted: true, requiresReview: true, wipLimit: null },
+  ],
+};
+
+export const statusNames = (workflow) => workflow.statuses.map(status => status.name);
+
+const findStatus = (workflow, name) => workflow.statuses.find(status => status.name === name);
+
+export const isRestrictedStatus = (workflow, name) => Boolean(findStatus(workflow, name)?.restricted);
+
+export const statusRequiresReview = (workflow, name) => Boolean(findStatus(workflow, name)?.requiresReview);
+
+export const statusColor = (workflow, name) => findStatus(workflow, name)?.color ?? 'gray';
+
+// firestore.rules cannot loop over the status list, so the restricted names are stored alongside it.
+export const toWorkflowDoc = (workflow) => ({
+  statuses: workflow.statuses,
+  restrictedStatuses: workflow.statuses.filter(status => status.restricted).map(status => status.name),
+});
+
+// Full Tailwind class names, so the build keeps them.
+export const COLOR_CLASSES = {
+  gray: { badge: 'bg-gray-100 text-gray-700', header: 'border-gray-400', bar: 'bg-gray-400', fill: 'fill-gray-400' },
+  blue: { badge: 'bg-blue-100 text-blue-700', header: 'border-blue-500', bar: 'bg-blue-500', fill: 'fill-blue-500' },
+  green: { badge: 'bg-green-100 text-green-700', header: 'border-green-500', bar: 'bg-green-500', fill: 'fill-green-500' },
+  amber: { badge: 'bg-amber-100 text-amber-800', header: 'border-amber-500', bar: 'bg-amber-500', fill: 'fill-amber-500' },
+  purple: { badge: 'bg-purple-100 text-purple-700', header: 'border-purple-500', bar: 'bg-purple-500', fill: 'fill-purple-500' },
+  red: { badge: 'bg-red-100 text-red-700', header: 'border-red-500', bar: 'bg-red-500', fill: 'fill-red-500' },
+  teal: { badge: 'bg-teal-100 text-teal-700', header: 'border-teal-500', bar: 'bg-teal-500', fill: 'fill-teal-500' },
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { validatePdf, pageRects, annotationList, highlightsText, canChangePdf } from '../src/attachments';
+
+describe('validatePdf', () => {
+  it('accepts PDFs up to the size limit', () => {
+    expect(validatePdf({ name: 'paper.pdf', type: 'application/pdf', size: 1024 })).toBe('');
+    expect(validatePdf({ name: 'PAPER.PDF', type: '', size: 1024 })).toBe('');
+  });
+
+  it('rejects other files and files that are too large', () => {
+    expect(validatePdf({ name: 'paper.docx', type: 'application/msword', size: 1024 })).toBe('Only PDF files can be attached.');
+    expect(validatePdf({ name: 'scan.pdf', type: 'application/pdf', size: 51 * 1024 * 1024 })).toBe('The file is larger than 50 MB.');
+  });
+});
+
+describe('pageRects', () => {
+  it('stores the selection as fractions of the page and skips empty rectangles', () => {
+    const page = { left: 100, top: 50, width: 400, height: 800 };
+    const rects = [
+      { left: 150, top: 250, width: 200, height: 20 },
+      { left: 150, top: 270, width: 0, height: 20 },
+    ];
+    expect(pageRects(rects, page)).toEqual([{ x: 0.125, y: 0.25, width: 0.5, height: 0.025 }]);
+  });
+});
+
+describe('highlights', () => {
+  const entry = {
+    annotations: {
+      late: { page: 2, rects: [{ y: 0.1 }], text: 'Second page', note: '' },
+      low: { page: 1, rects: [{ y: 0.8 }], text: 'Bottom of page one', note: 'Check this' },
+      high: { page: 1, rects: [{ y: 0.2 }], text: 'Top of page one', note: '' },
+    },
+  };
+
+  it('lists highlights in reading order', () => {
+    expect(annotationList(entry).map(annotation => annotation.id)).toEqual(['high', 'low', 'late']);
+  });
+
+  it('joins the highlighted text and notes for search', () => {
+    expect(highlightsText(entry)).toBe('Top of page one\n\nBottom of page one\nCheck this\nSecond page\n');
+    expect(highlightsText({})).toBe('');
+  });
+});
+
+describe('canChangePdf', () => {
+  const entry = { pdf: { path: 'projects/p1/pdfs/e1.pdf', uploadedBy: 'alice' } };
+
+  it('leaves a PDF to its uploader and the owner', () => {
+    expect(canChangePdf(entry, { uid: 'alice' }, false)).toBe(true);
+    expect(canChangePdf(entry, { uid: 'bob' }, false)).toBe(false);
+    expect(canChangePdf(entry, { uid: 'olga' }, true)).toBe(true);
+    expect(canChangePdf({}, { uid: 'bob' }, false)).toBe(true);
+  });
+});
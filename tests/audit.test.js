@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { deleteField } from 'firebase/firestore';
+import { stampCreate, stampUpdate, stampDelete, stampRestore, diffEntries } from '../src/audit';
+
+const alice = { uid: 'alice', name: 'Alice' };
+
+describe('stamps', () => {
+  it('records who created and last changed an entry', () => {
+    expect(stampCreate({ title: 'Deep learning' }, alice)).toEqual({
+      title: 'Deep learning',
+      createdBy: 'alice', createdByName: 'Alice', createdAt: expect.anything(),
+      updatedBy: 'alice', updatedByName: 'Alice', updatedAt: expect.anything(),
+    });
+    expect(stampUpdate({ status: 'Read' }, alice)).toEqual({ status: 'Read', updatedBy: 'alice', updatedByName: 'Alice', updatedAt: expect.anything() });
+  });
+
+  it('moves entries to the Trash and back', () => {
+    expect(stampDelete(alice)).toMatchObject({ deletedBy: 'alice', deletedByName: 'Alice', updatedBy: 'alice' });
+    const restored = stampRestore(alice);
+    expect(restored.deletedAt.isEqual(deleteField())).toBe(true);
+    expect(restored.updatedBy).toBe('alice');
+  });
+});
+
+describe('diffEntries', () => {
+  it('lists the fields that changed, with both values', () => {
+    const before = { id: 'e1', title: 'Deep learning', year: 2015, authors: [{ family: 'LeCun', given: 'Yann' }] };
+    const after = { id: 'e1', title: 'Deep Learning', year: 2015, authors: [{ family: 'LeCun', given: 'Y.' }], topic: 'AI' };
+    expect(diffEntries(before, after)).toEqual({
+      title: { from: 'Deep learning', to: 'Deep Learning' },
+      authors: { from: [{ family: 'LeCun', given: 'Yann' }], to: [{ family: 'LeCun', given: 'Y.' }] },
+      topic: { from: null, to: 'AI' },
+    });
+  });
+
+  it('leaves out stamps and fields the change did not touch', () => {
+    expect(diffEntries({ title: 'A', updatedBy: 'bob', summary: 'Kept' }, { title: 'A', updatedBy: 'alice' })).toEqual({});
+    expect(diffEntries(undefined, { title: 'A' })).toEqual({ title: { from: null, to: 'A' } });
+  });
+});
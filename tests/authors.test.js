@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { parseName, parseAuthors, parseFormattedAuthors, cleanAuthorList, formatAuthors, legacyAuthorConversions } from '../src/authors';
+
+describe('parseAuthors', () => {
+  it('reads "Family, Given" and "Given Family"', () => {
+    expect(parseName('Okada, Taro')).toEqual({ family: 'Okada', given: 'Taro' });
+    expect(parseName('Jane van Doe')).toEqual({ family: 'Doe', given: 'Jane van' });
+    expect(parseName('Plato')).toEqual({ family: 'Plato', given: '' });
+  });
+
+  it('splits the free text at semicolons and "and"', () => {
+    expect(parseAuthors('Okada, Taro; Jane Doe and Smith, John')).toEqual([
+      { family: 'Okada', given: 'Taro' }, { family: 'Doe', given: 'Jane' }, { family: 'Smith', given: 'John' },
+    ]);
+    expect(parseAuthors('')).toEqual([]);
+  });
+});
+
+describe('cleanAuthorList', () => {
+  it('trims names, keeps organisations and drops empty rows', () => {
+    expect(cleanAuthorList([{ family: ' Okada ', given: ' Taro ' }, { family: '', given: '' }, { literal: ' World Bank ', family: 'ignored' }, { family: '', given: 'Only given' }])).toEqual([
+      { family: 'Okada', given: 'Taro' }, { literal: 'World Bank' },
+    ]);
+  });
+
+  it('converts free text as well', () => {
+    expect(cleanAuthorList('Okada, Taro;; ')).toEqual([{ family: 'Okada', given: 'Taro' }]);
+  });
+});
+
+describe('legacyAuthorConversions', () => {
+  it('converts only the entries that still hold free text', () => {
+    const legacy = { id: 'a', authors: 'Okada, Taro; Doe, Jane' };
+    const converted = { id: 'b', authors: [{ family: 'Smith', given: 'John' }] };
+    const empty = { id: 'c', authors: ' ' };
+    expect(legacyAuthorConversions([legacy, converted, empty])).toEqual([
+      { entry: legacy, authors: [{ family: 'Okada', given: 'Taro' }, { family: 'Doe', given: 'Jane' }] },
+    ]);
+  });
+
+  it('formats the converted list as the text it came from', () => {
+    const [{ authors }] = legacyAuthorConversions([{ id: 'a', authors: 'Okada, Taro; Doe, Jane' }]);
+    expect(formatAuthors(authors)).toBe('Okada, Taro; Doe, Jane');
+  });
+});
+
+describe('parseFormattedAuthors', () => {
+  it('reads back the formatted list, organisations included', () => {
+    const previous = [{ literal: 'Food and Agriculture Organization' }, { family: 'Okada', given: 'Taro' }];
+    expect(parseFormattedAuthors(formatAuthors(previous), previous)).toEqual(previous);
+  });
+
+  it('splits at semicolons only', () => {
+    expect(parseFormattedAuthors('Okada, Taro; Jane and John Doe')).toEqual([
+      { family: 'Okada', given: 'Taro' }, { family: 'Doe', given: 'Jane and John' },
+    ]);
+  });
+});
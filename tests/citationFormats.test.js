@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSLJSON, toCSLJSON } from '../src/citationFormats';
+
+describe('parseCSLJSON', () => {
+  const item = { id: 'okada2020', title: 'Land use', issued: { 'date-parts': [[2020]] }, author: [{ family: 'Okada', given: 'Taro' }] };
+
+  it('reads authors, organisations and the year', () => {
+    const [row] = parseCSLJSON(JSON.stringify([{ ...item, author: [...item.author, { literal: 'World Bank' }] }]));
+    expect(row.errors).toEqual([]);
+    expect(row.source).toBe('okada2020');
+    expect(row.entry.authors).toEqual([{ family: 'Okada', given: 'Taro' }, { literal: 'World Bank' }]);
+    expect(row.entry.year).toBe(2020);
+  });
+
+  it('skips names that are not objects and reports them', () => {
+    const [row] = parseCSLJSON(JSON.stringify([{ ...item, author: [null, 'Doe', ...item.author] }]));
+    expect(row.entry.authors).toEqual(item.author);
+    expect(row.errors).toEqual(['Some author names could not be read']);
+  });
+
+  it('reports a name list that is not a list', () => {
+    const [row] = parseCSLJSON(JSON.stringify([{ ...item, author: undefined, editor: 'Doe, Jane' }]));
+    expect(row.entry.authors).toEqual([]);
+    expect(row.errors).toContain('Some author names could not be read');
+  });
+
+  it('reports items that are not objects and invalid JSON', () => {
+    expect(parseCSLJSON('[null]')[0].errors).toEqual(['Item is not an object']);
+    expect(parseCSLJSON('{')[0].errors[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('reads back what it exports', () => {
+    const entry = { title: 'Land use', year: 2020, authors: [{ family: 'Okada', given: 'Taro' }], doi: '10.1000/xyz' };
+    const [row] = parseCSLJSON(toCSLJSON([entry]));
+    expect(row.entry).toMatchObject(entry);
+  });
+});
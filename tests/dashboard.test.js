@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { statusByPic, yearHistogram, topicBreakdown, statusTransitions, transitionsByMonth, enteredStatusSince } from '../src/dashboard';
+
+const statuses = ['To Read', 'Reading', 'Completed'];
+const stamp = (date) => ({ toDate: () => date });
+
+describe('snapshot of the entries', () => {
+  it('counts statuses per PIC, with unknown PICs as Unassigned', () => {
+    const entries = [
+      { pic: 'Alice', status: 'Reading' }, { pic: 'Alice', status: 'Completed' },
+      { pic: '', status: 'To Read' }, { pic: 'Former member', status: 'Archived' },
+    ];
+    const { rows, totals, total } = statusByPic(entries, statuses, ['Alice', 'Bob']);
+    expect(rows.map(row => [row.pic, row.total])).toEqual([['Alice', 2], ['Bob', 0], ['Unassigned', 2]]);
+    expect(rows[2].counts).toEqual({ 'To Read': 1, Reading: 0, Completed: 0, Archived: 1 });
+    expect(totals).toEqual({ 'To Read': 1, Reading: 1, Completed: 1, Archived: 1 });
+    expect(total).toBe(4);
+    expect(statusByPic([], statuses, ['Alice']).rows.map(row => row.pic)).toEqual(['Alice']);
+  });
+
+  it('fills the gaps between the oldest and newest year', () => {
+    expect(yearHistogram([{ year: 2019 }, { year: '2021' }, { year: 2019 }, { year: '' }, { year: 'n.d.' }])).toEqual([
+      { year: 2019, count: 2 }, { year: 2020, count: 0 }, { year: 2021, count: 1 },
+    ]);
+    expect(yearHistogram([{ year: '' }])).toEqual([]);
+  });
+
+  it('splits topics and counts them once per entry, ignoring case', () => {
+    const entries = [
+      { topic: 'Land use; Ecology' }, { topic: 'land use, land use' }, { topic: 'Transport' }, { topic: 'Ecology' }, { topic: '' },
+    ];
+    expect(topicBreakdown(entries, 2)).toEqual({
+      topics: [{ topic: 'Ecology', count: 2 }, { topic: 'Land use', count: 2 }],
+      otherCount: 1,
+    });
+  });
+});
+
+describe('status transitions', () => {
+  const now = new Date(2024, 5, 15);
+  const transitions = statusTransitions([
+    { entryId: 'e2', at: stamp(new Date(2024, 5, 10)), changes: { status: { from: 'Reading', to: 'Completed' } }, byName: 'Bob' },
+    { entryId: 'e1', at: stamp(new Date(2024, 4, 2)), changes: { status: { from: 'To Read', to: 'Reading' } }, byName: 'Alice' },
+    { entryId: 'e1', at: stamp(new Date(2024, 5, 1)), changes: { status: { from: 'Reading', to: 'Completed' } }, byName: 'Alice' },
+    { entryId: 'e1', at: stamp(new Date(2024, 5, 2)), changes: { title: { from: 'A', to: 'B' } } },
+    { entryId: 'e3', at: stamp(new Date(2023, 0, 5)), changes: { status: { from: 'To Read', to: 'Reading' } } },
+    { entryId: 'e4', at: null, changes: { status: { from: 'To Read', to: 'Reading' } } },
+  ]);
+
+  it('reads status changes from the history, oldest first', () => {
+    expect(transitions.map(t => [t.entryId, t.to])).toEqual([['e3', 'Reading'], ['e1', 'Reading'], ['e1', 'Completed'], ['e2', 'Completed']]);
+    expect(transitions[0].byName).toBe('');
+  });
+
+  it('counts transitions per month by the status moved into', () => {
+    const months = transitionsByMonth(transitions, statuses, 3, now);
+    expect(months.map(m => m.month)).toEqual(['2024-04', '2024-05', '2024-06']);
+    expect(months.map(m => m.total)).toEqual([0, 1, 2]);
+    expect(months[2].counts).toEqual({ 'To Read': 0, Reading: 0, Completed: 2 });
+  });
+
+  it('lists entries that entered a status since a date, newest first', () => {
+    const entries = [
+      { id: 'e1', status: 'Completed' },
+      { id: 'e2', status: 'Completed' },
+      { id: 'e3', status: 'Reading' },
+      { id: 'e5', status: 'Completed', createdAt: stamp(new Date(2024, 5, 12)), createdByName: 'Carol' },
+      { id: 'e6', status: 'Completed', createdAt: stamp(new Date(2024, 0, 1)) },
+    ];
+    const since = new Date(2024, 5, 5);
+    expect(enteredStatusSince(entries, transitions, 'Completed', since).map(({ entry, byName }) => [entry.id, byName])).toEqual([
+      ['e5', 'Carol'], ['e2', 'Bob'],
+    ]);
+    expect(enteredStatusSince(entries, transitions, 'Reading', since)).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { titleSimilarity, compareEntries, findDuplicates, findDuplicatePairs, findImportDuplicates, defaultMergeChoices, mergeEntries } from '../src/duplicates';
+
+const okada = [{ family: 'Okada', given: 'Taro' }];
+const doe = [{ family: 'Doe', given: 'Jane' }];
+
+describe('compareEntries', () => {
+  it('scores titles with the Dice coefficient', () => {
+    expect(titleSimilarity('Deep Learning', 'deep-learning!')).toBe(1);
+    expect(titleSimilarity('Deep learning', '')).toBe(0);
+    expect(titleSimilarity('Deep learning', 'Deep learnin')).toBeGreaterThan(0.9);
+  });
+
+  it('matches on the DOI and on similar titles by the same author or year', () => {
+    expect(compareEntries({ doi: '10.1038/nature14539', title: 'A' }, { link: 'https://doi.org/10.1038/NATURE14539', title: 'B' }).reasons).toEqual(['Same DOI']);
+    expect(compareEntries(
+      { title: 'Travel behaviour of older adults in rural areas', authors: okada, year: 2019 },
+      { title: 'Travel behaviour of elderly adults in rural areas', authors: doe, year: 2019 },
+    ).reasons).toEqual(['Similar title (90%)', 'Same year']);
+    expect(compareEntries(
+      { title: 'Travel behaviour of older adults in rural areas', authors: okada, year: 2019 },
+      { title: 'Travel behaviour of elderly adults in rural areas', authors: doe, year: 2020 },
+    )).toBeNull();
+  });
+});
+
+describe('findDuplicatePairs', () => {
+  const literature = [
+    { id: 'a', title: 'Deep learning', authors: okada, year: 2015, doi: '10.1038/nature14539' },
+    { id: 'b', title: 'Attention is all you need', authors: doe, year: 2017 },
+    { id: 'c', title: 'Something else entirely', authors: doe, year: 2015, doi: '10.1038/nature14539' },
+    { id: 'd', title: 'Attention is all you need.', authors: okada, year: 2021 },
+    { id: 'e', title: 'Deep learning', authors: doe, year: 2001, notDuplicateOf: ['a'] },
+  ];
+
+  it('finds the same pairs as comparing every entry with every other', () => {
+    const everyPair = [];
+    literature.forEach((a, i) => literature.slice(i + 1).forEach((b) => {
+      const dismissed = (a.notDuplicateOf ?? []).includes(b.id) || (b.notDuplicateOf ?? []).includes(a.id);
+      if (!dismissed && compareEntries(a, b)) everyPair.push(`${a.id}${b.id}`);
+    }));
+    const found = findDuplicatePairs(literature).map(({ a, b }) => `${a.id}${b.id}`);
+    expect(found.sort()).toEqual(everyPair.sort());
+    expect(found).toEqual(expect.arrayContaining(['ac', 'bd']));
+    expect(found).not.toContain('ae');
+  });
+
+  it('orders the pairs by score', () => {
+    const scores = findDuplicatePairs(literature).map(pair => pair.score);
+    expect(scores).toEqual([...scores].sort((x, y) => y - x));
+  });
+});
+
+describe('duplicates of new entries', () => {
+  const literature = [{ id: 'a', title: 'Deep learning', authors: okada, year: 2015 }];
+
+  it('skips the entry being edited', () => {
+    expect(findDuplicates(literature[0], literature)).toEqual([]);
+    expect(findDuplicates({ title: 'Deep learning' }, literature).map(match => match.entry.id)).toEqual(['a']);
+  });
+
+  it('checks each imported row against the collection and the earlier rows', () => {
+    const rows = [
+      { title: 'Deep learning', authors: okada, year: 2015 },
+      { title: 'Attention is all you need', authors: doe, year: 2017 },
+      { title: 'Attention Is All You Need', authors: doe, year: 2017 },
+    ];
+    const [first, second, third] = findImportDuplicates(rows, literature);
+    expect(first.map(match => match.entry.id)).toEqual(['a']);
+    expect(first[0].row).toBeUndefined();
+    expect(second).toEqual([]);
+    expect(third).toHaveLength(1);
+    expect(third[0].row).toBe(1);
+    expect(third[0].entry).toBe(rows[1]);
+  });
+});
+
+describe('merging', () => {
+  const statusOptions = ['To Read', 'Read', 'Completed'];
+  const a = {
+    id: 'a', title: 'Deep learning', status: 'Read', summary: 'Short',
+    quotes: [{ id: 'q1', text: 'Deep learning allows computational models', page: '1', note: '' }],
+    extraction: { sampleSize: '120' },
+  };
+  const b = {
+    id: 'b', title: 'Deep learning', status: 'Completed', summary: 'A longer summary',
+    quotes: [{ id: 'q2', text: 'Deep learning allows computational models', page: '1', note: '' }, { id: 'q3', text: 'Backpropagation', page: '3', note: '' }],
+    extraction: { sampleSize: '', country: 'Japan' },
+  };
+
+  it('defaults to the longer text and the later status, field by field', () => {
+    expect(defaultMergeChoices(a, b, statusOptions)).toMatchObject({
+      status: 'b', summary: 'b', 'extraction.sampleSize': 'a', 'extraction.country': 'b',
+    });
+  });
+
+  it('keeps the quotes of both entries and the chosen extraction fields', () => {
+    const merged = mergeEntries(a, b, defaultMergeChoices(a, b, statusOptions));
+    expect(merged.quotes.map(quote => quote.id)).toEqual(['q1', 'q3']);
+    expect(merged.extraction).toEqual({ sampleSize: '120', country: 'Japan' });
+    expect(merged).not.toHaveProperty('relevance');
+  });
+});
@@ -0,0 +1,281 @@
+// ===================================================================================
+// === FIRESTORE RULES ===============================================================
+// ===================================================================================
+// Checks firestore.rules against the Firestore emulator. Run with `npm run test:rules`,
+// which starts the emulators; a plain `npm test` skips this file.
+// ===================================================================================
+
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, deleteField, Timestamp } from 'firebase/firestore';
+
+const PROJECT = 'p1';
+const ENTRY = `projects/${PROJECT}/literature/e1`;
+const TRASHED = `projects/${PROJECT}/literature/e2`;
+const BENCHMARK = `projects/${PROJECT}/literature/e3`;
+
+// labOwner owns the lab; olga owns the project; alice and bob are assistants; vera is a viewer.
+const ROLES = { olga: 'owner', alice: 'assistant', bob: 'assistant', vera: 'viewer' };
+
+const entry = (data = {}) => ({
+  title: 'Land use and travel', status: 'To Read', revision: 1, ratings: {},
+  createdBy: 'alice', updatedBy: 'alice', ...data,
+});
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+  let testEnv;
+  const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+  const outsider = () => testEnv.authenticatedContext('mallory').firestore();
+  // Field updates stamped by the caller, as stampUpdate does in the app.
+  const update = (uid, path, data) => updateDoc(doc(as(uid), path), { ...data, updatedBy: uid });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'literature-review-rules',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv?.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'members/labOwner'), { name: 'Lab Owner', role: 'owner' });
+      await setDoc(doc(db, `projects/${PROJECT}`), { title: 'Project', roles: ROLES, memberIds: Object.keys(ROLES), createdBy: 'olga' });
+      await setDoc(doc(db, `projects/${PROJECT}/settings/workflow`), { restrictedStatuses: ['Benchmark'] });
+      await setDoc(doc(db, ENTRY), entry());
+      await setDoc(doc(db, TRASHED), entry({ deletedAt: Timestamp.now(), deletedBy: 'olga' }));
+      await setDoc(doc(db, BENCHMARK), entry({ status: 'Benchmark' }));
+      await setDoc(doc(db, `${ENTRY}/history/h1`), { by: 'alice', action: 'create', projectId: PROJECT });
+    });
+  });
+
+  describe('roles', () => {
+    it('lets members read entries and keeps others out', async () => {
+      await assertSucceeds(getDoc(doc(as('vera'), ENTRY)));
+      await assertSucceeds(getDoc(doc(as('labOwner'), ENTRY)));
+      await assertFails(getDoc(doc(outsider(), ENTRY)));
+    });
+
+    it('lets owners and assistants edit, but not viewers', async () => {
+      await assertSucceeds(update('alice', ENTRY, { title: 'New title', revision: 2 }));
+      await assertSucceeds(update('olga', ENTRY, { title: 'Newer title', revision: 3 }));
+      await assertFails(update('vera', ENTRY, { title: 'Viewer title', revision: 4 }));
+      await assertFails(update('mallory', ENTRY, { title: 'Outsider title', revision: 4 }));
+    });
+
+    it('requires new entries to be stamped with the caller', async () => {
+      const created = `projects/${PROJECT}/literature/new`;
+      await assertSucceeds(setDoc(doc(as('alice'), created), entry()));
+      await assertFails(setDoc(doc(as('bob'), `${created}2`), entry()));
+      await assertFails(setDoc(doc(as('vera'), `${created}3`), entry({ createdBy: 'vera', updatedBy: 'vera' })));
+    });
+
+    it('rejects edits not stamped with the caller', async () => {
+      await assertFails(updateDoc(doc(as('alice'), ENTRY), { title: 'New title', revision: 2, updatedBy: 'bob' }));
+    });
+
+    it('reserves deleting documents for owners', async () => {
+      await assertFails(deleteDoc(doc(as('alice'), TRASHED)));
+      await assertSucceeds(deleteDoc(doc(as('olga'), TRASHED)));
+    });
+
+    it('reserves project settings for owners', async () => {
+      const workflow = `projects/${PROJECT}/settings/workflow`;
+      await assertSucceeds(getDoc(doc(as('vera'), workflow)));
+      await assertFails(setDoc(doc(as('alice'), workflow), { restrictedStatuses: [] }));
+      await assertSucceeds(setDoc(doc(as('olga'), workflow), { restrictedStatuses: ['Benchmark'] }));
+    });
+  });
+
+  describe('profiles', () => {
+    it('shows the team only to accounts with a profile', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'members/alice'), { name: 'Alice' }));
+      await assertSucceeds(getDoc(doc(as('alice'), 'members/labOwner')));
+      await assertSucceeds(getDoc(doc(outsider(), 'members/mallory')));
+      await assertFails(getDoc(doc(outsider(), 'members/labOwner')));
+    });
+
+    it('reserves adding profiles for the lab owner', async () => {
+      await assertFails(setDoc(doc(outsider(), 'members/mallory'), { name: 'Mallory' }));
+      await assertFails(setDoc(doc(as('olga'), 'members/mallory'), { name: 'Mallory' }));
+      await assertSucceeds(setDoc(doc(as('labOwner'), 'members/mallory'), { name: 'Mallory' }));
+    });
+
+    it('keeps accounts without a profile out of projects', async () => {
+      await assertFails(getDoc(doc(outsider(), `projects/${PROJECT}`)));
+      await assertFails(setDoc(doc(outsider(), 'projects/p2'), { title: 'Own project', roles: { mallory: 'owner' }, memberIds: ['mallory'], createdBy: 'mallory' }));
+    });
+  });
+
+  describe('touchesOnlyOwnRating', () => {
+    it('lets reviewers rate for themselves only', async () => {
+      await assertSucceeds(update('alice', ENTRY, { 'ratings.alice': { value: 3, name: 'Alice' } }));
+      await assertFails(update('alice', ENTRY, { 'ratings.bob': { value: 1, name: 'Bob' } }));
+    });
+
+    it('lets the owner carry other reviewers\' ratings over, but not change them', async () => {
+      await assertSucceeds(update('alice', ENTRY, { 'ratings.alice': { value: 3, name: 'Alice' }, relevance: 3 }));
+      await assertSucceeds(update('olga', ENTRY, { 'ratings.bob': { value: 1, name: 'Bob' }, relevance: 2 }));
+      await assertFails(update('olga', ENTRY, { 'ratings.alice': { value: 1, name: 'Alice' } }));
+      await assertFails(update('bob', ENTRY, { 'ratings.vera': { value: 1, name: 'Vera' } }));
+    });
+
+    it('changes the relevance only along with a rating', async () => {
+      await assertSucceeds(update('alice', ENTRY, { 'ratings.alice': { value: 3, name: 'Alice' }, relevance: 3 }));
+      await assertFails(update('bob', ENTRY, { relevance: 1 }));
+      await assertFails(update('bob', ENTRY, { 'ratings.bob': { value: 1, name: 'Bob' }, relevance: 7 }));
+      await assertFails(update('alice', ENTRY, { title: 'Edited title', relevance: 1, revision: 2 }));
+    });
+  });
+
+  describe('touchesOnlyOwnScreening', () => {
+    it('lets screeners record their own decisions only', async () => {
+      await assertSucceeds(update('alice', ENTRY, { 'titleScreening.alice': { decision: 'include' } }));
+      await assertFails(update('alice', ENTRY, { 'titleScreening.bob': { decision: 'exclude' } }));
+      await assertFails(update('alice', ENTRY, { 'fullTextScreening.bob': { decision: 'exclude' } }));
+    });
+
+    it('takes two reviewers per stage and locks their decisions once both are in', async () => {
+      await assertSucceeds(update('alice', ENTRY, { 'titleScreening.alice': { decision: 'include' } }));
+      await assertSucceeds(update('alice', ENTRY, { 'titleScreening.alice': { decision: 'exclude', reason: 'Wrong study design' } }));
+      await assertSucceeds(update('bob', ENTRY, { 'titleScreening.bob': { decision: 'include' } }));
+      await assertFails(update('alice', ENTRY, { 'titleScreening.alice': { decision: 'include' } }));
+      await assertFails(update('bob', ENTRY, { 'titleScreening.bob': deleteField() }));
+      await assertFails(update('olga', ENTRY, { 'titleScreening.olga': { decision: 'include' } }));
+      await assertSucceeds(update('olga', ENTRY, { 'fullTextScreening.olga': { decision: 'include' } }));
+    });
+
+    it('reserves resolving conflicts for owners', async () => {
+      await assertFails(update('alice', ENTRY, { 'screeningResolutions.title': { decision: 'include' } }));
+      await assertSucceeds(update('olga', ENTRY, { 'screeningResolutions.title': { decision: 'include' } }));
+    });
+  });
+
+  describe('PDFs and highlights', () => {
+    const WITH_PDF = `projects/${PROJECT}/literature/e4`;
+    const pdf = (uid) => ({ path: `projects/${PROJECT}/pdfs/e4.pdf`, name: 'paper.pdf', uploadedBy: uid });
+    const highlight = (uid) => ({ page: 1, text: 'Quoted', note: '', by: uid });
+
+    beforeEach(() => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), WITH_PDF), entry({
+      pdf: pdf('alice'), annotations: { a1: highlight('alice'), b1: highlight('bob') },
+    }))));
+
+    it('records a new PDF under the caller', async () => {
+      await assertSucceeds(update('bob', ENTRY, { pdf: pdf('bob') }));
+      await assertFails(update('bob', BENCHMARK, { pdf: pdf('alice') }));
+    });
+
+    it('lets only the uploader or an owner replace or remove a PDF', async () => {
+      await assertFails(update('bob', WITH_PDF, { pdf: pdf('bob'), annotations: deleteField() }));
+      await assertFails(update('bob', WITH_PDF, { pdf: deleteField(), annotations: deleteField() }));
+      await assertSucceeds(update('alice', WITH_PDF, { pdf: pdf('alice'), annotations: deleteField() }));
+      await assertSucceeds(update('olga', WITH_PDF, { pdf: deleteField(), annotations: deleteField() }));
+    });
+
+    it('lets reviewers add, change and delete only their own highlights', async () => {
+      await assertSucceeds(update('bob', WITH_PDF, { 'annotations.b2': highlight('bob') }));
+      await assertSucceeds(update('bob', WITH_PDF, { 'annotations.b1': { ...highlight('bob'), note: 'Changed' } }));
+      await assertSucceeds(update('bob', WITH_PDF, { 'annotations.b1': deleteField() }));
+      await assertFails(update('bob', WITH_PDF, { 'annotations.a1': deleteField() }));
+      await assertFails(update('bob', WITH_PDF, { 'annotations.a1': highlight('bob') }));
+      await assertFails(update('bob', WITH_PDF, { 'annotations.b3': highlight('alice') }));
+      await assertFails(update('bob', WITH_PDF, { annotations: deleteField() }));
+    });
+
+    it('lets owners delete any highlight', async () => {
+      await assertSucceeds(update('olga', WITH_PDF, { 'annotations.a1': deleteField() }));
+    });
+  });
+
+  describe('revisionIsCurrent', () => {
+    it('requires content edits to raise the revision by one', async () => {
+      await assertFails(update('alice', ENTRY, { title: 'Stale edit' }));
+      await assertFails(update('alice', ENTRY, { title: 'Stale edit', revision: 1 }));
+      await assertFails(update('alice', ENTRY, { title: 'Skipped revision', revision: 3 }));
+      await assertSucceeds(update('alice', ENTRY, { title: 'Current edit', revision: 2 }));
+    });
+
+    it('leaves the revision alone for bookkeeping fields', async () => {
+      await assertSucceeds(update('alice', ENTRY, { commentCount: 1 }));
+      await assertSucceeds(update('alice', ENTRY, { 'ratings.alice': { value: 2, name: 'Alice' } }));
+    });
+  });
+
+  describe('Trash', () => {
+    it('reserves moving entries to the Trash for owners', async () => {
+      await assertFails(update('alice', ENTRY, { deletedAt: Timestamp.now(), deletedBy: 'alice' }));
+      await assertSucceeds(update('olga', ENTRY, { deletedAt: Timestamp.now(), deletedBy: 'olga' }));
+    });
+
+    it('reserves restoring entries for owners', async () => {
+      await assertFails(update('alice', TRASHED, { deletedAt: deleteField(), deletedBy: deleteField() }));
+      await assertSucceeds(update('olga', TRASHED, { deletedAt: deleteField(), deletedBy: deleteField() }));
+    });
+
+    it('does not let entries be created in the Trash', async () => {
+      await assertFails(setDoc(doc(as('alice'), `projects/${PROJECT}/literature/new`), entry({ deletedAt: Timestamp.now() })));
+    });
+  });
+
+  describe('restricted statuses', () => {
+    it('reserves moving entries into a restricted status for owners', async () => {
+      await assertFails(update('alice', ENTRY, { status: 'Benchmark', revision: 2 }));
+      await assertSucceeds(update('olga', ENTRY, { status: 'Benchmark', revision: 2 }));
+    });
+
+    it('reserves moving entries out of a restricted status for owners', async () => {
+      await assertFails(update('alice', BENCHMARK, { status: 'To Read', revision: 2 }));
+      await assertSucceeds(update('olga', BENCHMARK, { status: 'To Read', revision: 2 }));
+    });
+
+    it('lets assistants edit other fields of a restricted entry', async () => {
+      await assertSucceeds(update('alice', BENCHMARK, { title: 'Benchmark paper', revision: 2 }));
+    });
+
+    it('reserves creating entries in a restricted status for owners', async () => {
+      await assertFails(setDoc(doc(as('alice'), `projects/${PROJECT}/literature/new`), entry({ status: 'Benchmark' })));
+    });
+
+    it('reads the restricted statuses from the workflow', async () => {
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), `projects/${PROJECT}/settings/workflow`), { restrictedStatuses: ['Excluded'] }));
+      await assertSucceeds(update('alice', BENCHMARK, { status: 'To Read', revision: 2 }));
+      await assertFails(update('alice', ENTRY, { status: 'Excluded', revision: 2 }));
+    });
+  });
+
+  describe('history', () => {
+    it('is append-only', async () => {
+      const record = `${ENTRY}/history/h1`;
+      await assertSucceeds(getDoc(doc(as('vera'), record)));
+      await assertFails(updateDoc(doc(as('olga'), record), { action: 'update' }));
+      await assertFails(deleteDoc(doc(as('olga'), record)));
+    });
+
+    it('records changes under the caller', async () => {
+      await assertSucceeds(setDoc(doc(as('alice'), `${ENTRY}/history/h2`), { by: 'alice', action: 'update', projectId: PROJECT }));
+      await assertFails(setDoc(doc(as('alice'), `${ENTRY}/history/h3`), { by: 'bob', action: 'update', projectId: PROJECT }));
+      await assertFails(setDoc(doc(as('vera'), `${ENTRY}/history/h4`), { by: 'vera', action: 'update', projectId: PROJECT }));
+    });
+
+    it('requires records to carry the id of their own project', async () => {
+      await assertFails(setDoc(doc(as('alice'), `${ENTRY}/history/h2`), { by: 'alice', action: 'update', projectId: 'p2' }));
+      await assertFails(setDoc(doc(as('alice'), `${ENTRY}/history/h3`), { by: 'alice', action: 'update' }));
+      await assertFails(setDoc(doc(as('labOwner'), `${ENTRY}/history/h4`), { by: 'alice', action: 'update', projectId: 'p2' }));
+      await assertSucceeds(setDoc(doc(as('labOwner'), `${ENTRY}/history/h5`), { by: 'alice', action: 'update', projectId: PROJECT }));
+    });
+
+    it('lets owners add the project id to older records once', async () => {
+      const record = `${ENTRY}/history/old`;
+      await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), record), { by: 'alice', action: 'status' }));
+      await assertFails(updateDoc(doc(as('alice'), record), { projectId: PROJECT }));
+      await assertFails(updateDoc(doc(as('olga'), record), { projectId: 'p2' }));
+      await assertFails(updateDoc(doc(as('olga'), record), { projectId: PROJECT, action: 'create' }));
+      await assertSucceeds(updateDoc(doc(as('olga'), record), { projectId: PROJECT }));
+      await assertFails(updateDoc(doc(as('olga'), record), { projectId: 'p2' }));
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { aggregateRatings, relevanceFromRatings, mergedRatings } from '../src/ratings';
+
+describe('aggregateRatings', () => {
+  it('averages the ratings and flags a 1 next to a 3', () => {
+    const entry = { relevance: 1, ratings: { alice: { value: 3, name: 'Alice' }, bob: { value: 1, name: 'Bob' }, carol: { value: 0, name: 'Carol' } } };
+    expect(aggregateRatings(entry)).toMatchObject({ average: 2, count: 2, spread: 2, isDisagreement: true });
+    expect(aggregateRatings({ ratings: { alice: { value: 3 }, bob: { value: 2 } } }).isDisagreement).toBe(false);
+  });
+
+  it('falls back to the relevance of entries rated before ratings existed', () => {
+    expect(aggregateRatings({ relevance: 2 })).toMatchObject({ average: 2, count: 0 });
+  });
+});
+
+describe('mergedRatings', () => {
+  const kept = { ratings: { alice: { value: 3, name: 'Alice' } } };
+
+  it('adds the removed entry\'s reviewers and recomputes the relevance', () => {
+    expect(mergedRatings(kept, { ratings: { alice: { value: 1, name: 'Alice' }, bob: { value: 1, name: 'Bob' } } })).toEqual({
+      ratings: { alice: { value: 3, name: 'Alice' }, bob: { value: 1, name: 'Bob' } },
+      relevance: relevanceFromRatings({ alice: { value: 3 }, bob: { value: 1 } }),
+    });
+  });
+
+  it('leaves the ratings alone when the removed entry adds no reviewer', () => {
+    expect(mergedRatings(kept, { ratings: { alice: { value: 1, name: 'Alice' } } })).toBeNull();
+    expect(mergedRatings(kept, { relevance: 3 })).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { toRelations, mergedRelations, redirectedRelations, suggestRelated } from '../src/relations';
+
+describe('stored links', () => {
+  it('drops links to the entry itself, unknown types and repeats', () => {
+    expect(toRelations([
+      { entryId: 'b', type: 'cites' }, { entryId: 'a', type: 'extends' }, { entryId: 'b', type: 'cites' },
+      { entryId: 'b', type: 'extends' }, { entryId: 'c', type: 'likes' }, { entryId: '', type: 'cites' },
+    ], 'a')).toEqual([{ entryId: 'b', type: 'cites' }, { entryId: 'b', type: 'extends' }]);
+    expect(toRelations(undefined, 'a')).toEqual([]);
+  });
+});
+
+describe('merging duplicates', () => {
+  const kept = { id: 'a', relations: [{ entryId: 'c', type: 'cites' }, { entryId: 'b', type: 'critiques' }] };
+  const removed = { id: 'b', relations: [{ entryId: 'c', type: 'cites' }, { entryId: 'd', type: 'extends' }, { entryId: 'a', type: 'cites' }] };
+
+  it('keeps both entries\' links once, without the ones between the two', () => {
+    expect(mergedRelations(kept, removed)).toEqual([{ entryId: 'c', type: 'cites' }, { entryId: 'd', type: 'extends' }]);
+    expect(mergedRelations({ id: 'a' }, { id: 'b' })).toEqual([]);
+  });
+
+  it('moves other entries\' links from the removed entry to the kept one', () => {
+    const entries = [
+      kept, removed,
+      { id: 'c', relations: [{ entryId: 'b', type: 'replicates' }, { entryId: 'a', type: 'replicates' }, { entryId: 'd', type: 'cites' }] },
+      { id: 'd', relations: [{ entryId: 'c', type: 'cites' }] },
+      { id: 'e' },
+    ];
+    expect(redirectedRelations(entries, 'b', 'a')).toEqual([
+      { entry: kept, relations: [{ entryId: 'c', type: 'cites' }] },
+      { entry: entries[2], relations: [{ entryId: 'a', type: 'replicates' }, { entryId: 'd', type: 'cites' }] },
+    ]);
+  });
+
+  it('drops a link of the kept entry that would point at itself', () => {
+    const entries = [{ id: 'a', relations: [{ entryId: 'b', type: 'cites' }] }, { id: 'b' }];
+    expect(redirectedRelations(entries, 'b', 'a')).toEqual([{ entry: entries[0], relations: [] }]);
+  });
+});
+
+describe('suggestRelated', () => {
+  const entry = {
+    id: 'a', topic: 'Land use; Ecology', authors: [{ family: 'Okada', given: 'Taro' }],
+    summary: 'Farmland abandonment drives reforestation in mountain villages.',
+  };
+  const entries = [
+    entry,
+    { id: 'topic', topic: 'land use', authors: [{ family: 'Doe', given: 'Jane' }], summary: 'Urban sprawl in coastal cities.' },
+    { id: 'both', topic: 'Land use, Ecology', authors: [{ family: 'Okada', given: 'Taro' }], summary: 'Farmland abandonment and reforestation.' },
+    { id: 'author', topic: 'Transport', authors: [{ family: 'Okada', given: 'Hana' }], summary: 'Rural bus services.' },
+    { id: 'none', topic: 'Medicine', authors: [{ family: 'Smith', given: 'Ann' }], summary: 'Clinical trials of statins.' },
+    { id: 'linked', topic: 'Land use; Ecology', authors: [{ family: 'Okada', given: 'Taro' }], relations: [{ entryId: 'a', type: 'cites' }] },
+  ];
+
+  it('ranks entries by shared topics, authors and summary words, leaving out unrelated ones', () => {
+    const suggestions = suggestRelated(entry, entries);
+    expect(suggestions.map(suggestion => suggestion.entry.id)).toEqual(['both', 'author', 'topic']);
+    expect(suggestions[0].reasons).toEqual(['Topic: Land use, Ecology', 'Author: Okada', expect.stringMatching(/^Similar summary \(\d+%\)$/)]);
+    expect(suggestions[1].reasons).toEqual(['Author: Okada']);
+    expect(suggestions[2].reasons).toEqual(['Topic: land use']);
+  });
+
+  it('leaves out entries already linked either way and honours the limit', () => {
+    const ids = suggestRelated({ ...entry, relations: [{ entryId: 'both', type: 'extends' }] }, entries).map(suggestion => suggestion.entry.id);
+    expect(ids).not.toContain('both');
+    expect(ids).not.toContain('linked');
+    expect(suggestRelated(entry, entries, 1)).toHaveLength(1);
+  });
+});
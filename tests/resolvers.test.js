@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseIdentifier, resolveMetadata, createFixtureResolver, FIXTURE_RECORDS } from '../src/resolvers';
+
+describe('parseIdentifier', () => {
+  it('reads DOIs, bare or inside links', () => {
+    expect(parseIdentifier('10.1038/nature14539')).toEqual({ type: 'doi', id: '10.1038/nature14539' });
+    expect(parseIdentifier(' https://doi.org/10.1038/nature14539 ')).toEqual({ type: 'doi', id: '10.1038/nature14539' });
+    expect(parseIdentifier('https://link.springer.com/article/10.1007%2Fs11116-020-10101-1')).toEqual({ type: 'doi', id: '10.1007/s11116-020-10101-1' });
+    expect(parseIdentifier('doi: 10.1016/j.tra.2019.01.002.')).toEqual({ type: 'doi', id: '10.1016/j.tra.2019.01.002' });
+  });
+
+  it('reads arXiv IDs and links, without the version', () => {
+    expect(parseIdentifier('1706.03762')).toEqual({ type: 'arxiv', id: '1706.03762' });
+    expect(parseIdentifier('arXiv:1706.03762v5')).toEqual({ type: 'arxiv', id: '1706.03762' });
+    expect(parseIdentifier('hep-th/9901001')).toEqual({ type: 'arxiv', id: 'hep-th/9901001' });
+    expect(parseIdentifier('https://arxiv.org/abs/1706.03762v2')).toEqual({ type: 'arxiv', id: '1706.03762' });
+    expect(parseIdentifier('https://arxiv.org/pdf/1706.03762.pdf')).toEqual({ type: 'arxiv', id: '1706.03762' });
+  });
+
+  it('keeps other links as URLs and rejects anything else', () => {
+    expect(parseIdentifier('https://example.org/paper')).toEqual({ type: 'url', id: 'https://example.org/paper' });
+    expect(parseIdentifier('')).toBeNull();
+    expect(parseIdentifier('deep learning')).toBeNull();
+  });
+});
+
+describe('resolveMetadata', () => {
+  const fixtures = createFixtureResolver();
+
+  it('fills the fields from the fixture records, whatever the case of the identifier', async () => {
+    const result = await resolveMetadata('https://doi.org/10.1038/NATURE14539', [fixtures]);
+    expect(result.source).toBe('Fixtures');
+    expect(result.identifier).toEqual({ type: 'doi', id: '10.1038/NATURE14539' });
+    expect(result.fields).toBe(FIXTURE_RECORDS['doi:10.1038/nature14539']);
+  });
+
+  it('falls through to the next resolver when one does not know the identifier', async () => {
+    const empty = { ...createFixtureResolver({}), name: 'Empty' };
+    const result = await resolveMetadata('arXiv:1706.03762', [empty, fixtures]);
+    expect(result.source).toBe('Fixtures');
+    expect(result.fields.title).toBe('Attention Is All You Need');
+  });
+
+  it('skips resolvers that cannot handle the identifier', async () => {
+    const doiOnly = { ...createFixtureResolver({ 'arxiv:1706.03762': { title: 'Wrong source' } }), name: 'DOI only', canResolve: ({ type }) => type === 'doi' };
+    const result = await resolveMetadata('1706.03762', [doiOnly, fixtures]);
+    expect(result.source).toBe('Fixtures');
+  });
+
+  it('explains what went wrong', async () => {
+    await expect(resolveMetadata('deep learning', [fixtures])).rejects.toThrow('Paste a DOI');
+    await expect(resolveMetadata('10.1000/unknown', [fixtures])).rejects.toThrow('Nothing found for 10.1000/unknown.');
+    await expect(resolveMetadata('https://example.org/paper', [{ ...fixtures, canResolve: ({ type }) => type !== 'url' }])).rejects.toThrow('No metadata source');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { stageOutcome, isDecisionLocked, canRecordDecision, canSeeDecisions, cohensKappa } from '../src/screening';
+
+const at = (millis) => ({ toMillis: () => millis });
+const decided = (...decisions) => ({
+  id: 'e1',
+  titleScreening: Object.fromEntries(decisions.map(([uid, decision], i) => [uid, { decision, reason: decision === 'exclude' ? 'Wrong study design' : '', name: uid, at: at(i + 1) }])),
+});
+
+describe('screening decisions', () => {
+  it('lets a reviewer change their decision until the second reviewer decides', () => {
+    const entry = decided(['alice', 'include']);
+    expect(isDecisionLocked(entry, 'titleAbstract')).toBe(false);
+    expect(canRecordDecision(entry, 'titleAbstract', 'alice')).toBe(true);
+    expect(canRecordDecision(entry, 'titleAbstract', 'bob')).toBe(true);
+  });
+
+  it('locks both decisions once two reviewers have decided', () => {
+    const entry = decided(['alice', 'include'], ['bob', 'exclude']);
+    expect(isDecisionLocked(entry, 'titleAbstract')).toBe(true);
+    expect(canRecordDecision(entry, 'titleAbstract', 'alice')).toBe(false);
+    expect(canRecordDecision(entry, 'titleAbstract', 'bob')).toBe(false);
+    expect(canRecordDecision(entry, 'titleAbstract', 'carol')).toBe(false);
+    expect(stageOutcome(entry, 'titleAbstract').state).toBe('conflict');
+  });
+
+  it('closes a stage once the owner has resolved it', () => {
+    const entry = { ...decided(['alice', 'include']), screeningResolutions: { titleAbstract: { decision: 'exclude', reason: 'Wrong outcome' } } };
+    expect(canRecordDecision(entry, 'titleAbstract', 'alice')).toBe(false);
+    expect(stageOutcome(entry, 'titleAbstract')).toEqual({ state: 'exclude', reason: 'Wrong outcome', isResolved: true });
+  });
+
+  it('hides the other decision until the reviewer has decided', () => {
+    const entry = decided(['alice', 'include']);
+    expect(canSeeDecisions(entry, 'titleAbstract', { uid: 'alice' }, false)).toBe(true);
+    expect(canSeeDecisions(entry, 'titleAbstract', { uid: 'bob' }, false)).toBe(false);
+    // The owner could still be the second reviewer.
+    expect(canSeeDecisions(entry, 'titleAbstract', { uid: 'olga' }, true)).toBe(false);
+    expect(canSeeDecisions(decided(['alice', 'include'], ['bob', 'exclude']), 'titleAbstract', { uid: 'olga' }, true)).toBe(true);
+  });
+});
+
+describe('cohensKappa', () => {
+  it('is 1 for perfect agreement and null when undefined', () => {
+    expect(cohensKappa([['include', 'include'], ['exclude', 'exclude']]).kappa).toBe(1);
+    expect(cohensKappa([['include', 'include']]).kappa).toBeNull();
+    expect(cohensKappa([]).kappa).toBeNull();
+  });
+
+  it('corrects for chance agreement', () => {
+    const { kappa, observed, expected } = cohensKappa([['include', 'include'], ['include', 'exclude'], ['exclude', 'exclude'], ['exclude', 'exclude']]);
+    expect(observed).toBe(0.75);
+    expect(expected).toBe(0.5);
+    expect(kappa).toBe(0.5);
+  });
+});
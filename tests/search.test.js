@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, matchesQuery, scoreEntry, viewToParams, viewFromParams, EMPTY_FILTERS, DEFAULT_SORT } from '../src/search';
+
+const entry = {
+  title: 'Land use change in rural Japan',
+  authors: [{ family: 'Okada', given: 'Taro' }],
+  year: 2021,
+  status: 'Benchmark',
+  topic: 'Land use',
+  summary: 'Farmland abandonment and reforestation.',
+  link: 'https://example.org/paper',
+  ratings: { alice: { value: 3 }, bob: { value: 2 } },
+};
+
+describe('parseQuery', () => {
+  it('reads qualifiers, quoted phrases and negated terms', () => {
+    expect(parseQuery('author:okada topic:"land use" -reading "rural areas"')).toEqual([
+      { field: 'authors', value: 'okada', negate: false },
+      { field: 'topic', value: 'land use', negate: false },
+      { field: null, value: 'reading', negate: true },
+      { field: null, value: 'rural areas', negate: false },
+    ]);
+  });
+
+  it('maps aliases and keeps numeric expressions as written', () => {
+    expect(parseQuery('journal:nature year:>=2020 rating:2..3')).toEqual([
+      { field: 'publication', value: 'nature', negate: false },
+      { field: 'year', value: '>=2020', negate: false },
+      { field: 'relevance', value: '2..3', negate: false },
+    ]);
+  });
+
+  it('searches unknown qualifiers as plain text and skips empty terms', () => {
+    expect(parseQuery('https://example.org/paper foo:bar ""')).toEqual([
+      { field: null, value: 'https://example.org/paper', negate: false },
+      { field: null, value: 'foo:bar', negate: false },
+    ]);
+  });
+});
+
+describe('matchesQuery', () => {
+  const matches = (text) => matchesQuery(entry, parseQuery(text));
+
+  it('matches qualified terms against their field', () => {
+    expect(matches('author:okada status:benchmark')).toBe(true);
+    expect(matches('status:bench')).toBe(false);
+    expect(matches('topic:"land use"')).toBe(true);
+    expect(matches('topic:"use land"')).toBe(false);
+  });
+
+  it('compares numbers and ranges', () => {
+    expect(matches('year:>=2020 year:<2022')).toBe(true);
+    expect(matches('year:2019..2020')).toBe(false);
+    expect(matches('year:2020..2021 relevance:3')).toBe(true);
+    expect(matches('year:recent')).toBe(false);
+  });
+
+  it('excludes entries that match a negated term', () => {
+    expect(matches('-reforestation')).toBe(false);
+    expect(matches('-status:reading japan')).toBe(true);
+    expect(matches('-year:>2020')).toBe(false);
+  });
+
+  it('matches free text without regard to case or accents, and ranks whole words higher', () => {
+    expect(matches('"RURAL JAPAN"')).toBe(true);
+    expect(matches('Jápan')).toBe(true);
+    expect(matches('"japan rural"')).toBe(false);
+    expect(scoreEntry(entry, parseQuery('land'))).toBeGreaterThan(scoreEntry(entry, parseQuery('farm')));
+  });
+});
+
+describe('views in the URL', () => {
+  it('leaves the defaults out of the URL', () => {
+    expect(viewToParams({ query: '', filters: EMPTY_FILTERS, sortConfig: DEFAULT_SORT, layout: 'table' }).toString()).toBe('');
+  });
+
+  it('reads back the view it wrote', () => {
+    const view = {
+      query: 'author:okada -"land use"',
+      filters: { statuses: ['To Read', 'Benchmark'], pics: ['Alice'], ratings: [2, 3], yearFrom: '2015', yearTo: '2020' },
+      sortConfig: { key: 'year', direction: 'ascending' },
+      layout: 'board',
+    };
+    expect(viewFromParams(new URLSearchParams(viewToParams(view).toString()))).toEqual(view);
+    const plain = { query: '', filters: EMPTY_FILTERS, sortConfig: DEFAULT_SORT, layout: 'table' };
+    expect(viewFromParams(viewToParams(plain))).toEqual(plain);
+  });
+
+  it('falls back to the defaults for unknown layouts and sort directions', () => {
+    const view = viewFromParams(new URLSearchParams('view=kanban&sort=title:sideways&rating=x'));
+    expect(view.layout).toBe('table');
+    expect(view.sortConfig).toEqual({ key: 'title', direction: 'descending' });
+    expect(view.filters.ratings).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+// ===================================================================================
+// === STORAGE RULES =================================================================
+// ===================================================================================
+// Checks storage.rules against the Storage and Firestore emulators, since the rules
+// read the project's roles from Firestore. Run with `npm run test:rules`; a plain
+// `npm test` skips this file.
+// ===================================================================================
+
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { pdfPath } from '../src/attachments';
+
+const PROJECT = 'p1';
+const ROLES = { olga: 'owner', alice: 'assistant', bob: 'assistant', vera: 'viewer' };
+const PDF = new Uint8Array([0x25, 0x50, 0x44, 0x46]);
+
+describe.skipIf(!process.env.FIREBASE_STORAGE_EMULATOR_HOST || !process.env.FIRESTORE_EMULATOR_HOST)('storage.rules', () => {
+  let testEnv;
+  const fileRef = (uid, entryId = 'e1') => testEnv.authenticatedContext(uid).storage().ref(pdfPath(PROJECT, entryId));
+  const upload = (uid, entryId, { contentType = 'application/pdf', uploadedBy = uid } = {}) => fileRef(uid, entryId).put(PDF, { contentType, customMetadata: { uploadedBy } });
+  const setRoles = (roles) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), `projects/${PROJECT}`), { roles, memberIds: Object.keys(roles) }));
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'literature-review-rules',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+      storage: { rules: readFileSync('storage.rules', 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv?.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await setRoles(ROLES);
+    await testEnv.withSecurityRulesDisabled(context => context.storage().ref(pdfPath(PROJECT, 'e1'))
+      .put(PDF, { contentType: 'application/pdf', customMetadata: { uploadedBy: 'alice' } }));
+  });
+
+  it('lets members read the PDFs and keeps others out', async () => {
+    await assertSucceeds(fileRef('vera').getMetadata());
+    await assertFails(fileRef('mallory').getMetadata());
+  });
+
+  it('lets owners and assistants upload PDFs under their own name', async () => {
+    await assertSucceeds(upload('bob', 'e2'));
+    await assertFails(upload('vera', 'e3'));
+    await assertFails(upload('bob', 'e4', { uploadedBy: 'alice' }));
+    await assertFails(upload('bob', 'e5', { contentType: 'text/html' }));
+  });
+
+  it('lets only the uploader or an owner replace a PDF', async () => {
+    await assertFails(upload('bob', 'e1'));
+    await assertSucceeds(upload('alice', 'e1'));
+    await assertSucceeds(upload('olga', 'e1'));
+  });
+
+  it('lets only the uploader or an owner remove a PDF', async () => {
+    await assertFails(fileRef('bob').delete());
+    await assertFails(fileRef('vera').delete());
+    await assertSucceeds(fileRef('alice').delete());
+  });
+
+  it('lets owners remove any PDF', async () => {
+    await assertSucceeds(fileRef('olga').delete());
+  });
+
+  it('stops uploaders who have left the project from removing their PDFs', async () => {
+    const { alice, ...others } = ROLES;
+    await setRoles({ ...others, alice: 'viewer' });
+    await assertFails(fileRef('alice').delete());
+    await setRoles(others);
+    await assertFails(fileRef('alice').delete());
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { cellText, parseCellText, compareEntries } from '../src/tableColumns';
+import { DEFAULT_WORKFLOW } from '../src/workflow';
+
+describe('inline editing', () => {
+  const entry = { title: 'Food security', year: 2020, authors: [{ literal: 'Food and Agriculture Organization' }, { family: 'Okada', given: 'Taro' }] };
+
+  it('reads an unchanged authors cell back as the stored list', () => {
+    expect(parseCellText('authors', cellText(entry, 'authors'), entry)).toEqual({ value: entry.authors });
+  });
+
+  it('keeps organisations when another author is added', () => {
+    expect(parseCellText('authors', `${cellText(entry, 'authors')}; Jane Doe`, entry)).toEqual({
+      value: [...entry.authors, { family: 'Doe', given: 'Jane' }],
+    });
+  });
+
+  it('rejects empty authors and titles and non-numeric years', () => {
+    expect(parseCellText('authors', ' ; ', entry)).toEqual({ error: 'Enter at least one author.' });
+    expect(parseCellText('title', '  ', entry)).toEqual({ error: 'The title cannot be empty.' });
+    expect(parseCellText('year', '20x', entry)).toEqual({ error: 'Enter a whole number.' });
+    expect(parseCellText('year', ' 2021 ', entry)).toEqual({ value: 2021 });
+    expect(parseCellText('year', '', entry)).toEqual({ value: '' });
+  });
+});
+
+describe('compareEntries', () => {
+  const sortTitles = (entries, key, direction) => [...entries]
+    .sort(compareEntries({ key, direction }, DEFAULT_WORKFLOW))
+    .map(entry => entry.title);
+
+  it('sorts years as numbers, whether stored as numbers or text', () => {
+    const entries = [{ title: 'A', year: '2020' }, { title: 'B', year: 999 }, { title: 'C', year: 2019 }, { title: 'D', year: '10000' }];
+    expect(sortTitles(entries, 'year', 'ascending')).toEqual(['B', 'C', 'A', 'D']);
+    expect(sortTitles(entries, 'year', 'descending')).toEqual(['D', 'A', 'C', 'B']);
+  });
+
+  it('puts entries without a value last in both directions', () => {
+    const entries = [{ title: 'A', year: '' }, { title: 'B', year: 2020 }, { title: 'C' }, { title: 'D', year: 2015 }, { title: 'E', year: 'n.d.' }];
+    expect(sortTitles(entries, 'year', 'ascending')).toEqual(['D', 'B', 'A', 'C', 'E']);
+    expect(sortTitles(entries, 'year', 'descending')).toEqual(['B', 'D', 'A', 'C', 'E']);
+    const topics = [{ title: 'A', topic: ' ' }, { title: 'B', topic: 'ecology' }, { title: 'C', topic: 'Économie' }];
+    expect(sortTitles(topics, 'topic', 'ascending')).toEqual(['B', 'C', 'A']);
+    expect(sortTitles(topics, 'topic', 'descending')).toEqual(['C', 'B', 'A']);
+  });
+
+  it('sorts statuses in workflow order, with unknown statuses last', () => {
+    const entries = [
+      { title: 'A', status: 'Completed' }, { title: 'B', status: 'To Read' },
+      { title: 'C', status: 'Archived' }, { title: 'D', status: 'Reading' },
+    ];
+    expect(sortTitles(entries, 'status', 'ascending')).toEqual(['B', 'D', 'A', 'C']);
+    expect(sortTitles(entries, 'status', 'descending')).toEqual(['A', 'D', 'B', 'C']);
+  });
+});